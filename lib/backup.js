@@ -0,0 +1,311 @@
+import path from 'path';
+import zlib from 'zlib';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { openMicropythonSession } from './micropython.js';
+
+const BACKUP_FORMAT = 'raspimcu-micropython-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const BACKUP_MANIFEST_NAME = 'manifest.json';
+const BACKUP_FILES_PREFIX = 'files';
+const TAR_BLOCK_SIZE = 512;
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+function notify(onProgress, stage, detail = {}) {
+  if (typeof onProgress === 'function') {
+    onProgress({ stage, ...detail });
+  }
+}
+
+function hashBuffer(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function normalizeRemoteRoot(remotePath = '/') {
+  const stripped = remotePath.startsWith(':') ? remotePath.slice(1) : remotePath;
+  const absolute = stripped.startsWith('/') ? stripped : `/${stripped}`;
+  return absolute.replace(/(.)\/+$/, '$1');
+}
+
+function writeTarString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeTarOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+// USTAR stores names over 100 bytes as a prefix (up to 155 bytes) and a name
+// split at a '/'.
+function splitTarName(name) {
+  if (Buffer.byteLength(name) <= 100) {
+    return { prefix: '', name };
+  }
+  for (let index = name.indexOf('/'); index !== -1; index = name.indexOf('/', index + 1)) {
+    const prefix = name.slice(0, index);
+    const rest = name.slice(index + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { prefix, name: rest };
+    }
+  }
+  throw new Error(`Path is too long for a tar archive: ${name}`);
+}
+
+function createTarHeader(entry, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  const isDirectory = entry.type === 'dir';
+  const { prefix, name } = splitTarName(isDirectory ? `${entry.name}/` : entry.name);
+  writeTarString(header, name, 0, 100);
+  writeTarOctal(header, isDirectory ? 0o755 : 0o644, 100, 8);
+  writeTarOctal(header, 0, 108, 8);
+  writeTarOctal(header, 0, 116, 8);
+  writeTarOctal(header, isDirectory ? 0 : entry.data.length, 124, 12);
+  writeTarOctal(header, mtime, 136, 12);
+  header.fill(' ', 148, 156);
+  header.write(isDirectory ? '5' : '0', 156, 'ascii');
+  header.write('ustar\0', 257, 'ascii');
+  header.write('00', 263, 'ascii');
+  writeTarString(header, prefix, 345, 155);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+// Builds an uncompressed USTAR archive from { name, type, data } entries.
+function createTar(entries, mtime = Math.floor(Date.now() / 1000)) {
+  const blocks = [];
+  for (const entry of entries) {
+    blocks.push(createTarHeader(entry, mtime));
+    if (entry.type !== 'dir') {
+      blocks.push(entry.data);
+      const padding = (TAR_BLOCK_SIZE - (entry.data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+      blocks.push(Buffer.alloc(padding));
+    }
+  }
+  blocks.push(Buffer.alloc(TAR_BLOCK_SIZE * 2));
+  return Buffer.concat(blocks);
+}
+
+function readTarString(buffer, offset, length) {
+  const field = buffer.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString('utf8');
+}
+
+function readTarOctal(buffer, offset, length) {
+  return parseInt(readTarString(buffer, offset, length).trim() || '0', 8);
+}
+
+// Reads the file and directory entries of a USTAR archive. Other entry types
+// (links, pax headers) are skipped.
+function parseTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  while (offset + TAR_BLOCK_SIZE <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    const expected = readTarOctal(header, 148, 8);
+    const actual = header.reduce((sum, byte, index) => sum + (index >= 148 && index < 156 ? 0x20 : byte), 0);
+    if (expected !== actual) {
+      throw new Error(`Invalid tar archive: bad header checksum at offset ${offset}.`);
+    }
+
+    const prefix = readTarString(header, 345, 155);
+    const name = readTarString(header, 0, 100);
+    const fullName = (prefix ? `${prefix}/${name}` : name).replace(/\/$/, '');
+    const size = readTarOctal(header, 124, 12);
+    const typeflag = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + TAR_BLOCK_SIZE;
+    if (dataStart + size > buffer.length) {
+      throw new Error(`Invalid tar archive: ${fullName} is truncated.`);
+    }
+
+    if (typeflag === '5') {
+      entries.push({ name: fullName, type: 'dir' });
+    } else if (typeflag === '0') {
+      entries.push({ name: fullName, type: 'file', data: Buffer.from(buffer.subarray(dataStart, dataStart + size)) });
+    }
+    offset = dataStart + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+  }
+  return entries;
+}
+
+function isGzipPath(archivePath) {
+  return /\.(tgz|gz)$/i.test(archivePath);
+}
+
+async function readFirmwareVersion(session) {
+  await session.exec('import os,sys');
+  return await session.eval(
+    "{'implementation':sys.implementation.name,'version':sys.version," +
+    "'release':os.uname().release,'machine':os.uname().machine}"
+  );
+}
+
+// Snapshots every file and directory under `options.remotePath` (default '/')
+// into a tar archive (gzip-compressed for .tar.gz/.tgz) with a manifest that
+// records sizes, sha256 hashes and the firmware version. Each downloaded file
+// is checked against the hash computed on the device.
+async function backupMicropython(serialPath, archivePath, options = {}) {
+  if (!archivePath || typeof archivePath !== 'string') {
+    throw new Error('A destination archive path is required.');
+  }
+  const { onProgress } = options;
+  const root = normalizeRemoteRoot(options.remotePath);
+  const ownsSession = !options.session;
+  const session = options.session || await openMicropythonSession(serialPath, options);
+
+  try {
+    const stats = await session.stat(root);
+    if (!stats || stats.type !== 'dir') {
+      throw new Error(`Remote directory does not exist: :${root}`);
+    }
+
+    const firmware = await readFirmwareVersion(session);
+    const manifestEntries = [];
+    const tarEntries = [];
+    for (const entry of await session.hashTree(root)) {
+      const name = `${BACKUP_FILES_PREFIX}${entry.path}`;
+      if (entry.type === 'dir') {
+        manifestEntries.push({ path: entry.path, type: 'dir' });
+        tarEntries.push({ name, type: 'dir' });
+        continue;
+      }
+      const data = await session.readFile(entry.path);
+      const sha256 = hashBuffer(data);
+      if (sha256 !== entry.sha256) {
+        throw new Error(`Checksum mismatch while reading :${entry.path}. The serial transfer may be unreliable.`);
+      }
+      manifestEntries.push({ path: entry.path, type: 'file', size: data.length, sha256 });
+      tarEntries.push({ name, type: 'file', data });
+      notify(onProgress, 'downloaded', { path: entry.path, size: data.length });
+    }
+
+    const manifest = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      root,
+      firmware,
+      entries: manifestEntries
+    };
+    const manifestData = Buffer.from(`${JSON.stringify(manifest, null, 2)}\n`);
+    const tar = createTar([{ name: BACKUP_MANIFEST_NAME, type: 'file', data: manifestData }, ...tarEntries]);
+    const resolvedArchive = path.resolve(archivePath);
+    await fs.outputFile(resolvedArchive, isGzipPath(archivePath) ? zlib.gzipSync(tar) : tar);
+
+    const files = manifestEntries.filter((entry) => entry.type === 'file');
+    return {
+      archive: resolvedArchive,
+      root: `:${root}`,
+      firmware,
+      files: files.length,
+      dirs: manifestEntries.length - files.length,
+      bytes: files.reduce((total, entry) => total + entry.size, 0)
+    };
+  } finally {
+    if (ownsSession) {
+      await session.close();
+    }
+  }
+}
+
+// Loads a backup archive and checks every file against its manifest hash.
+async function readMicropythonBackup(archivePath) {
+  const resolvedArchive = path.resolve(archivePath);
+  const raw = await fs.readFile(resolvedArchive).catch((error) => {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Backup archive does not exist: ${archivePath}`);
+    }
+    throw error;
+  });
+  const tar = raw[0] === GZIP_MAGIC[0] && raw[1] === GZIP_MAGIC[1] ? zlib.gunzipSync(raw) : raw;
+  const entries = parseTar(tar);
+
+  const manifestEntry = entries.find((entry) => entry.name === BACKUP_MANIFEST_NAME);
+  if (!manifestEntry) {
+    throw new Error(`${archivePath} is not a MicroPython backup: ${BACKUP_MANIFEST_NAME} is missing.`);
+  }
+  const manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+  if (manifest.format !== BACKUP_FORMAT || manifest.version !== BACKUP_FORMAT_VERSION) {
+    throw new Error(`Unsupported backup format in ${archivePath}: ${manifest.format} v${manifest.version}`);
+  }
+
+  const contents = new Map(entries.map((entry) => [entry.name, entry]));
+  const files = new Map();
+  for (const entry of manifest.entries.filter((item) => item.type === 'file')) {
+    const archived = contents.get(`${BACKUP_FILES_PREFIX}${entry.path}`);
+    if (!archived || archived.type !== 'file') {
+      throw new Error(`Backup archive is missing ${entry.path}.`);
+    }
+    if (hashBuffer(archived.data) !== entry.sha256) {
+      throw new Error(`Backup archive is corrupted: hash mismatch for ${entry.path}.`);
+    }
+    files.set(entry.path, archived.data);
+  }
+  return { archive: resolvedArchive, manifest, files };
+}
+
+// Writes a backup made by `backupMicropython` back to the board, recreating
+// empty directories, and verifies the result with hashes computed on the
+// device. With `delete`, files under the backup root that are not in the
+// archive are removed first.
+async function restoreMicropython(serialPath, archivePath, options = {}) {
+  const { onProgress } = options;
+  const { archive, manifest, files } = await readMicropythonBackup(archivePath);
+  const { root } = manifest;
+  const backedUp = new Set(manifest.entries.map((entry) => entry.path));
+  const ownsSession = !options.session;
+  const session = options.session || await openMicropythonSession(serialPath, options);
+
+  try {
+    const deleted = [];
+    const rootStats = await session.stat(root);
+    if (options.delete && rootStats && rootStats.type === 'dir') {
+      for (const entry of await session.hashTree(root)) {
+        const covered = deleted.some((removed) => entry.path.startsWith(`${removed}/`));
+        if (!backedUp.has(entry.path) && !covered) {
+          await session.rm(entry.path, { recursive: true });
+          deleted.push(entry.path);
+          notify(onProgress, 'deleted', { path: entry.path });
+        }
+      }
+    }
+
+    if (root !== '/') {
+      await session.mkdir(root);
+    }
+    for (const entry of manifest.entries.filter((item) => item.type === 'dir')) {
+      await session.mkdir(entry.path);
+    }
+    for (const [filePath, data] of files) {
+      await session.writeFile(filePath, data);
+      notify(onProgress, 'restored', { path: filePath, size: data.length });
+    }
+
+    const deviceHashes = new Map((await session.hashTree(root)).map((entry) => [entry.path, entry.sha256]));
+    for (const entry of manifest.entries.filter((item) => item.type === 'file')) {
+      if (deviceHashes.get(entry.path) !== entry.sha256) {
+        throw new Error(`Restore verification failed for :${entry.path}: the device copy does not match the backup.`);
+      }
+    }
+
+    return {
+      archive,
+      root: `:${root}`,
+      firmware: manifest.firmware,
+      files: files.size,
+      dirs: manifest.entries.length - files.size,
+      bytes: [...files.values()].reduce((total, data) => total + data.length, 0),
+      deleted
+    };
+  } finally {
+    if (ownsSession) {
+      await session.close();
+    }
+  }
+}
+
+export { backupMicropython, restoreMicropython, readMicropythonBackup };
@@ -3,16 +3,48 @@ import chalk from 'chalk';
 import pkg from '../package.json' with { type: 'json' };
 import {
   listDevices,
+  watchDevices,
   getSingleDevice,
   putDeviceInFsMode,
   copyToDevice,
   copyFromDevice,
   uploadFirmware,
   downloadFirmware,
-  readInfoFile,
+  convertFirmware,
+  flashDevice,
+  flashFleet,
+  inspectFirmware,
+  extractFirmware,
+  formatHex32,
+  getFirmwareInfo,
   uploadToMicropython,
   downloadFromMicropython,
-  runMicropythonRepl
+  runMicropythonRepl,
+  runMicropythonScript,
+  syncToMicropython,
+  installMicropythonPackages,
+  DEFAULT_MIP_INDEX,
+  backupMicropython,
+  restoreMicropython,
+  startMicropythonDev,
+  listMicropythonFiles,
+  getMicropythonTree,
+  removeMicropythonPath,
+  makeMicropythonDirectory,
+  moveMicropythonPath,
+  readMicropythonFile,
+  getMicropythonDiskUsage,
+  getMicropythonInfo,
+  addMicropythonInfo,
+  startSerialMonitor,
+  getPicotoolInfo,
+  loadPicotoolImage,
+  savePicotoolImage,
+  verifyPicotoolImage,
+  erasePicotoolFlash,
+  rebootDevice,
+  dumpFlash,
+  cloneFlash
 } from './index.js';
 
 function logError(error) {
@@ -36,6 +68,9 @@ function renderDevicesTable(devices) {
     console.log(chalk.cyan(device.id));
     console.log(`  type: ${device.type}`);
     console.log(`  status: ${device.status}`);
+    if (device.chip) {
+      console.log(`  chip: ${device.chip}`);
+    }
     if (device.path) {
       console.log(`  path: ${device.path}`);
     }
@@ -57,12 +92,342 @@ function renderDevicesTable(devices) {
     if (device.description) {
       console.log(`  description: ${device.description}`);
     }
+    if (device.micropython) {
+      const { implementation, board, uniqueId } = device.micropython;
+      console.log(`  micropython: ${implementation.version} on ${board}${uniqueId ? ` (id ${uniqueId})` : ''}`);
+    }
     console.log('');
   }
 }
 
+function renderMemoryMap(ranges) {
+  if (!ranges.length) {
+    console.log('  (no flash data)');
+    return;
+  }
+  for (const range of ranges) {
+    console.log(`  ${formatHex32(range.start)}-${formatHex32(range.end - 1)}  ${range.size} bytes`);
+  }
+}
+
+function renderWatchEvent(event) {
+  const { device } = event;
+  const label = device.path || device.mountPoint || device.id;
+  const chip = device.chip ? ` ${device.chip}` : '';
+  if (event.type === 'attach') {
+    console.log(`${chalk.dim(event.timestamp)} ${chalk.green('attach')}      ${label} (${device.status}${chip})`);
+  } else if (event.type === 'detach') {
+    console.log(`${chalk.dim(event.timestamp)} ${chalk.red('detach')}      ${label} (${device.status}${chip})`);
+  } else {
+    const previousLabel = event.previous.path || event.previous.mountPoint || event.previous.id;
+    console.log(
+      `${chalk.dim(event.timestamp)} ${chalk.cyan('mode-change')} ${previousLabel} -> ${label} (${event.from} -> ${event.to})`
+    );
+  }
+}
+
+async function handleDevicesWatch(options) {
+  const watcher = watchDevices({ interval: options.interval });
+  const stop = () => watcher.close();
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+  if (!options.json) {
+    console.log(chalk.dim('Watching for Raspberry Pi MCUs. Press Ctrl+C to stop.'));
+  }
+
+  try {
+    for await (const event of watcher) {
+      if (options.json) {
+        console.log(JSON.stringify(event));
+      } else {
+        renderWatchEvent(event);
+      }
+    }
+  } finally {
+    process.removeListener('SIGINT', stop);
+    process.removeListener('SIGTERM', stop);
+  }
+}
+
+function describeDevice(device) {
+  return device.serialNumber || device.path || device.mountPoint || device.id;
+}
+
+function renderFleetSummary(summary) {
+  const rows = summary.results.map((entry) => [
+    describeDevice(entry.device),
+    entry.success ? 'ok' : 'FAILED',
+    `${(entry.durationMs / 1000).toFixed(1)}s`,
+    entry.error || ''
+  ]);
+  const headers = ['board', 'result', 'time', 'error'];
+  const widths = headers.map((header, column) =>
+    Math.max(header.length, ...rows.map((row) => row[column].length))
+  );
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log('');
+  console.log(chalk.bold(formatRow(headers)));
+  for (const row of rows) {
+    const line = formatRow(row);
+    console.log(row[1] === 'ok' ? line : chalk.red(line));
+  }
+  console.log('');
+  console.log(`${summary.succeeded} succeeded, ${summary.failed} failed.`);
+}
+
+const SYNC_MARKERS = {
+  add: chalk.green('+'),
+  update: chalk.yellow('~'),
+  replace: chalk.yellow('~'),
+  delete: chalk.red('-')
+};
+
+function renderSyncResult(result) {
+  result.changes.forEach((change) => {
+    const size = change.size === undefined ? '' : chalk.gray(` (${change.size} bytes)`);
+    console.log(`${SYNC_MARKERS[change.action]} ${change.path}${size}`);
+  });
+  const count = (...actions) => result.changes.filter((change) => actions.includes(change.action)).length;
+  const summary = `${count('add')} added, ${count('update', 'replace')} updated, ${count('delete')} deleted, ` +
+    `${result.unchanged} unchanged`;
+  console.log(result.dryRun ? `Dry run: ${summary}. No changes were made.` : `Synced ${result.source} -> ${result.target}: ${summary}.`);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  const units = ['KiB', 'MiB', 'GiB'];
+  let value = bytes;
+  let unit = -1;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit += 1;
+  }
+  return `${value.toFixed(1)} ${units[unit]}`;
+}
+
+function renderMicropythonInfo(info) {
+  console.log(chalk.cyan(`${info.board}`));
+  console.log(`  firmware: ${info.implementation.name} ${info.implementation.version} (${info.uname.version})`);
+  console.log(`  platform: ${info.platform}`);
+  if (info.implementation.mpy) {
+    const arch = info.implementation.mpy.arch ? ` ${info.implementation.mpy.arch}` : '';
+    console.log(`  mpy: v${info.implementation.mpy.version}${arch}`);
+  }
+  console.log(`  unique id: ${info.uniqueId ?? 'unavailable'}`);
+  console.log(`  memory: ${formatBytes(info.memory.free)} free of ${formatBytes(info.memory.total)}`);
+  console.log(`  filesystem: ${formatBytes(info.filesystem.freeBytes)} free of ${formatBytes(info.filesystem.totalBytes)}`);
+}
+
+function renderRemoteListing(entries, recursive) {
+  const width = Math.max(0, ...entries.map((entry) => String(entry.size).length));
+  for (const entry of entries) {
+    const name = recursive ? entry.path : entry.name;
+    const size = entry.type === 'dir' ? ''.padStart(width) : String(entry.size).padStart(width);
+    console.log(`${size}  ${entry.type === 'dir' ? chalk.blue(`${name}/`) : name}`);
+  }
+}
+
+function renderRemoteTree(node, prefix = '') {
+  if (!prefix) {
+    console.log(chalk.blue(node.path));
+  }
+  node.children.forEach((child, index) => {
+    const last = index === node.children.length - 1;
+    const label = child.type === 'dir' ? chalk.blue(`${child.name}/`) : `${child.name} ${chalk.gray(`(${child.size})`)}`;
+    console.log(`${prefix}${last ? '└── ' : '├── '}${label}`);
+    if (child.type === 'dir') {
+      renderRemoteTree(child, `${prefix}${last ? '    ' : '│   '}`);
+    }
+  });
+}
+
+async function handleMicropythonDev(serialPath, dir, options) {
+  const loop = await startMicropythonDev(serialPath, dir, {
+    remoteDir: options.remote,
+    restart: options.restart,
+    delete: options.delete,
+    compile: options.compile,
+    mpyCrossPath: options.mpyCross,
+    timeout: options.timeout
+  });
+
+  loop.on('output', (chunk) => process.stdout.write(chunk));
+  loop.on('sync', (result) => {
+    if (result.changes.length) {
+      console.log(chalk.dim(`\n[dev] uploaded ${result.changes.map((change) => change.path).join(', ')}`));
+    }
+  });
+  loop.on('restart', (event) => console.log(chalk.dim(`[dev] restarted (${event.mode})`)));
+  loop.on('error', (error) => logError(error));
+  console.log(chalk.dim(`Watching ${loop.localDir}. Press Ctrl+C to stop.`));
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      loop.close().finally(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+  });
+}
+
+async function handleMonitor(serialPath, options) {
+  let target = serialPath;
+  let serialNumber;
+  if (!target) {
+    const { device, error } = await getSingleDevice({ type: 'serial' });
+    if (error) {
+      throw new Error(error);
+    }
+    target = device.path;
+    serialNumber = device.serialNumber;
+    console.log(chalk.dim(`Auto-selected device: ${device.path || device.id}`));
+  }
+
+  const monitor = await startSerialMonitor(target, {
+    serialNumber,
+    baudRate: options.baud,
+    timestamps: options.timestamps,
+    logFile: options.log,
+    reconnect: options.reconnect
+  });
+  monitor.on('output', (text) => process.stdout.write(text));
+  monitor.on('disconnect', ({ path: portPath }) => {
+    console.error(chalk.yellow(`\n[monitor] ${portPath} disconnected${monitor.reconnect ? ', waiting for it to return...' : ''}`));
+  });
+  monitor.on('reconnect', ({ path: portPath }) => console.error(chalk.dim(`[monitor] reconnected to ${portPath}`)));
+  monitor.on('error', (error) => logError(error));
+  console.error(chalk.dim(`Monitoring ${target} at ${monitor.baudRate} baud. Press Ctrl+C to stop.`));
+
+  await new Promise((resolve) => {
+    const stop = () => {
+      process.removeListener('SIGINT', stop);
+      process.removeListener('SIGTERM', stop);
+      monitor.close().finally(resolve);
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+    monitor.once('close', stop);
+  });
+}
+
+// "0xFF" or "255" -> 255.
+function parseFillByte(value) {
+  const byte = Number(value);
+  if (!value.trim() || !Number.isInteger(byte) || byte < 0 || byte > 0xFF) {
+    throw new Error(`Invalid fill byte "${value}". Expected 0-255 or 0x00-0xFF.`);
+  }
+  return byte;
+}
+
+// "0x10000000:0x10010000" -> { start, end }. Either bound may be hex or decimal.
+function parseFlashRange(value) {
+  const match = /^\s*(0x[0-9a-f]+|\d+)\s*:\s*(0x[0-9a-f]+|\d+)\s*$/i.exec(value);
+  if (!match) {
+    throw new Error(`Invalid range "${value}". Expected start:end, for example 0x10000000:0x10100000.`);
+  }
+  return { start: Number(match[1]), end: Number(match[2]) };
+}
+
+function addPicotoolTargetOptions(command) {
+  return command
+    .option('-s, --serial <serialNumber>', 'Target a specific device serial number')
+    .option('--bus <bus>', 'USB bus number')
+    .option('--address <address>', 'USB device address')
+    .option('-f, --force', 'Reboot a running board into BOOTSEL mode first')
+    .option('-p, --picotool <path>', 'Custom picotool executable path')
+    .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10));
+}
+
+function picotoolTargetOptions(options) {
+  return {
+    serialNumber: options.serial,
+    bus: options.bus,
+    address: options.address,
+    force: options.force,
+    picotoolPath: options.picotool,
+    timeout: options.timeout
+  };
+}
+
+function filesystemOptions(options) {
+  return {
+    backend: options.backend,
+    mpremotePath: options.mpremote,
+    timeout: options.timeout
+  };
+}
+
+function renderBinaryInfo(info) {
+  const { program, build, pins } = info;
+  if (program) {
+    console.log(chalk.cyan(`${program.name || 'unnamed program'}${program.version ? ` ${program.version}` : ''}`));
+    if (program.description) {
+      console.log(`  ${program.description}`);
+    }
+    if (program.features && program.features.length) {
+      console.log(`  features: ${program.features.join(', ')}`);
+    }
+  }
+  if (build) {
+    const date = build.isoDate || build.date;
+    console.log(`  built: ${[date, build.sdkVersion && `SDK ${build.sdkVersion}`, build.board].filter(Boolean).join(', ')}`);
+  }
+  pins.forEach(({ pin, functions }) => console.log(`  GP${pin}: ${functions.join(', ')}`));
+}
+
+function renderPicotoolInfo(info) {
+  if (info.source) {
+    console.log(chalk.cyan(info.source));
+  }
+  for (const [title, values] of Object.entries(info.sections)) {
+    console.log(chalk.bold(title));
+    const width = Math.max(0, ...Object.keys(values).map((key) => key.length));
+    for (const [key, value] of Object.entries(values)) {
+      const lines = [].concat(value);
+      console.log(`  ${`${key}:`.padEnd(width + 2)}${lines[0]}`);
+      lines.slice(1).forEach((line) => console.log(`  ${''.padEnd(width + 2)}${line}`));
+    }
+  }
+}
+
+async function handleFleetFlash(image, options, flashOptions) {
+  const summary = await flashFleet(image, {
+    ...flashOptions,
+    all: options.all,
+    serialPattern: options.match,
+    concurrency: options.concurrency,
+    onProgress: (event) => {
+      const label = chalk.cyan(`[${describeDevice(event.device)}]`);
+      if (event.stage === 'failed') {
+        console.log(`${label} ${chalk.red(`failed: ${event.error}`)}`);
+      } else if (event.stage === 'done') {
+        console.log(`${label} ${chalk.green('done')}`);
+      } else if (event.stage !== 'selected') {
+        console.log(`${label} ${event.stage}`);
+      }
+    }
+  });
+  renderFleetSummary(summary);
+  if (summary.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
 async function handleDevicesCommand(options) {
-  const result = await listDevices();
+  if (options.watch) {
+    await handleDevicesWatch(options);
+    return;
+  }
+
+  let result = await listDevices();
+  if (options.micropython) {
+    result = await addMicropythonInfo(result);
+  }
   if (options.json) {
     const payload = {
       devices: result.devices,
@@ -96,7 +461,10 @@ async function runCli(argv = process.argv) {
   program
     .command('devices')
     .description('List connected Raspberry Pi MCUs and their status.')
-    .option('--json', 'Output device information as JSON')
+    .option('--json', 'Output device information as JSON (NDJSON events with --watch)')
+    .option('-w, --watch', 'Keep running and report attach, detach and mode-change events')
+    .option('-i, --interval <ms>', 'Polling interval for --watch in milliseconds', (v) => parseInt(v, 10), 1000)
+    .option('--micropython', 'Query MicroPython boards over the raw REPL (interrupting their program) and include their details')
     .action((options) => handleDevicesCommand(options).catch((error) => {
       logError(error);
       process.exitCode = 1;
@@ -104,19 +472,23 @@ async function runCli(argv = process.argv) {
 
   program
     .command('put-fs')
-    .description('Use picotool to reboot a device into filesystem (BOOTSEL) mode.')
+    .description('Reboot a device into filesystem (BOOTSEL) mode with picotool, a 1200-baud touch or machine.bootloader().')
     .option('-s, --serial <serialNumber>', 'Target a specific device serial number')
     .option('-b, --bus <bus>', 'USB bus number')
     .option('-a, --address <address>', 'USB device address on the bus')
     .option('-d, --drive <drive>', 'Explicit drive name for picotool')
+    .option('-m, --method <method>', 'How to reboot: auto, picotool, touch (1200-baud serial touch) or micropython (machine.bootloader())', 'auto')
+    .option('--port <serialPath>', 'Serial port to use for the touch and micropython methods')
     .option('-p, --picotool <path>', 'Custom picotool executable path')
     .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10))
+    .option('-w, --wait', 'Wait for the UF2 drive to mount and print its mount point')
+    .option('--wait-timeout <ms>', 'How long to wait for the UF2 drive in milliseconds', (v) => parseInt(v, 10))
     .action(async (options) => {
       try {
-        let { serial: serialNumber, bus, address, drive } = options;
+        let { serial: serialNumber, bus, address, drive, port: serialPath } = options;
 
         // Auto-select device when no targeting options provided
-        const noTargetSpecified = !serialNumber && bus === undefined && address === undefined && !drive;
+        const noTargetSpecified = !serialNumber && !serialPath && bus === undefined && address === undefined && !drive;
         if (noTargetSpecified) {
           const { device, error } = await getSingleDevice({ type: 'serial' });
           if (error) {
@@ -124,20 +496,29 @@ async function runCli(argv = process.argv) {
           }
           if (device && device.serialNumber) {
             serialNumber = device.serialNumber;
-            console.log(chalk.dim(`Auto-selected device: ${device.path || device.id}`));
           }
+          serialPath = device.path;
+          console.log(chalk.dim(`Auto-selected device: ${device.path || device.id}`));
         }
 
-        const output = await putDeviceInFsMode({
+        const result = await putDeviceInFsMode({
+          method: options.method,
           serialNumber,
+          serialPath,
           bus,
           address,
           drive,
           picotoolPath: options.picotool,
-          timeout: options.timeout
+          timeout: options.timeout,
+          waitForMount: options.wait,
+          mountTimeout: options.waitTimeout
         });
-        if (output) {
-          console.log(output);
+        if (result.output) {
+          console.log(result.output);
+        }
+        if (options.wait) {
+          console.log(`UF2 drive mounted at ${result.mountPoint}`);
+          return;
         }
         console.log('Reboot command sent. Check your mounted volumes for the UF2 drive.');
       } catch (error) {
@@ -146,6 +527,107 @@ async function runCli(argv = process.argv) {
       }
     });
 
+  program
+    .command('reboot [device]')
+    .description('Reboot a board without unplugging it: back into its application (default), into BOOTSEL, or a MicroPython soft reset.')
+    .option('--app', 'Reboot into the application (picotool for BOOTSEL boards, machine.reset() for serial ones)')
+    .option('--bootsel', 'Reboot a running board into BOOTSEL mode')
+    .option('--soft', 'Soft-reset MicroPython, rerunning boot.py and main.py')
+    .option('-s, --serial <serialNumber>', 'Target a specific device serial number')
+    .option('-m, --method <method>', 'With --bootsel: auto, picotool, touch or micropython (see put-fs)', 'auto')
+    .option('-p, --picotool <path>', 'Custom picotool executable path')
+    .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10))
+    .option('-w, --wait', 'With --bootsel, wait for the UF2 drive to mount and print its mount point')
+    .action(async (target, options) => {
+      try {
+        const modes = ['app', 'bootsel', 'soft'].filter((mode) => options[mode]);
+        if (modes.length > 1) {
+          throw new Error('Pass only one of --app, --bootsel and --soft.');
+        }
+        const result = await rebootDevice({
+          target,
+          serialNumber: options.serial,
+          mode: modes[0] || 'app',
+          method: options.method,
+          picotoolPath: options.picotool,
+          timeout: options.timeout,
+          waitForMount: options.wait
+        });
+        const label = result.device.path || result.device.mountPoint || result.device.serialNumber || result.device.id;
+        if (result.output) {
+          console.log(result.output);
+        }
+        if (!result.method) {
+          console.log(`${label} is already in BOOTSEL mode.`);
+        } else if (result.mountPoint) {
+          console.log(`UF2 drive mounted at ${result.mountPoint}`);
+        } else {
+          console.log(`Rebooted ${label} (${result.method}).`);
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  program
+    .command('flash <image>')
+    .description('Reboot a board into BOOTSEL, upload firmware, and wait for it to come back as a serial device.')
+    .option('-s, --serial <serialNumber>', 'Target a specific device serial number')
+    .option('--all', 'Flash every connected board concurrently')
+    .option('--match <pattern>', 'Flash every board whose serial number matches a glob pattern (e.g. E660*)')
+    .option('-j, --concurrency <n>', 'Maximum boards flashed at once with --all/--match', (v) => parseInt(v, 10), 4)
+    .option('-f, --force', 'Flash even if the image family does not match the board')
+    .option('-p, --picotool <path>', 'Custom picotool executable path')
+    .option('-t, --timeout <ms>', 'How long to wait for each reboot step in milliseconds', (v) => parseInt(v, 10))
+    .option('--no-reconnect', 'Do not wait for the board to re-enumerate as a serial device')
+    .option('--chip <chip>', 'Chip defaults for .bin/.elf/.hex conversion (RP2040 or RP2350); detected from the board if omitted')
+    .option('--base <address>', 'Flash base address for .bin conversion')
+    .option('--family <id>', 'UF2 family ID (name or number) for .bin/.elf/.hex conversion')
+    .action(async (image, options) => {
+      try {
+        const flashOptions = {
+          force: options.force,
+          chip: options.chip,
+          baseAddress: options.base,
+          familyId: options.family,
+          picotoolPath: options.picotool,
+          mountTimeout: options.timeout,
+          reconnectTimeout: options.timeout,
+          waitForReconnect: options.reconnect
+        };
+        if (options.all || options.match) {
+          if (options.serial) {
+            throw new Error('Use --serial on its own, not together with --all or --match.');
+          }
+          await handleFleetFlash(image, options, flashOptions);
+          return;
+        }
+
+        const result = await flashDevice(image, {
+          ...flashOptions,
+          serialNumber: options.serial,
+          onProgress: (event) => {
+            if (event.stage === 'selected') {
+              console.log(chalk.dim(`Selected device: ${describeDevice(event.device)}`));
+            } else if (event.stage === 'rebooting') {
+              console.log('Rebooting into BOOTSEL mode...');
+            } else if (event.stage === 'mounted') {
+              console.log(`UF2 drive mounted at ${event.mountPoint}`);
+            } else if (event.stage === 'uploaded') {
+              console.log(`Firmware copied to ${event.destination}`);
+            } else if (event.stage === 'reconnected') {
+              console.log(`Board is back on ${event.serialDevice.path}`);
+            }
+          }
+        });
+        console.log(chalk.green(`Flashed ${image} in ${(result.durationMs / 1000).toFixed(1)}s`));
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
   program
     .command('push <source> <mountPoint> [targetPath]')
     .description('Copy a file or directory to a device mounted in filesystem mode.')
@@ -172,17 +654,39 @@ async function runCli(argv = process.argv) {
       }
     });
 
+  program
+    .command('monitor [serialPath]')
+    .description('Stream a board\'s USB serial output, reconnecting when it resets or re-enumerates.')
+    .option('-b, --baud <rate>', 'Baud rate', (v) => parseInt(v, 10), 115200)
+    .option('--timestamps', 'Prefix every line with an ISO timestamp')
+    .option('-l, --log <file>', 'Also append the output to this file')
+    .option('--no-reconnect', 'Exit when the port disconnects instead of waiting for it to return')
+    .action((serialPath, options) => handleMonitor(serialPath, options).catch((error) => {
+      logError(error);
+      process.exitCode = 1;
+    }));
+
   const firmwareCmd = program
     .command('firmware')
     .description('Manage UF2 firmware images on Raspberry Pi MCUs.');
 
   firmwareCmd
     .command('upload <firmwarePath> <mountPoint>')
-    .description('Upload a UF2 firmware image to the device.')
+    .description('Validate and upload a firmware image (.uf2, .bin, .elf or .hex) to the device.')
     .option('-n, --name <filename>', 'Rename the firmware file on the device')
+    .option('-f, --force', 'Flash even if the image family does not match the board')
+    .option('--chip <chip>', 'Chip defaults for .bin/.elf/.hex conversion (RP2040 or RP2350)')
+    .option('--base <address>', 'Flash base address for .bin conversion')
+    .option('--family <id>', 'UF2 family ID (name or number) for .bin/.elf/.hex conversion')
     .action(async (firmwarePath, mountPoint, options) => {
       try {
-        const destination = await uploadFirmware(firmwarePath, mountPoint, { targetFilename: options.name });
+        const destination = await uploadFirmware(firmwarePath, mountPoint, {
+          targetFilename: options.name,
+          force: options.force,
+          chip: options.chip,
+          baseAddress: options.base,
+          familyId: options.family
+        });
         console.log(`Firmware uploaded to ${destination}`);
       } catch (error) {
         logError(error);
@@ -190,6 +694,81 @@ async function runCli(argv = process.argv) {
       }
     });
 
+  firmwareCmd
+    .command('convert <input> [output]')
+    .description('Convert a .bin, .elf or .hex firmware file into a UF2 image.')
+    .option('--chip <chip>', 'Use the flash defaults for this chip (RP2040 or RP2350)', 'RP2040')
+    .option('--base <address>', 'Flash base address for .bin input (e.g. 0x10000000)')
+    .option('--family <id>', 'UF2 family ID as a name (e.g. RP2350_RISCV) or number')
+    .option('--format <format>', 'Input format (bin, elf or hex); detected from the extension if omitted')
+    .action(async (input, output, options) => {
+      try {
+        const result = await convertFirmware(input, output, {
+          chip: options.chip,
+          baseAddress: options.base,
+          familyId: options.family,
+          format: options.format
+        });
+        const families = result.families.map((family) => family.name || family.hex).join(', ');
+        console.log(`Converted ${result.source} -> ${result.destination} (${result.blockCount} blocks, ${families})`);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  firmwareCmd
+    .command('inspect <input>')
+    .description('Validate a UF2 file (or a mounted drive\'s CURRENT.UF2) and print its memory map.')
+    .option('--json', 'Output the inspection result as JSON')
+    .action(async (input, options) => {
+      try {
+        const result = await inspectFirmware(input);
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(chalk.cyan(result.source));
+          console.log(`  valid: ${result.valid ? 'yes' : 'no'}`);
+          console.log(`  blocks: ${result.blockCount}`);
+          const families = result.families.map((family) => `${family.name || 'unknown'} (${family.hex})`);
+          console.log(`  families: ${families.join(', ') || 'none'}`);
+          console.log(`  flash bytes: ${result.totalBytes}`);
+          console.log('  memory map:');
+          renderMemoryMap(result.ranges);
+          for (const message of result.errors) {
+            console.log(chalk.yellow(`  ${message}`));
+          }
+        }
+        if (!result.valid) {
+          process.exitCode = 1;
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  firmwareCmd
+    .command('extract <input> [output]')
+    .description('Decode a UF2 file (or a mounted drive\'s CURRENT.UF2) into a flat binary.')
+    .option('--fill <byte>', 'Byte value used to fill gaps between regions', parseFillByte, 0xFF)
+    .option('--family <id>', 'Extract only blocks for this UF2 family ID (name or number)')
+    .action(async (input, output, options) => {
+      try {
+        const result = await extractFirmware(input, output, {
+          fill: options.fill,
+          familyId: options.family
+        });
+        console.log(`Extracted ${result.source} -> ${result.destination}`);
+        console.log(`  base address: ${formatHex32(result.baseAddress)} (${result.size} bytes)`);
+        console.log('  memory map:');
+        renderMemoryMap(result.ranges);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
   firmwareCmd
     .command('download <mountPoint> <destination>')
     .description('Download a UF2 firmware image from the device to the local machine.')
@@ -205,15 +784,88 @@ async function runCli(argv = process.argv) {
     });
 
   firmwareCmd
-    .command('info <mountPoint>')
-    .description('Read the INFO_UF2.TXT metadata from a mounted device.')
-    .action(async (mountPoint) => {
+    .command('info <target>')
+    .description('Show INFO_UF2.TXT and picotool binary info for a mounted device, or binary info for a UF2/ELF/BIN file.')
+    .option('--json', 'Output INFO_UF2.TXT and the picotool binary info as JSON')
+    .option('-s, --serial <serialNumber>', 'Serial number of the board picotool should query')
+    .option('-p, --picotool <path>', 'Custom picotool executable path')
+    .action(async (target, options) => {
       try {
-        const info = await readInfoFile(mountPoint);
-        if (info) {
-          console.log(info);
-        } else {
-          console.log('INFO_UF2.TXT not found. Make sure the device is in filesystem mode.');
+        const result = await getFirmwareInfo(target, {
+          serialNumber: options.serial,
+          picotoolPath: options.picotool
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+          return;
+        }
+        if (result.mountPoint) {
+          console.log(result.infoFile ? result.infoFile.raw : 'INFO_UF2.TXT not found. Make sure the device is in filesystem mode.');
+        }
+        if (result.binaryInfo) {
+          renderBinaryInfo(result.binaryInfo);
+        } else if (result.binaryInfoError) {
+          console.log(chalk.yellow(`Binary info unavailable: ${result.binaryInfoError}`));
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  addPicotoolTargetOptions(
+    firmwareCmd
+      .command('dump <output>')
+      .description('Save the whole flash of a BOOTSEL board (or an address range) to a .uf2 or .bin file.')
+      .option('-r, --range <start:end>', 'Only dump this address range', parseFlashRange)
+      .option('--json', 'Output the dump details as JSON')
+  ).action(async (file, options) => {
+    try {
+      const result = await dumpFlash(file, { ...picotoolTargetOptions(options), range: options.range });
+      if (options.json) {
+        const { output, ...details } = result;
+        console.log(JSON.stringify(details, null, 2));
+        return;
+      }
+      console.log(`Dumped ${result.size} bytes of flash to ${result.file}`);
+      console.log(chalk.dim(`sha256 ${result.sha256}`));
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
+  firmwareCmd
+    .command('clone <sourceSerial> <targetSerial...>')
+    .description('Copy the flash of one BOOTSEL board onto other boards and verify each copy.')
+    .option('-r, --range <start:end>', 'Only clone this address range', parseFlashRange)
+    .option('-i, --image <file>', 'Keep the source dump in this .uf2 or .bin file')
+    .option('-x, --execute', 'Reboot each target into the cloned application once verified')
+    .option('-f, --force', 'Reboot running boards into BOOTSEL mode first')
+    .option('-p, --picotool <path>', 'Custom picotool executable path')
+    .option('-t, --timeout <ms>', 'Timeout for each picotool command in milliseconds', (v) => parseInt(v, 10))
+    .action(async (sourceSerial, targetSerials, options) => {
+      try {
+        const summary = await cloneFlash(sourceSerial, targetSerials, {
+          range: options.range,
+          image: options.image,
+          execute: options.execute,
+          force: options.force,
+          picotoolPath: options.picotool,
+          timeout: options.timeout,
+          onProgress: (event) => {
+            if (event.stage === 'dumped') {
+              console.log(`Dumped ${event.dump.size} bytes from ${event.serialNumber}`);
+            } else if (event.stage === 'failed') {
+              console.log(`${chalk.cyan(`[${describeDevice(event.device)}]`)} ${chalk.red(`failed: ${event.error}`)}`);
+            } else if (event.device) {
+              console.log(`${chalk.cyan(`[${describeDevice(event.device)}]`)} ${event.stage}`);
+            }
+          }
+        });
+        renderFleetSummary(summary);
+        if (summary.failed > 0) {
+          process.exitCode = 1;
         }
       } catch (error) {
         logError(error);
@@ -221,22 +873,145 @@ async function runCli(argv = process.argv) {
       }
     });
 
+  const picotoolCmd = program
+    .command('picotool')
+    .description('Inspect, load, save, verify and erase flash on boards in BOOTSEL mode via picotool.');
+
+  addPicotoolTargetOptions(
+    picotoolCmd
+      .command('info [file]')
+      .description('Show program, pin, build and device information for a board or a UF2/ELF/BIN file.')
+      .option('--json', 'Output the parsed information as JSON')
+  ).action(async (file, options) => {
+    try {
+      const info = await getPicotoolInfo({ ...picotoolTargetOptions(options), file });
+      if (options.json) {
+        const { output, ...parsed } = info;
+        console.log(JSON.stringify(parsed, null, 2));
+      } else {
+        renderPicotoolInfo(info);
+      }
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
+  addPicotoolTargetOptions(
+    picotoolCmd
+      .command('load <image>')
+      .description('Write a UF2/ELF/BIN image to flash.')
+      .option('-x, --execute', 'Run the program once it is loaded')
+      .option('-v, --verify', 'Verify the flash contents after loading')
+      .option('-o, --offset <address>', 'Load a BIN image at this flash address')
+  ).action(async (image, options) => {
+    try {
+      const result = await loadPicotoolImage(image, {
+        ...picotoolTargetOptions(options),
+        execute: options.execute,
+        verify: options.verify,
+        offset: options.offset === undefined ? undefined : Number(options.offset)
+      });
+      console.log(`Loaded ${result.image}${result.verified ? ' and verified it' : ''}.`);
+      if (result.executed) {
+        console.log(chalk.dim('The board is running the new program.'));
+      }
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
+  addPicotoolTargetOptions(
+    picotoolCmd
+      .command('save <output>')
+      .description('Save the current program, the whole flash or an address range to a UF2/BIN/ELF file.')
+      .option('-a, --all', 'Save the whole flash instead of just the program')
+      .option('-r, --range <start:end>', 'Save only this address range', parseFlashRange)
+  ).action(async (output, options) => {
+    try {
+      const result = await savePicotoolImage(output, {
+        ...picotoolTargetOptions(options),
+        all: options.all,
+        range: options.range
+      });
+      console.log(`Saved ${result.mode === 'all' ? 'the whole flash' : `the ${result.mode}`} to ${result.file}`);
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
+  addPicotoolTargetOptions(
+    picotoolCmd
+      .command('verify <image>')
+      .description('Check that the board\'s flash matches an image.')
+      .option('-r, --range <start:end>', 'Only compare this address range', parseFlashRange)
+      .option('-o, --offset <address>', 'Flash address of a BIN image')
+  ).action(async (image, options) => {
+    try {
+      const result = await verifyPicotoolImage(image, {
+        ...picotoolTargetOptions(options),
+        range: options.range,
+        offset: options.offset === undefined ? undefined : Number(options.offset)
+      });
+      if (result.verified) {
+        console.log(chalk.green(`Flash matches ${result.image}`));
+      } else {
+        console.log(chalk.red(`Flash does not match ${result.image}: ${result.output}`));
+        process.exitCode = 1;
+      }
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
+  addPicotoolTargetOptions(
+    picotoolCmd
+      .command('erase')
+      .description('Erase an address range, or the whole flash with --all.')
+      .option('-r, --range <start:end>', 'Erase this address range', parseFlashRange)
+      .option('-a, --all', 'Erase the whole flash')
+  ).action(async (options) => {
+    try {
+      const result = await erasePicotoolFlash({
+        ...picotoolTargetOptions(options),
+        all: options.all,
+        range: options.range
+      });
+      console.log(result.range ? `Erased ${result.range.start}-${result.range.end}` : 'Erased the whole flash.');
+    } catch (error) {
+      logError(error);
+      process.exitCode = 1;
+    }
+  });
+
   const micropythonCmd = program
     .command('micropython')
-    .description('Work with Raspberry Pi boards running MicroPython via mpremote.');
+    .description('Work with Raspberry Pi boards running MicroPython via mpremote or the built-in raw REPL.');
 
   micropythonCmd
     .command('upload <serialPath> <source> <target>')
     .description('Upload a file or directory to a MicroPython device.')
+    .option('-c, --compile', 'Precompile .py files (except main.py and boot.py) to .mpy with mpy-cross')
+    .option('--mpy-cross <path>', 'Custom mpy-cross executable path')
     .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
     .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10))
     .action(async (serialPath, source, target, options) => {
       try {
         const result = await uploadToMicropython(serialPath, source, target, {
+          compile: options.compile,
+          mpyCrossPath: options.mpyCross,
           mpremotePath: options.mpremote,
+          backend: options.backend,
           timeout: options.timeout
         });
         console.log(`Uploaded ${result.source} -> ${result.target}`);
+        if (result.compiled && result.compiled.length) {
+          console.log(chalk.dim(`Compiled to .mpy: ${result.compiled.join(', ')}`));
+        }
       } catch (error) {
         logError(error);
         process.exitCode = 1;
@@ -248,11 +1023,13 @@ async function runCli(argv = process.argv) {
     .description('Download a file or directory from a MicroPython device.')
     .option('-r, --recursive', 'Copy directories recursively')
     .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
     .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10))
     .action(async (serialPath, remotePath, destination, options) => {
       try {
         const result = await downloadFromMicropython(serialPath, remotePath, destination, {
           mpremotePath: options.mpremote,
+          backend: options.backend,
           recursive: options.recursive,
           timeout: options.timeout
         });
@@ -263,17 +1040,337 @@ async function runCli(argv = process.argv) {
       }
     });
 
+  micropythonCmd
+    .command('sync <serialPath> <localDir> <remoteDir>')
+    .description('Upload only the files that changed, comparing hashes computed on the device.')
+    .option('--delete', 'Delete remote files that no longer exist locally')
+    .option('-n, --dry-run', 'Show what would change without touching the device')
+    .option('-c, --compile', 'Precompile .py files (except main.py and boot.py) to .mpy with mpy-cross')
+    .option('--mpy-cross <path>', 'Custom mpy-cross executable path')
+    .option('--json', 'Output the sync result as JSON')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, localDir, remoteDir, options) => {
+      try {
+        const result = await syncToMicropython(serialPath, localDir, remoteDir, {
+          delete: options.delete,
+          dryRun: options.dryRun,
+          compile: options.compile,
+          mpyCrossPath: options.mpyCross,
+          timeout: options.timeout
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          renderSyncResult(result);
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('install <serialPath> [packages...]')
+    .description('Install mip packages and their dependencies onto a MicroPython device.')
+    .option('-i, --index <url|dir>', `Package index URL or local mirror directory (default: ${DEFAULT_MIP_INDEX})`)
+    .option('--target <remoteDir>', 'Remote directory to install into (default: /lib)')
+    .option('-l, --lockfile <path>', 'Pin resolved packages in this lockfile; with no packages, install everything it lists')
+    .option('--offline', 'Never download; install from the lockfile cache or a local mirror only')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, packages, options) => {
+      try {
+        const result = await installMicropythonPackages(serialPath, packages, {
+          index: options.index,
+          target: options.target,
+          lockfile: options.lockfile,
+          offline: options.offline,
+          timeout: options.timeout
+        });
+        for (const installed of result.packages) {
+          const version = installed.version ? chalk.gray(` ${installed.version}`) : '';
+          console.log(`${chalk.green('+')} ${installed.name}${version} (${installed.files.length} files)`);
+        }
+        console.log(`Installed ${result.packages.length} packages into ${result.target}.`);
+        if (result.lockfile) {
+          console.log(chalk.dim(`Updated ${result.lockfile}`));
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('backup <serialPath> <archive>')
+    .description('Snapshot the MicroPython filesystem into a tar archive (.tar.gz/.tgz to compress) with a manifest.')
+    .option('-p, --path <remoteDir>', 'Remote directory to back up', '/')
+    .option('--json', 'Output the backup summary as JSON')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, archive, options) => {
+      try {
+        const result = await backupMicropython(serialPath, archive, {
+          remotePath: options.path,
+          timeout: options.timeout
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          console.log(
+            `Backed up ${result.files} files and ${result.dirs} directories (${formatBytes(result.bytes)}) ` +
+            `from ${result.root} -> ${result.archive}`
+          );
+          console.log(chalk.dim(`Firmware: ${result.firmware.version} (${result.firmware.machine})`));
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('restore <serialPath> <archive>')
+    .description('Restore a backup archive onto a MicroPython device and verify every file.')
+    .option('--delete', 'Delete files under the backup root that are not in the archive')
+    .option('--json', 'Output the restore summary as JSON')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, archive, options) => {
+      try {
+        const result = await restoreMicropython(serialPath, archive, {
+          delete: options.delete,
+          timeout: options.timeout
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          result.deleted.forEach((deletedPath) => console.log(`${SYNC_MARKERS.delete} ${deletedPath}`));
+          console.log(
+            `Restored ${result.files} files and ${result.dirs} directories (${formatBytes(result.bytes)}) ` +
+            `from ${result.archive} -> ${result.root}`
+          );
+          console.log(chalk.dim(`Backup was taken on firmware ${result.firmware.version} (${result.firmware.machine})`));
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('ls <serialPath> [remotePath]')
+    .description('List files on a MicroPython device with their sizes.')
+    .option('-r, --recursive', 'List subdirectories recursively')
+    .option('--json', 'Output the listing as JSON')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const result = await listMicropythonFiles(serialPath, remotePath || '/', {
+          ...filesystemOptions(options),
+          recursive: options.recursive
+        });
+        if (options.json) {
+          console.log(JSON.stringify(result, null, 2));
+        } else {
+          renderRemoteListing(result.entries, options.recursive);
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('tree <serialPath> [remotePath]')
+    .description('Show the directory tree of a MicroPython device.')
+    .option('--json', 'Output the tree as JSON')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const tree = await getMicropythonTree(serialPath, remotePath || '/', filesystemOptions(options));
+        if (options.json) {
+          console.log(JSON.stringify(tree, null, 2));
+        } else {
+          renderRemoteTree(tree);
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('rm <serialPath> <remotePath>')
+    .description('Remove a file or directory from a MicroPython device.')
+    .option('-r, --recursive', 'Remove directories and their contents')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const result = await removeMicropythonPath(serialPath, remotePath, {
+          ...filesystemOptions(options),
+          recursive: options.recursive
+        });
+        console.log(`Removed ${result.path}`);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('mkdir <serialPath> <remotePath>')
+    .description('Create a directory (and any missing parents) on a MicroPython device.')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const result = await makeMicropythonDirectory(serialPath, remotePath, filesystemOptions(options));
+        console.log(`Created ${result.path}`);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('mv <serialPath> <source> <target>')
+    .description('Move or rename a file or directory on a MicroPython device.')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, source, target, options) => {
+      try {
+        const result = await moveMicropythonPath(serialPath, source, target, filesystemOptions(options));
+        console.log(`Moved ${result.source} -> ${result.target}`);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('cat <serialPath> <remotePath>')
+    .description('Print the contents of a file on a MicroPython device.')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const result = await readMicropythonFile(serialPath, remotePath, {
+          ...filesystemOptions(options),
+          encoding: 'base64'
+        });
+        process.stdout.write(Buffer.from(result.data, 'base64'));
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('df <serialPath> [remotePath]')
+    .description('Show total, used and free space on the MicroPython filesystem.')
+    .option('--json', 'Output the usage as JSON')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, remotePath, options) => {
+      try {
+        const usage = await getMicropythonDiskUsage(serialPath, remotePath || '/', filesystemOptions(options));
+        if (options.json) {
+          console.log(JSON.stringify(usage, null, 2));
+        } else {
+          const percent = usage.totalBytes ? Math.round((usage.usedBytes / usage.totalBytes) * 100) : 0;
+          console.log(
+            `${usage.path}  size ${formatBytes(usage.totalBytes)}  used ${formatBytes(usage.usedBytes)}  ` +
+            `free ${formatBytes(usage.freeBytes)}  (${percent}% used)`
+          );
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('info <serialPath>')
+    .description('Show the MicroPython version, board name, unique ID, free memory and filesystem size.')
+    .option('--json', 'Output the information as JSON')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, options) => {
+      try {
+        const info = await getMicropythonInfo(serialPath, { timeout: options.timeout });
+        if (options.json) {
+          console.log(JSON.stringify(info, null, 2));
+        } else {
+          renderMicropythonInfo(info);
+        }
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('dev <serialPath> <dir>')
+    .description('Watch a local project, push changes as they are saved and stream the board console.')
+    .option('-r, --remote <dir>', 'Remote directory to sync into', '/')
+    .option('--restart <mode>', 'After each sync: soft (soft reset), run (run main.py) or none', 'soft')
+    .option('--delete', 'Delete remote files that no longer exist locally')
+    .option('-c, --compile', 'Precompile .py files (except main.py and boot.py) to .mpy with mpy-cross')
+    .option('--mpy-cross <path>', 'Custom mpy-cross executable path')
+    .option('-t, --timeout <ms>', 'Device inactivity timeout in milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, dir, options) => {
+      try {
+        await handleMicropythonDev(serialPath, dir, options);
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
+  micropythonCmd
+    .command('run <serialPath> <script>')
+    .description('Run a local script on a MicroPython device without saving it, streaming its output.')
+    .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL, which also reports sys.exit() codes)', 'mpremote')
+    .option('-t, --timeout <ms>', 'Interrupt the script with Ctrl-C after this many milliseconds', (v) => parseInt(v, 10))
+    .action(async (serialPath, script, options) => {
+      try {
+        const result = await runMicropythonScript(serialPath, script, {
+          mpremotePath: options.mpremote,
+          backend: options.backend,
+          timeout: options.timeout
+        });
+        process.exitCode = result.exitCode;
+      } catch (error) {
+        logError(error);
+        process.exitCode = 1;
+      }
+    });
+
   micropythonCmd
     .command('repl <serialPath>')
     .description('Open an interactive REPL or execute a command on a MicroPython device.')
-    .option('-e, --exec <code>', 'Execute code on the device instead of opening an interactive REPL')
+    .option(
+      '-e, --exec <code>',
+      'Execute code on the device instead of opening an interactive REPL (repeat to run several snippets in one native raw REPL session)',
+      (value, previous) => [...(previous || []), value]
+    )
     .option('-m, --mpremote <path>', 'Custom mpremote executable path')
+    .option('-b, --backend <backend>', 'Transport to use: mpremote or native (built-in raw REPL)', 'mpremote')
     .option('-t, --timeout <ms>', 'Command timeout in milliseconds', (v) => parseInt(v, 10))
     .action(async (serialPath, options) => {
       try {
         const result = await runMicropythonRepl(serialPath, {
           mpremotePath: options.mpremote,
-          code: options.exec,
+          backend: options.backend,
+          code: options.exec && options.exec.length === 1 ? options.exec[0] : options.exec,
           timeout: options.timeout
         });
         if (typeof result === 'string' && result.trim()) {
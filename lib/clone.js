@@ -0,0 +1,139 @@
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { savePicotoolImage, loadPicotoolImage } from './picotool.js';
+
+// Start of the XIP flash window on RP2040 and RP2350, where a BIN dump of
+// the whole flash begins.
+const FLASH_BASE_ADDRESS = 0x10000000;
+const DUMP_FORMATS = { '.uf2': 'uf2', '.bin': 'bin' };
+
+function notify(onProgress, stage, detail = {}) {
+  if (typeof onProgress === 'function') {
+    onProgress({ stage, ...detail });
+  }
+}
+
+function detectDumpFormat(filePath) {
+  const format = DUMP_FORMATS[path.extname(filePath).toLowerCase()];
+  if (!format) {
+    throw new Error(`Unsupported dump format for ${filePath}. Use a .uf2 or .bin output file.`);
+  }
+  return format;
+}
+
+// A BIN image carries no addresses, so picotool needs to be told where it
+// belongs when loading or verifying it. UF2 blocks carry their own.
+function imageOffset(format, range) {
+  if (format !== 'bin') {
+    return undefined;
+  }
+  return range ? Number(range.start) : FLASH_BASE_ADDRESS;
+}
+
+function pickTargetOptions(options) {
+  const { force, picotoolPath, timeout } = options;
+  return { force, picotoolPath, timeout };
+}
+
+// Saves the whole flash of a BOOTSEL board, or only `range` ({ start, end }),
+// to a UF2 or BIN file chosen by the output extension. Unlike the
+// CURRENT.UF2 on the bootloader drive this includes everything outside the
+// program as well, such as a MicroPython filesystem.
+async function dumpFlash(outputPath, options = {}) {
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('An output file path is required.');
+  }
+  const format = detectDumpFormat(outputPath);
+  const { range } = options;
+
+  const { file, output } = await savePicotoolImage(outputPath, {
+    ...options,
+    all: !range,
+    range
+  });
+  const data = await fs.readFile(file);
+  return {
+    file,
+    format,
+    range: range ? { start: Number(range.start), end: Number(range.end) } : null,
+    size: data.length,
+    sha256: crypto.createHash('sha256').update(data).digest('hex'),
+    output
+  };
+}
+
+// Copies one board's flash onto others: the source (`sourceSerial`) is dumped
+// once, then every target is loaded and verified in turn, since picotool
+// talks to a single BOOTSEL board at a time. A failed target does not stop
+// the others; each gets an entry in `results`. The dump is written to a
+// temporary UF2 unless `image` names a file to keep it in.
+async function cloneFlash(sourceSerial, targetSerials, options = {}) {
+  const { range, execute = false, onProgress } = options;
+  const targets = [].concat(targetSerials || []);
+  if (!sourceSerial) {
+    throw new Error('A source board serial number is required.');
+  }
+  if (targets.length === 0) {
+    throw new Error('At least one target board serial number is required.');
+  }
+  if (targets.includes(sourceSerial)) {
+    throw new Error(`Board ${sourceSerial} cannot be both the source and a clone target.`);
+  }
+
+  const tempDir = options.image ? null : await fs.mkdtemp(path.join(os.tmpdir(), 'raspimcu-clone-'));
+  const imagePath = options.image || path.join(tempDir, 'flash.uf2');
+  try {
+    notify(onProgress, 'dumping', { serialNumber: sourceSerial });
+    const dump = await dumpFlash(imagePath, { ...pickTargetOptions(options), serialNumber: sourceSerial, range });
+    notify(onProgress, 'dumped', { serialNumber: sourceSerial, dump });
+    const offset = imageOffset(dump.format, range);
+
+    const results = [];
+    for (const serialNumber of targets) {
+      const device = { serialNumber };
+      const startedAt = Date.now();
+      try {
+        notify(onProgress, 'loading', { device });
+        // One `load -v` call loads, verifies and, with -x, starts the copy. With
+        // force, picotool reboots the board out of BOOTSEL after every command,
+        // so separate verify and reboot calls would no longer find it.
+        await loadPicotoolImage(dump.file, {
+          ...pickTargetOptions(options),
+          serialNumber,
+          offset,
+          verify: true,
+          execute
+        }).catch((error) => {
+          const detail = error.message.replace(/^picotool load failed: /, '');
+          if (/did not match|mismatch/i.test(detail)) {
+            throw new Error(`Flash does not match the source image: ${detail}`);
+          }
+          throw error;
+        });
+        results.push({ device, success: true, verified: true, error: null, durationMs: Date.now() - startedAt });
+        notify(onProgress, 'done', { device });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        results.push({ device, success: false, verified: false, error: message, durationMs: Date.now() - startedAt });
+        notify(onProgress, 'failed', { device, error: message });
+      }
+    }
+
+    const succeeded = results.filter((entry) => entry.success).length;
+    return {
+      source: sourceSerial,
+      image: options.image ? dump : null,
+      results,
+      succeeded,
+      failed: results.length - succeeded
+    };
+  } finally {
+    if (tempDir) {
+      await fs.remove(tempDir);
+    }
+  }
+}
+
+export { dumpFlash, cloneFlash, FLASH_BASE_ADDRESS };
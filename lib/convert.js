@@ -0,0 +1,281 @@
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  buildUf2,
+  parseUf2,
+  extractUf2,
+  assertValidUf2,
+  resolveUf2FamilyId,
+  UF2_FAMILY_IDS
+} from './uf2.js';
+
+const FLASH_TARGET_DEFAULTS = {
+  RP2040: { baseAddress: 0x10000000, familyId: UF2_FAMILY_IDS.RP2040 },
+  RP2350: { baseAddress: 0x10000000, familyId: UF2_FAMILY_IDS.RP2350_ARM_S }
+};
+
+const FIRMWARE_FORMATS = {
+  '.uf2': 'uf2',
+  '.bin': 'bin',
+  '.elf': 'elf',
+  '.hex': 'hex',
+  '.ihex': 'hex'
+};
+
+const ELF_PT_LOAD = 1;
+
+function detectFirmwareFormat(filePath) {
+  if (!filePath || typeof filePath !== 'string') {
+    return null;
+  }
+  return FIRMWARE_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+function resolveTargetDefaults(chip) {
+  const key = chip ? String(chip).toUpperCase() : 'RP2040';
+  const defaults = FLASH_TARGET_DEFAULTS[key];
+  if (!defaults) {
+    throw new Error(`Unknown chip ${chip}. Expected one of: ${Object.keys(FLASH_TARGET_DEFAULTS).join(', ')}.`);
+  }
+  return defaults;
+}
+
+function resolveBaseAddress(value, fallback) {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const address = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(address) || address < 0 || address > 0xFFFFFFFF) {
+    throw new Error(`Invalid base address: ${value}`);
+  }
+  return address;
+}
+
+function parseIntelHex(text) {
+  const segments = [];
+  let upperAddress = 0;
+  let current = null;
+  let sawEof = false;
+
+  const lines = String(text).split(/\r?\n/);
+  for (let index = 0; index < lines.length && !sawEof; index += 1) {
+    const line = lines[index].trim();
+    if (!line) {
+      continue;
+    }
+    const lineNumber = index + 1;
+    if (!line.startsWith(':') || !/^:[0-9a-f]+$/i.test(line) || line.length % 2 === 0) {
+      throw new Error(`Invalid Intel HEX record on line ${lineNumber}.`);
+    }
+    const record = Buffer.from(line.slice(1), 'hex');
+    const byteCount = record[0];
+    if (record.length !== byteCount + 5) {
+      throw new Error(`Intel HEX record on line ${lineNumber} has the wrong length.`);
+    }
+    const checksum = record.reduce((sum, byte) => (sum + byte) & 0xFF, 0);
+    if (checksum !== 0) {
+      throw new Error(`Intel HEX checksum mismatch on line ${lineNumber}.`);
+    }
+
+    const offset = record.readUInt16BE(1);
+    const type = record[3];
+    const data = record.subarray(4, 4 + byteCount);
+    switch (type) {
+      case 0x00: {
+        const address = upperAddress + offset;
+        if (current && current.address + current.chunks.length === address) {
+          current.chunks.push(...data);
+        } else {
+          current = { address, chunks: Array.from(data) };
+          segments.push(current);
+        }
+        break;
+      }
+      case 0x01:
+        sawEof = true;
+        break;
+      case 0x02:
+        upperAddress = data.readUInt16BE(0) * 16;
+        break;
+      case 0x04:
+        upperAddress = data.readUInt16BE(0) * 0x10000;
+        break;
+      case 0x03:
+      case 0x05:
+        // Start address records do not describe memory contents.
+        break;
+      default:
+        throw new Error(`Unsupported Intel HEX record type ${type} on line ${lineNumber}.`);
+    }
+  }
+
+  if (!sawEof) {
+    throw new Error('Intel HEX file is missing its end-of-file record.');
+  }
+
+  return segments.map((segment) => ({ address: segment.address, data: Buffer.from(segment.chunks) }));
+}
+
+function parseElfSegments(buffer) {
+  if (buffer.length < 52 || buffer.readUInt32BE(0) !== 0x7F454C46) {
+    throw new Error('File is not an ELF image.');
+  }
+  if (buffer[4] !== 1 || buffer[5] !== 1) {
+    throw new Error('Only 32-bit little-endian ELF images are supported.');
+  }
+
+  const programHeaderOffset = buffer.readUInt32LE(0x1C);
+  const programHeaderSize = buffer.readUInt16LE(0x2A);
+  const programHeaderCount = buffer.readUInt16LE(0x2C);
+  const segments = [];
+  for (let index = 0; index < programHeaderCount; index += 1) {
+    const offset = programHeaderOffset + index * programHeaderSize;
+    if (offset + 32 > buffer.length) {
+      throw new Error('ELF program header table is truncated.');
+    }
+    const type = buffer.readUInt32LE(offset);
+    const fileOffset = buffer.readUInt32LE(offset + 4);
+    const physicalAddress = buffer.readUInt32LE(offset + 12);
+    const fileSize = buffer.readUInt32LE(offset + 16);
+    if (type !== ELF_PT_LOAD || fileSize === 0) {
+      continue;
+    }
+    if (fileOffset + fileSize > buffer.length) {
+      throw new Error(`ELF segment ${index} extends past the end of the file.`);
+    }
+    // Load segments are placed at their physical (load) address, which is
+    // where initialised data lives in flash before startup code copies it.
+    segments.push({ address: physicalAddress, data: buffer.subarray(fileOffset, fileOffset + fileSize) });
+  }
+
+  if (segments.length === 0) {
+    throw new Error('ELF image does not contain any loadable segments.');
+  }
+  return segments;
+}
+
+function convertToUf2(buffer, format, options = {}) {
+  const defaults = resolveTargetDefaults(options.chip);
+  const familyId = resolveUf2FamilyId(options.familyId ?? defaults.familyId);
+
+  let segments;
+  if (format === 'bin') {
+    if (buffer.length === 0) {
+      throw new Error('Binary image is empty.');
+    }
+    segments = [{ address: resolveBaseAddress(options.baseAddress, defaults.baseAddress), data: buffer }];
+  } else if (format === 'hex') {
+    segments = parseIntelHex(buffer.toString('ascii'));
+  } else if (format === 'elf') {
+    segments = parseElfSegments(buffer);
+  } else {
+    throw new Error(`Unsupported firmware format: ${format}`);
+  }
+
+  return buildUf2(segments, { familyId });
+}
+
+async function readFirmwareAsUf2(inputPath, options = {}) {
+  const format = options.format || detectFirmwareFormat(inputPath);
+  if (!format) {
+    throw new Error(`Cannot determine the firmware format of ${inputPath}. Expected a .uf2, .bin, .elf or .hex file.`);
+  }
+  const buffer = await fs.readFile(inputPath);
+  return format === 'uf2' ? buffer : convertToUf2(buffer, format, options);
+}
+
+async function convertFirmware(inputPath, outputPath, options = {}) {
+  const resolvedInput = path.resolve(inputPath);
+  const stats = await fs.stat(resolvedInput).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new Error(`Firmware file not found: ${inputPath}`);
+  }
+  const format = options.format || detectFirmwareFormat(resolvedInput);
+  if (!format || format === 'uf2') {
+    throw new Error(`Cannot convert ${inputPath}. Expected a .bin, .elf or .hex file.`);
+  }
+
+  const uf2 = await readFirmwareAsUf2(resolvedInput, { ...options, format });
+  const resolvedOutput = path.resolve(
+    outputPath || path.join(path.dirname(resolvedInput), `${path.parse(resolvedInput).name}.uf2`)
+  );
+  await fs.ensureDir(path.dirname(resolvedOutput));
+  await fs.writeFile(resolvedOutput, uf2);
+
+  const image = parseUf2(uf2);
+  return {
+    source: resolvedInput,
+    destination: resolvedOutput,
+    format,
+    blockCount: image.blockCount,
+    families: image.families,
+    ranges: image.ranges
+  };
+}
+
+// A mounted BOOTSEL drive can be passed directly; its CURRENT.UF2 is the
+// bootrom's live view of flash.
+async function resolveUf2Input(inputPath) {
+  const resolvedInput = path.resolve(inputPath);
+  const stats = await fs.stat(resolvedInput).catch(() => null);
+  if (stats && stats.isDirectory()) {
+    const currentUf2 = path.join(resolvedInput, 'CURRENT.UF2');
+    if (!(await fs.pathExists(currentUf2))) {
+      throw new Error(`CURRENT.UF2 not found in ${inputPath}. Make sure the device is in filesystem mode.`);
+    }
+    return currentUf2;
+  }
+  if (!stats || !stats.isFile()) {
+    throw new Error(`Firmware file not found: ${inputPath}`);
+  }
+  return resolvedInput;
+}
+
+async function inspectFirmware(inputPath) {
+  const source = await resolveUf2Input(inputPath);
+  const image = parseUf2(await fs.readFile(source));
+  return {
+    source,
+    valid: image.valid,
+    errors: image.errors,
+    blockCount: image.blockCount,
+    families: image.families,
+    ranges: image.ranges,
+    totalBytes: image.ranges.reduce((sum, range) => sum + range.size, 0)
+  };
+}
+
+async function extractFirmware(inputPath, outputPath, options = {}) {
+  const source = await resolveUf2Input(inputPath);
+  const image = assertValidUf2(parseUf2(await fs.readFile(source)), `Firmware ${inputPath}`);
+  const extracted = extractUf2(image, { fill: options.fill, familyId: options.familyId });
+
+  // A board's CURRENT.UF2 lives on the bootloader drive, which must never be
+  // written to, so its binary defaults to the working directory instead.
+  const fromMount = source !== path.resolve(inputPath);
+  const outputDir = fromMount ? process.cwd() : path.dirname(source);
+  const resolvedOutput = path.resolve(outputPath || path.join(outputDir, `${path.parse(source).name}.bin`));
+  await fs.ensureDir(path.dirname(resolvedOutput));
+  await fs.writeFile(resolvedOutput, extracted.data);
+
+  return {
+    source,
+    destination: resolvedOutput,
+    baseAddress: extracted.baseAddress,
+    size: extracted.size,
+    familyId: extracted.familyId,
+    ranges: extracted.ranges
+  };
+}
+
+export {
+  convertFirmware,
+  inspectFirmware,
+  extractFirmware,
+  convertToUf2,
+  readFirmwareAsUf2,
+  detectFirmwareFormat,
+  parseIntelHex,
+  parseElfSegments,
+  FLASH_TARGET_DEFAULTS
+};
@@ -0,0 +1,218 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { EventEmitter } from 'events';
+import { openMicropythonSession } from './micropython.js';
+import { syncToMicropython } from './sync.js';
+
+const RESTART_MODES = ['soft', 'run', 'none'];
+
+function isIgnoredPath(relativePath) {
+  return relativePath.split(/[\\/]/).some((segment) => segment.startsWith('.'));
+}
+
+// Watches a local project, syncs changes to the board as files are saved and
+// restarts the program, re-emitting the board's console output. Restart modes:
+// 'soft' soft-resets so boot.py and main.py run as on power-up, 'run' executes
+// main.py in the current interpreter, and 'none' only uploads.
+class MicropythonDevLoop extends EventEmitter {
+  constructor(serialPath, localDir, options = {}) {
+    super();
+    this.serialPath = serialPath;
+    this.localDir = path.resolve(localDir);
+    this.remoteDir = options.remoteDir || '/';
+    this.restart = options.restart || 'soft';
+    this.debounce = options.debounce ?? 200;
+    this.options = options;
+    this.session = null;
+    this.watchers = new Map();
+    this.timer = null;
+    this.closed = false;
+    this.deploying = null;
+    this.pending = false;
+    this.running = null;
+    this.detachConsole = null;
+
+    if (!RESTART_MODES.includes(this.restart)) {
+      throw new Error(`Unknown restart mode: ${this.restart}. Expected one of: ${RESTART_MODES.join(', ')}.`);
+    }
+  }
+
+  async start() {
+    const stats = await fs.stat(this.localDir).catch(() => null);
+    if (!stats || !stats.isDirectory()) {
+      throw new Error(`Local directory does not exist: ${this.localDir}`);
+    }
+
+    this.session = await openMicropythonSession(this.serialPath, this.options);
+    await this.deploy();
+    if (this.closed) {
+      return this;
+    }
+
+    await this.watchTree();
+    this.emit('ready');
+    return this;
+  }
+
+  // Recursive fs.watch is not available on Linux before Node 20, so every
+  // directory gets its own watcher. Directories created or removed since the
+  // last scan gain or lose theirs before each deploy, which syncs the whole
+  // tree and so also picks up files written before the new watcher existed.
+  async watchTree() {
+    const found = new Set();
+    const walk = async (relativeDir) => {
+      found.add(relativeDir);
+      const entries = await fs.readdir(path.join(this.localDir, relativeDir), { withFileTypes: true }).catch(() => []);
+      for (const entry of entries) {
+        const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+        if (entry.isDirectory() && !isIgnoredPath(relativePath)) {
+          await walk(relativePath);
+        }
+      }
+    };
+    await walk('');
+
+    for (const [relativeDir, watcher] of this.watchers) {
+      if (!found.has(relativeDir)) {
+        watcher.close();
+        this.watchers.delete(relativeDir);
+      }
+    }
+    for (const relativeDir of found) {
+      if (!this.closed && !this.watchers.has(relativeDir)) {
+        this.watchDirectory(relativeDir);
+      }
+    }
+  }
+
+  watchDirectory(relativeDir) {
+    let watcher;
+    try {
+      watcher = fs.watch(path.join(this.localDir, relativeDir), (eventType, fileName) => {
+        if (fileName && isIgnoredPath(String(fileName))) {
+          return;
+        }
+        this.schedule();
+      });
+    } catch (error) {
+      // The directory went away between the scan and the watch.
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw error;
+    }
+    watcher.on('error', (error) => this.report(error));
+    this.watchers.set(relativeDir, watcher);
+  }
+
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      this.watchTree()
+        .then(() => this.deploy())
+        .catch((error) => this.report(error));
+    }, this.debounce);
+  }
+
+  report(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  // Runs one sync-and-restart cycle. Changes that arrive while a cycle is in
+  // progress are folded into a single follow-up cycle.
+  async deploy() {
+    if (this.deploying) {
+      this.pending = true;
+      return this.deploying;
+    }
+
+    this.deploying = (async () => {
+      do {
+        this.pending = false;
+        await this.stopProgram();
+        const result = await syncToMicropython(this.serialPath, this.localDir, this.remoteDir, {
+          session: this.session,
+          delete: this.options.delete,
+          compile: this.options.compile,
+          mpyCrossPath: this.options.mpyCrossPath,
+          mpyCrossArgs: this.options.mpyCrossArgs,
+          cacheDir: this.options.cacheDir
+        });
+        this.emit('sync', result);
+        if (!this.closed) {
+          await this.startProgram();
+        }
+      } while (this.pending && !this.closed);
+    })();
+
+    try {
+      await this.deploying;
+    } finally {
+      this.deploying = null;
+    }
+  }
+
+  async startProgram() {
+    const { repl } = this.session;
+    const forward = (chunk) => this.emit('output', chunk);
+
+    if (this.restart === 'soft') {
+      this.detachConsole = repl.attachConsole(forward);
+      await repl.softReset();
+      this.emit('restart', { mode: 'soft' });
+    } else if (this.restart === 'run') {
+      const mainScript = path.posix.join(this.remoteDir.replace(/^:/, '') || '/', 'main.py');
+      this.running = repl.execRaw(
+        `exec(open(${JSON.stringify(mainScript)}).read(),{'__name__':'__main__'})`,
+        { timeout: Infinity, onData: forward, onStderr: forward }
+      ).catch((error) => this.report(error));
+      this.emit('restart', { mode: 'run' });
+    }
+  }
+
+  // Interrupts whatever the board is running and returns to the raw REPL.
+  async stopProgram() {
+    const { repl } = this.session;
+    if (this.detachConsole) {
+      this.detachConsole();
+      this.detachConsole = null;
+      await repl.enter();
+    } else if (this.running) {
+      await repl.interrupt();
+      await this.running;
+    }
+    this.running = null;
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.watchers.forEach((watcher) => watcher.close());
+    this.watchers.clear();
+    if (this.deploying) {
+      await this.deploying.catch(() => {});
+    }
+    if (this.session) {
+      await this.stopProgram().catch(() => {});
+      await this.session.close();
+    }
+    this.emit('close');
+  }
+}
+
+async function startMicropythonDev(serialPath, localDir, options = {}) {
+  const loop = new MicropythonDevLoop(serialPath, localDir, options);
+  try {
+    return await loop.start();
+  } catch (error) {
+    await loop.close();
+    throw error;
+  }
+}
+
+export { startMicropythonDev, MicropythonDevLoop };
@@ -1,4 +1,5 @@
 import path from 'path';
+import { EventEmitter } from 'events';
 import fs from 'fs-extra';
 
 let serialPortModulePromise;
@@ -13,14 +14,34 @@ async function loadSerialPort() {
 }
 
 const RASPBERRY_PI_VENDOR_IDS = new Set(['2E8A']);
-const BOOTSEL_PRODUCT_IDS = new Set(['0003', '0004']);
 
-const RP2040_STORAGE_HINTS = [
-  /RP2040/i,
-  /RPI[-_ ]?RP2/i,
-  /\bPICO\b/i
+// Known Raspberry Pi chip families. USB product IDs are under the 2E8A vendor
+// ID; storage hints are matched against the INFO_UF2.TXT Board-ID/Model values
+// and the volume label. RP2350 comes first because Pico 2 labels also match
+// the generic Pico hint.
+const CHIP_FAMILIES = [
+  {
+    chip: 'RP2350',
+    bootselProductIds: ['000F'],
+    serialProductIds: ['0009'],
+    volumeLabels: ['RP2350'],
+    storageHints: [/RP2350/i, /\bPICO[-_ ]?2\b/i]
+  },
+  {
+    chip: 'RP2040',
+    bootselProductIds: ['0003'],
+    serialProductIds: ['000A'],
+    volumeLabels: ['RPI-RP2'],
+    storageHints: [/RP2040/i, /RPI[-_ ]?RP2\b/i, /Raspberry Pi RP2\s*$/i, /\bPICO\b/i]
+  }
 ];
 
+// MicroPython's rp2 port enumerates with this product ID on every chip, so for
+// these boards the chip has to come from the USB product strings instead.
+const MICROPYTHON_PRODUCT_ID = '0005';
+
+const BOOTSEL_PRODUCT_IDS = new Set(['0004', ...CHIP_FAMILIES.flatMap((family) => family.bootselProductIds)]);
+
 const WINDOWS_DRIVE_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
 
 function normalizeHex(value) {
@@ -47,6 +68,39 @@ function formatError(error) {
   };
 }
 
+const TOUCH_RESET_BAUD_RATE = 1200;
+
+async function openSerialPort(serialPath, options = {}) {
+  const { baudRate = 115200 } = options;
+  const SerialPort = await loadSerialPort();
+  if (!SerialPort) {
+    throw new Error('serialport package is not available. Install it to talk to devices over serial.');
+  }
+
+  const port = new SerialPort({ path: serialPath, baudRate, autoOpen: false });
+  await new Promise((resolve, reject) => {
+    port.open((error) => {
+      if (error) {
+        const message = error && error.message ? error.message : String(error);
+        reject(new Error(`Unable to open serial port ${serialPath}: ${message}`));
+      } else {
+        resolve();
+      }
+    });
+  });
+  return port;
+}
+
+// Opening a board's CDC port at 1200 baud and closing it again is the Pico
+// SDK's (and MicroPython's) request to reset into the USB bootloader. The board
+// may drop off the bus before the port closes cleanly, so close errors are
+// ignored.
+async function touchSerialPort(serialPath, options = {}) {
+  const { baudRate = TOUCH_RESET_BAUD_RATE } = options;
+  const port = await openSerialPort(serialPath, { baudRate });
+  await new Promise((resolve) => port.close(() => resolve()));
+}
+
 async function listSerialPorts() {
   const SerialPort = await loadSerialPort();
   if (!SerialPort || typeof SerialPort.list !== 'function') {
@@ -71,6 +125,7 @@ async function listSerialPorts() {
       id: port.path || port.pnpId || `${vendorId || 'unknown'}:${productId || 'unknown'}`,
       type: 'serial',
       status: 'serial',
+      chip: detectChipFromSerialPort(port) ?? null,
       path: port.path,
       manufacturer: port.manufacturer,
       serialNumber: port.serialNumber,
@@ -119,13 +174,14 @@ async function isBoardStorage(volumePath) {
     }
   }
 
-  const boardId = extractInfoValue(infoContents, 'Board-ID');
-  const model = extractInfoValue(infoContents, 'Model');
+  const { boardId, model } = parseBoardInfo(infoContents);
+  const chip = detectChipFromStorage({ boardId, model, volumeLabel: path.basename(volumePath) });
 
   return {
     id: `storage:${volumePath}`,
     type: 'storage',
     status: 'fs',
+    chip: chip ?? null,
     mountPoint: volumePath,
     boardId,
     model,
@@ -171,6 +227,77 @@ async function findMountedBoards(searchRoots = getDefaultSearchRoots()) {
   return dedupeById(results);
 }
 
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function pollUntil(check, { timeout, interval, description }) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for ${description}.`);
+    }
+    await delay(Math.min(interval, Math.max(deadline - Date.now(), 0)));
+  }
+}
+
+// Polls the mount roots until a bootloader drive that is not in `exclude`
+// (a set of device ids seen before the reboot) appears. With `claim`, the
+// match is added to `exclude` before resolving so that concurrent waiters
+// sharing the set never receive the same drive.
+async function waitForMountedBoard(options = {}) {
+  const {
+    searchRoots = getDefaultSearchRoots(),
+    exclude = new Set(),
+    claim = false,
+    mountPoint,
+    timeout = 15000,
+    interval = 250
+  } = options;
+  const expectedMount = mountPoint ? path.resolve(mountPoint) : undefined;
+
+  return pollUntil(async () => {
+    const boards = await findMountedBoards(searchRoots);
+    const match = boards.find((board) => {
+      if (expectedMount) {
+        return path.resolve(board.mountPoint) === expectedMount;
+      }
+      return !exclude.has(board.id);
+    });
+    if (match && claim) {
+      exclude.add(match.id);
+    }
+    return match;
+  }, { timeout, interval, description: 'a UF2 drive to mount' });
+}
+
+async function waitForUnmountedBoard(mountPoint, options = {}) {
+  const { timeout = 15000, interval = 250 } = options;
+  return pollUntil(
+    async () => !(await isBoardStorage(mountPoint)),
+    { timeout, interval, description: `${mountPoint} to unmount` }
+  );
+}
+
+// Resolves with the first serial device matching `serialNumber`, or when no
+// serial number is known, the first one whose id is not in `exclude`.
+async function waitForSerialDevice(options = {}) {
+  const { serialNumber, exclude = new Set(), timeout = 15000, interval = 250 } = options;
+  return pollUntil(async () => {
+    const devices = filterRaspberryPiMcus(await listSerialPorts().catch(() => []));
+    return devices.find((device) => {
+      if (serialNumber) {
+        return device.serialNumber === serialNumber;
+      }
+      return !exclude.has(device.id);
+    });
+  }, { timeout, interval, description: 'the board to re-enumerate as a serial device' });
+}
+
 function dedupeById(devices) {
   const seen = new Map();
   for (const device of devices) {
@@ -194,6 +321,60 @@ function extractInfoValue(infoContents, key) {
   return value ? value.trim() : undefined;
 }
 
+function detectChipByProductId(productId) {
+  const normalized = normalizeHex(productId);
+  if (!normalized) {
+    return undefined;
+  }
+  const family = CHIP_FAMILIES.find((entry) =>
+    entry.bootselProductIds.includes(normalized) || entry.serialProductIds.includes(normalized)
+  );
+  return family ? family.chip : undefined;
+}
+
+// Matches board names such as "Raspberry Pi Pico 2 W" or "... with RP2040".
+// Underscores (as in Linux pnpIds) count as spaces.
+function detectChipFromText(values) {
+  const texts = values.filter((value) => typeof value === 'string').map((value) => value.replace(/_/g, ' '));
+  const family = CHIP_FAMILIES.find((entry) =>
+    texts.some((text) => entry.storageHints.some((regex) => regex.test(text)))
+  );
+  return family ? family.chip : undefined;
+}
+
+function detectChipFromSerialPort(port) {
+  const chip = detectChipByProductId(port.productId);
+  if (chip || normalizeHex(port.productId) !== MICROPYTHON_PRODUCT_ID) {
+    return chip;
+  }
+  return detectChipFromText([port.friendlyName, port.manufacturer, port.pnpId]);
+}
+
+function isMicropythonDevice(device) {
+  return Boolean(device) && device.type === 'serial' && normalizeHex(device.productId) === MICROPYTHON_PRODUCT_ID;
+}
+
+function detectChipFromStorage({ boardId, model, volumeLabel, infoFile } = {}) {
+  for (const family of CHIP_FAMILIES) {
+    if (typeof volumeLabel === 'string' && family.volumeLabels.includes(volumeLabel.toUpperCase())) {
+      return family.chip;
+    }
+    const matches = [boardId, model, infoFile].some((value) =>
+      typeof value === 'string' && family.storageHints.some((regex) => regex.test(value))
+    );
+    if (matches) {
+      return family.chip;
+    }
+  }
+  return undefined;
+}
+
+function parseBoardInfo(infoContents) {
+  const boardId = extractInfoValue(infoContents, 'Board-ID');
+  const model = extractInfoValue(infoContents, 'Model');
+  return { boardId, model, chip: detectChipFromStorage({ boardId, model }) };
+}
+
 function normalizeVendorId(value) {
   if (value === undefined || value === null) {
     return undefined;
@@ -201,14 +382,24 @@ function normalizeVendorId(value) {
   return normalizeHex(value);
 }
 
-function isRp2040StorageDevice(device) {
-  const haystacks = [device.boardId, device.model, device.infoFile];
-  return haystacks.some((value) =>
-    typeof value === 'string' && RP2040_STORAGE_HINTS.some((regex) => regex.test(value))
-  );
+function detectDeviceChip(device) {
+  if (!device || typeof device !== 'object') {
+    return undefined;
+  }
+  if (device.chip) {
+    return device.chip;
+  }
+  if (device.type === 'serial') {
+    return detectChipFromSerialPort(device);
+  }
+  if (device.type === 'storage') {
+    const volumeLabel = device.mountPoint ? path.basename(device.mountPoint) : undefined;
+    return detectChipFromStorage({ ...device, volumeLabel });
+  }
+  return undefined;
 }
 
-function isRp2040Device(device) {
+function isRaspberryPiMcu(device) {
   if (!device || typeof device !== 'object') {
     return false;
   }
@@ -219,16 +410,20 @@ function isRp2040Device(device) {
   }
 
   if (device.type === 'storage') {
-    return isRp2040StorageDevice(device);
+    return Boolean(detectDeviceChip(device));
   }
 
   return false;
 }
 
-function filterRp2040Devices(devices) {
-  return devices.filter((device) => isRp2040Device(device));
+function filterRaspberryPiMcus(devices) {
+  return devices.filter((device) => isRaspberryPiMcu(device));
 }
 
+// Kept for backwards compatibility; these now accept every chip family.
+const isRp2040Device = isRaspberryPiMcu;
+const filterRp2040Devices = filterRaspberryPiMcus;
+
 async function listDevices(options = {}) {
   const { searchRoots } = options;
   const result = {
@@ -266,7 +461,7 @@ async function listDevices(options = {}) {
     }
   }
 
-  result.devices = filterRp2040Devices(result.devices);
+  result.devices = filterRaspberryPiMcus(result.devices);
 
   return result;
 }
@@ -295,14 +490,174 @@ async function getSingleDevice(options = {}) {
   };
 }
 
+function isSameBoardCandidate(previous, device) {
+  if (previous.status === device.status) {
+    return false;
+  }
+  return !previous.chip || !device.chip || previous.chip === device.chip;
+}
+
+// Polls listDevices() and reports differences between snapshots. A board that
+// reboots between serial and BOOTSEL mode shows up as a detach followed by an
+// attach under a new id; when a device of the other mode (and a compatible
+// chip) appears within modeChangeWindow ms of a detach, a mode-change event is
+// emitted as well.
+class DeviceWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.interval = options.interval ?? 1000;
+    this.modeChangeWindow = options.modeChangeWindow ?? 10000;
+    this.emitExisting = options.emitExisting ?? true;
+    this.searchRoots = options.searchRoots;
+    this.devices = null;
+    this.recentDetaches = [];
+    this.timer = null;
+    this.closed = false;
+    this.buffering = false;
+    this.queue = [];
+    this.waiters = [];
+  }
+
+  start() {
+    if (!this.timer && !this.closed) {
+      this.timer = setTimeout(() => this.poll(), 0);
+    }
+    return this;
+  }
+
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearTimeout(this.timer);
+    this.timer = null;
+    for (const resolve of this.waiters.splice(0)) {
+      resolve({ value: undefined, done: true });
+    }
+    this.emit('close');
+  }
+
+  publish(type, payload) {
+    const event = { type, timestamp: new Date().toISOString(), ...payload };
+    this.emit(type, event);
+    if (!this.buffering) {
+      return;
+    }
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter({ value: event, done: false });
+    } else {
+      this.queue.push(event);
+    }
+  }
+
+  async poll() {
+    let result;
+    try {
+      result = await listDevices({ searchRoots: this.searchRoots });
+    } catch (error) {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', error);
+      }
+    }
+
+    if (this.closed) {
+      return;
+    }
+    if (result) {
+      this.applySnapshot(result.devices);
+    }
+    this.timer = setTimeout(() => this.poll(), this.interval);
+  }
+
+  applySnapshot(devices) {
+    const current = new Map(devices.map((device) => [device.id, device]));
+    if (this.devices === null) {
+      this.devices = current;
+      if (this.emitExisting) {
+        for (const device of current.values()) {
+          this.publish('attach', { device });
+        }
+      }
+      this.emit('ready', devices);
+      return;
+    }
+
+    const now = Date.now();
+    for (const [id, device] of this.devices) {
+      if (!current.has(id)) {
+        this.publish('detach', { device });
+        this.recentDetaches.push({ device, at: now });
+      }
+    }
+    this.recentDetaches = this.recentDetaches.filter((entry) => now - entry.at <= this.modeChangeWindow);
+
+    for (const [id, device] of current) {
+      if (this.devices.has(id)) {
+        continue;
+      }
+      this.publish('attach', { device });
+      const index = this.recentDetaches.findIndex((entry) => isSameBoardCandidate(entry.device, device));
+      if (index !== -1) {
+        const [{ device: previous }] = this.recentDetaches.splice(index, 1);
+        this.publish('mode-change', { device, previous, from: previous.status, to: device.status });
+      }
+    }
+    this.devices = current;
+  }
+
+  [Symbol.asyncIterator]() {
+    this.buffering = true;
+    return {
+      next: () => {
+        if (this.queue.length) {
+          return Promise.resolve({ value: this.queue.shift(), done: false });
+        }
+        if (this.closed) {
+          return Promise.resolve({ value: undefined, done: true });
+        }
+        return new Promise((resolve) => this.waiters.push(resolve));
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+}
+
+function watchDevices(options = {}) {
+  return new DeviceWatcher(options).start();
+}
+
 export {
   listDevices,
+  watchDevices,
+  DeviceWatcher,
   listSerialPorts,
+  openSerialPort,
+  touchSerialPort,
+  TOUCH_RESET_BAUD_RATE,
   findMountedBoards,
+  waitForMountedBoard,
+  waitForUnmountedBoard,
+  waitForSerialDevice,
   getDefaultSearchRoots,
   getSingleDevice,
+  parseBoardInfo,
   RASPBERRY_PI_VENDOR_IDS,
   BOOTSEL_PRODUCT_IDS,
+  CHIP_FAMILIES,
+  detectDeviceChip,
+  detectChipFromText,
+  isMicropythonDevice,
+  MICROPYTHON_PRODUCT_ID,
+  isRaspberryPiMcu,
+  filterRaspberryPiMcus,
   isRp2040Device,
   filterRp2040Devices
 };
@@ -1,6 +1,10 @@
 import path from 'path';
 import fs from 'fs-extra';
 import { ensureMountPoint, resolveWithinMount } from './fileTransfer.js';
+import { parseUf2, assertValidUf2, checkUf2Compatibility } from './uf2.js';
+import { detectFirmwareFormat, readFirmwareAsUf2 } from './convert.js';
+import { parseBoardInfo, findMountedBoards } from './devices.js';
+import { getPicotoolInfo } from './picotool.js';
 
 function assertUf2Filename(name, context) {
   if (!name || typeof name !== 'string' || !name.toLowerCase().endsWith('.uf2')) {
@@ -8,20 +12,59 @@ function assertUf2Filename(name, context) {
   }
 }
 
+async function readBoardChip(mountPoint) {
+  const infoPath = resolveWithinMount(mountPoint, 'INFO_UF2.TXT');
+  const infoContents = await fs.readFile(infoPath, 'utf8').catch(() => '');
+  return parseBoardInfo(infoContents).chip;
+}
+
+function assertBoardCompatible(image, chip, mountPoint, label) {
+  const result = checkUf2Compatibility(image, chip);
+  if (!result.compatible) {
+    const imageFamilies = result.families.map((family) => family.name || family.hex).join(', ');
+    throw new Error(
+      `${label} targets ${imageFamilies} but the board at ${mountPoint} is an ${chip}. ` +
+      'Use the force option (--force) to flash it anyway.'
+    );
+  }
+  return result;
+}
+
 async function uploadFirmware(firmwarePath, mountPoint, options = {}) {
   const resolvedFirmware = path.resolve(firmwarePath);
   const stats = await fs.stat(resolvedFirmware).catch(() => null);
   if (!stats || !stats.isFile()) {
     throw new Error(`Firmware file not found: ${firmwarePath}`);
   }
-  assertUf2Filename(resolvedFirmware, 'Firmware path');
+  const format = detectFirmwareFormat(resolvedFirmware);
+  if (!format) {
+    throw new Error('Firmware path must reference a .uf2, .bin, .elf or .hex file.');
+  }
+  const label = `Firmware ${firmwarePath}`;
 
   const resolvedMount = await ensureMountPoint(mountPoint);
-  const targetFilename = options.targetFilename || path.basename(resolvedFirmware);
+  const chip = await readBoardChip(resolvedMount);
+  // Non-UF2 inputs are converted in memory, using the board's chip for the
+  // default base address and family ID unless the caller overrides them.
+  const contents = await readFirmwareAsUf2(resolvedFirmware, {
+    format,
+    chip: options.chip || chip,
+    baseAddress: options.baseAddress,
+    familyId: options.familyId
+  });
+  const image = assertValidUf2(parseUf2(contents), label);
+  if (!options.force) {
+    assertBoardCompatible(image, chip, resolvedMount, label);
+  }
+
+  const defaultFilename = format === 'uf2'
+    ? path.basename(resolvedFirmware)
+    : `${path.parse(resolvedFirmware).name}.uf2`;
+  const targetFilename = options.targetFilename || defaultFilename;
   assertUf2Filename(targetFilename, 'Target filename');
   const destination = resolveWithinMount(resolvedMount, targetFilename);
   await fs.ensureDir(path.dirname(destination));
-  await fs.copy(resolvedFirmware, destination, { overwrite: true });
+  await fs.writeFile(destination, contents);
   return destination;
 }
 
@@ -68,4 +111,44 @@ async function readInfoFile(mountPoint) {
   return contents.trim();
 }
 
-export { uploadFirmware, downloadFirmware, readInfoFile };
+// Describes what a board is running: INFO_UF2.TXT from its mounted drive plus
+// the binary info `picotool info -a` reports for it. When `target` is a
+// UF2/ELF/BIN file only the file's binary info is read. picotool is optional
+// for mounted boards; if it is missing or fails, or several boards are in
+// BOOTSEL mode and no serial number picks one, `binaryInfo` is null and
+// `binaryInfoError` says why.
+async function getFirmwareInfo(target, options = {}) {
+  if (!target || typeof target !== 'string') {
+    throw new Error('A mount point or firmware file is required.');
+  }
+  const resolvedTarget = path.resolve(target);
+  const stats = await fs.stat(resolvedTarget).catch(() => null);
+  if (stats && stats.isFile()) {
+    const { binaryInfo } = await getPicotoolInfo({ ...options, file: resolvedTarget });
+    return { file: resolvedTarget, infoFile: null, binaryInfo };
+  }
+
+  const raw = await readInfoFile(resolvedTarget);
+  const result = {
+    mountPoint: resolvedTarget,
+    infoFile: raw === null ? null : { raw, ...parseBoardInfo(raw) },
+    binaryInfo: null
+  };
+  // The drive does not report the board's serial number, so without a
+  // selector picotool is only asked while this is the one BOOTSEL board.
+  const targeted = options.serialNumber || options.bus !== undefined || options.address !== undefined;
+  const mountedBoards = targeted ? [] : await findMountedBoards(options.searchRoots);
+  if (mountedBoards.length > 1) {
+    result.binaryInfoError = `${mountedBoards.length} boards are in BOOTSEL mode, so picotool cannot tell which one ` +
+      `is mounted at ${resolvedTarget}. Pass the board's serial number.`;
+    return result;
+  }
+  try {
+    result.binaryInfo = (await getPicotoolInfo(options)).binaryInfo;
+  } catch (error) {
+    result.binaryInfoError = error.message;
+  }
+  return result;
+}
+
+export { uploadFirmware, downloadFirmware, readInfoFile, getFirmwareInfo };
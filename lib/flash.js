@@ -0,0 +1,248 @@
+import path from 'path';
+import fs from 'fs-extra';
+import {
+  listDevices,
+  listSerialPorts,
+  findMountedBoards,
+  waitForUnmountedBoard,
+  waitForSerialDevice
+} from './devices.js';
+import { putDeviceInFsMode } from './picotool.js';
+import { uploadFirmware } from './firmware.js';
+import { readFirmwareAsUf2 } from './convert.js';
+import { parseUf2, assertValidUf2, checkUf2Compatibility } from './uf2.js';
+
+function notify(onProgress, stage, detail = {}) {
+  if (typeof onProgress === 'function') {
+    onProgress({ stage, ...detail });
+  }
+}
+
+async function selectFlashTarget(options) {
+  const { serialNumber, device, searchRoots } = options;
+  if (device) {
+    return device;
+  }
+
+  const { devices } = await listDevices({ searchRoots });
+  if (serialNumber) {
+    const match = devices.find((candidate) => candidate.serialNumber === serialNumber);
+    if (!match) {
+      throw new Error(`No device with serial number ${serialNumber} was found.`);
+    }
+    return match;
+  }
+
+  if (devices.length === 0) {
+    throw new Error('No devices found');
+  }
+  if (devices.length > 1) {
+    throw new Error(`Multiple devices found (${devices.length}). Please specify which device to use.`);
+  }
+  return devices[0];
+}
+
+async function flashDevice(firmwarePath, options = {}) {
+  const {
+    picotoolPath,
+    searchRoots,
+    force,
+    onProgress,
+    mountTimeout = 15000,
+    reconnectTimeout = 15000,
+    waitForReconnect = true
+  } = options;
+  const startedAt = Date.now();
+
+  const resolvedFirmware = path.resolve(firmwarePath);
+  const stats = await fs.stat(resolvedFirmware).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new Error(`Firmware file not found: ${firmwarePath}`);
+  }
+
+  const device = await selectFlashTarget(options);
+  notify(onProgress, 'selected', { device });
+
+  // Validate the image up front so a bad file never reboots the board.
+  const image = await readFirmwareAsUf2(resolvedFirmware, {
+    chip: options.chip || device.chip || undefined,
+    baseAddress: options.baseAddress,
+    familyId: options.familyId
+  });
+  const parsed = assertValidUf2(parseUf2(image), `Firmware ${firmwarePath}`);
+  if (!force && device.chip && !checkUf2Compatibility(parsed, device.chip).compatible) {
+    throw new Error(
+      `Firmware ${firmwarePath} does not target the ${device.chip} board ${device.serialNumber || device.id}. ` +
+      'Use the force option (--force) to flash it anyway.'
+    );
+  }
+
+  let mountPoint = device.mountPoint;
+  let mountedDevice = device;
+  if (device.type === 'serial') {
+    notify(onProgress, 'rebooting', { device });
+    const reboot = () => putDeviceInFsMode({
+      serialNumber: device.serialNumber,
+      serialPath: device.path,
+      picotoolPath,
+      searchRoots,
+      waitForMount: true,
+      mountTimeout,
+      claimedMounts: options.claimedMounts
+    });
+    // Fleet flashing passes `rebootLock` so only one board is between its
+    // reboot and its drive mounting at a time, and the new drive is its own.
+    const result = options.rebootLock ? await options.rebootLock(reboot) : await reboot();
+    mountPoint = result.mountPoint;
+    mountedDevice = result.device;
+
+    // MicroPython boards share one USB product ID across chips, so when the
+    // chip was unknown up front it is checked against the bootloader drive.
+    const mountedChip = result.device && result.device.chip;
+    if (device.chip && mountedChip && device.chip !== mountedChip) {
+      throw new Error(
+        `The drive at ${mountPoint} belongs to an ${mountedChip} board, not the ${device.chip} board ` +
+        `${device.serialNumber || device.id}.`
+      );
+    }
+    if (!force && !device.chip && mountedChip && !checkUf2Compatibility(parsed, mountedChip).compatible) {
+      throw new Error(
+        `Firmware ${firmwarePath} does not target the ${mountedChip} board ${device.serialNumber || device.id}, ` +
+        `which was left in BOOTSEL mode at ${mountPoint}. Use the force option (--force) to flash it anyway.`
+      );
+    }
+  }
+  notify(onProgress, 'mounted', { device, mountPoint });
+
+  // Serial ports present while the board is in BOOTSEL mode belong to other
+  // boards, so they are excluded when no serial number identifies this one.
+  const otherPorts = waitForReconnect && !device.serialNumber ? await listSerialPorts().catch(() => []) : [];
+
+  const destination = await uploadFirmware(resolvedFirmware, mountPoint, {
+    force,
+    chip: options.chip,
+    baseAddress: options.baseAddress,
+    familyId: options.familyId
+  });
+  notify(onProgress, 'uploaded', { device, mountPoint, destination });
+
+  await waitForUnmountedBoard(mountPoint, { timeout: mountTimeout });
+  // The next board to reboot may mount its drive at the same path.
+  if (options.claimedMounts) {
+    options.claimedMounts.delete(mountedDevice.id);
+  }
+  notify(onProgress, 'unmounted', { device, mountPoint });
+
+  let serialDevice = null;
+  if (waitForReconnect) {
+    serialDevice = await waitForSerialDevice({
+      serialNumber: device.serialNumber,
+      exclude: new Set(otherPorts.map((port) => port.id)),
+      timeout: reconnectTimeout
+    });
+    notify(onProgress, 'reconnected', { device, serialDevice });
+  }
+
+  return {
+    device,
+    mountPoint,
+    destination,
+    serialDevice,
+    durationMs: Date.now() - startedAt
+  };
+}
+
+function serialPatternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+async function selectFleetTargets(options) {
+  const { all, serialPattern, searchRoots } = options;
+  if (!all && !serialPattern) {
+    throw new Error('Fleet flashing needs either all devices or a serial number pattern.');
+  }
+
+  const { devices } = await listDevices({ searchRoots });
+  if (serialPattern) {
+    const pattern = serialPatternToRegExp(serialPattern);
+    return devices.filter((device) => device.serialNumber && pattern.test(device.serialNumber));
+  }
+  return devices.filter((device) => device.type === 'storage' || device.serialNumber);
+}
+
+// Runs tasks one at a time, in the order they were queued.
+function createSerialQueue() {
+  let tail = Promise.resolve();
+  return (task) => {
+    const run = tail.then(task);
+    tail = run.catch(() => {});
+    return run;
+  };
+}
+
+// Flashes every matching board with up to `concurrency` boards in flight.
+// RP2040/RP2350 drives do not expose the board serial number, so boards are
+// rebooted one at a time: each reboot waits until the previous board's drive
+// has mounted and been claimed, which ties every new drive to the board that
+// produced it. Uploads and reconnects still overlap.
+async function flashFleet(firmwarePath, options = {}) {
+  const { concurrency = 4, onProgress, searchRoots } = options;
+  if (options.serialNumber) {
+    throw new Error('Fleet flashing selects boards with all devices or a serial number pattern, not a single serial number.');
+  }
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const targets = await selectFleetTargets(options);
+  if (targets.length === 0) {
+    throw new Error('No matching devices found.');
+  }
+
+  const existingMounts = await findMountedBoards(searchRoots);
+  const claimedMounts = new Set(existingMounts.map((board) => board.id));
+  const rebootLock = createSerialQueue();
+  const flashOptions = {
+    picotoolPath: options.picotoolPath,
+    searchRoots,
+    force: options.force,
+    chip: options.chip,
+    baseAddress: options.baseAddress,
+    familyId: options.familyId,
+    mountTimeout: options.mountTimeout,
+    reconnectTimeout: options.reconnectTimeout,
+    waitForReconnect: options.waitForReconnect,
+    claimedMounts,
+    rebootLock,
+    onProgress
+  };
+  const results = new Array(targets.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < targets.length) {
+      const index = nextIndex;
+      nextIndex += 1;
+      const device = targets[index];
+      const startedAt = Date.now();
+      try {
+        const result = await flashDevice(firmwarePath, { ...flashOptions, device });
+        results[index] = { device, success: true, error: null, durationMs: result.durationMs, result };
+        notify(onProgress, 'done', { device });
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        results[index] = { device, success: false, error: message, durationMs: Date.now() - startedAt, result: null };
+        notify(onProgress, 'failed', { device, error: message });
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, targets.length) }, () => worker()));
+
+  const succeeded = results.filter((entry) => entry.success).length;
+  return {
+    results,
+    succeeded,
+    failed: results.length - succeeded
+  };
+}
+
+export { flashDevice, flashFleet };
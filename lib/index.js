@@ -1,5 +1,17 @@
 export * from './devices.js';
 export * from './fileTransfer.js';
 export * from './firmware.js';
+export * from './uf2.js';
+export * from './convert.js';
+export * from './flash.js';
 export * from './picotool.js';
 export * from './micropython.js';
+export * from './rawRepl.js';
+export * from './sync.js';
+export * from './dev.js';
+export * from './mpyCross.js';
+export * from './mip.js';
+export * from './backup.js';
+export * from './monitor.js';
+export * from './reboot.js';
+export * from './clone.js';
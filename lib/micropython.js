@@ -1,6 +1,23 @@
+import os from 'os';
 import path from 'path';
 import fs from 'fs-extra';
 import { execa } from 'execa';
+import { openSerialPort, detectChipFromText, isMicropythonDevice } from './devices.js';
+import { RawRepl, createDeviceError } from './rawRepl.js';
+import { stageCompiledTree } from './mpyCross.js';
+
+const MICROPYTHON_BACKENDS = ['mpremote', 'native'];
+const FILE_ENCODINGS = ['utf8', 'base64'];
+const REMOTE_WRITE_CHUNK_SIZE = 2048;
+const REMOTE_READ_CHUNK_SIZE = 512;
+const STAT_DIRECTORY_FLAG = 0x4000;
+const TERMINAL_EXIT_KEYS = [0x1D, 0x18];
+const DEVICE_INFO_TIMEOUT = 3000;
+// Native code architectures encoded in bits 10+ of sys.implementation._mpy.
+const MPY_ARCHITECTURES = [
+  null, 'x86', 'x64', 'armv6', 'armv6m', 'armv7m', 'armv7em', 'armv7emsp', 'armv7emdp', 'xtensa', 'xtensawin',
+  'rv32imc'
+];
 
 function ensureSerialPath(serialPath) {
   if (!serialPath || typeof serialPath !== 'string') {
@@ -16,6 +33,393 @@ function formatRemotePath(remotePath) {
   return remotePath.startsWith(':') ? remotePath : `:${remotePath}`;
 }
 
+function resolveBackend(options) {
+  const backend = options.backend || (options.session ? 'native' : 'mpremote');
+  if (!MICROPYTHON_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown MicroPython backend: ${backend}. Expected one of: ${MICROPYTHON_BACKENDS.join(', ')}.`);
+  }
+  return backend;
+}
+
+function stripRemotePrefix(remotePath) {
+  const stripped = remotePath.startsWith(':') ? remotePath.slice(1) : remotePath;
+  return stripped || '/';
+}
+
+function joinRemotePath(directory, name) {
+  return directory.endsWith('/') ? `${directory}${name}` : `${directory}/${name}`;
+}
+
+// JSON string literals are valid Python string literals.
+function pyString(value) {
+  return JSON.stringify(value);
+}
+
+function toDevicePath(remotePath) {
+  return stripRemotePrefix(formatRemotePath(remotePath));
+}
+
+function parseWalkOutput(output) {
+  return output.split(/\r?\n/).filter(Boolean).map((line) => {
+    const [kind, size, ...rest] = line.split(' ');
+    const entryPath = rest.join(' ');
+    return {
+      name: entryPath.slice(entryPath.lastIndexOf('/') + 1),
+      path: entryPath,
+      type: kind === 'd' ? 'dir' : 'file',
+      size: Number(size)
+    };
+  });
+}
+
+// mpremote `fs cp` semantics: copying onto a directory (or a path ending in
+// '/') places the source inside it under its own name.
+async function resolveDownloadDestination(remoteSource, destination) {
+  const resolvedDestination = path.resolve(destination);
+  const remoteBasename = path.basename(remoteSource.startsWith(':') ? remoteSource.slice(1) : remoteSource);
+  let finalDestination = resolvedDestination;
+
+  const destinationStats = await fs.stat(resolvedDestination).catch(() => null);
+  if (destinationStats && destinationStats.isDirectory()) {
+    finalDestination = path.join(resolvedDestination, remoteBasename);
+  }
+
+  await fs.ensureDir(path.dirname(finalDestination));
+  return finalDestination;
+}
+
+// Holds one raw REPL connection open so interpreter state (imports, globals)
+// survives between calls and transfers skip the per-command reconnect and
+// soft reset that mpremote performs. Remote paths accept the same forms as
+// the rest of this module, with or without the leading ':'.
+class MicroPythonSession {
+  constructor(repl, serialPath) {
+    this.repl = repl;
+    this.serialPath = serialPath;
+  }
+
+  static async open(serialPath, options = {}) {
+    const repl = await RawRepl.open(ensureSerialPath(serialPath), {
+      timeout: options.timeout,
+      baudRate: options.baudRate
+    });
+    try {
+      await repl.enter({ softReset: options.softReset });
+    } catch (error) {
+      await repl.close();
+      // Marks boards that are not running MicroPython (or not answering), as
+      // opposed to failures once the raw REPL is up.
+      throw Object.assign(error, { code: error.code || 'ENORAWREPL' });
+    }
+    return new MicroPythonSession(repl, serialPath);
+  }
+
+  async exec(code, options = {}) {
+    return await this.repl.exec(code, options);
+  }
+
+  // Evaluates a Python expression and returns its value decoded from JSON.
+  async eval(expression) {
+    const output = await this.exec(`import json\nprint(json.dumps(${expression}))`);
+    return JSON.parse(output.trim());
+  }
+
+  async stat(remotePath) {
+    const output = await this.exec(
+      `import os\ntry:\n _rms=os.stat(${pyString(toDevicePath(remotePath))})\n print(_rms[0],_rms[6])\n del _rms\n` +
+      "except OSError:\n print('none')"
+    );
+    const [mode, size] = output.trim().split(/\s+/);
+    if (mode === 'none') {
+      return null;
+    }
+    const isDirectory = (Number(mode) & STAT_DIRECTORY_FLAG) !== 0;
+    return { type: isDirectory ? 'dir' : 'file', size: isDirectory ? 0 : Number(size) };
+  }
+
+  // Lists a directory as { name, path, type, size } entries; with `recursive`
+  // every descendant is included, parents before their children.
+  async ls(remotePath = '/', options = {}) {
+    const directory = toDevicePath(remotePath);
+    const output = await this.exec(
+      'import os\ndef _rmwalk(p,r):\n for e in os.ilistdir(p):\n' +
+      "  q=(p if p.endswith('/') else p+'/')+e[0]\n  d=e[1]&0x4000\n" +
+      "  print('d' if d else 'f',e[3] if len(e)>3 and not d else 0,q)\n  if d and r:_rmwalk(q,r)\n" +
+      `_rmwalk(${pyString(directory)},${options.recursive ? 1 : 0})\ndel _rmwalk`
+    );
+    return parseWalkOutput(output);
+  }
+
+  // Creates the directory and any missing parents.
+  async mkdir(remotePath) {
+    const directory = toDevicePath(remotePath);
+    const parts = directory.split('/').filter(Boolean);
+    const prefix = directory.startsWith('/') ? '/' : '';
+    const paths = parts.map((_, index) => `${prefix}${parts.slice(0, index + 1).join('/')}`);
+    if (paths.length === 0) {
+      return;
+    }
+    await this.exec(
+      'import os\ndef _rmmk(p):\n for q in p:\n  try:\n   os.mkdir(q)\n  except OSError as e:\n' +
+      `   if e.args[0]!=17:raise\n_rmmk(${JSON.stringify(paths)})\ndel _rmmk`
+    );
+  }
+
+  async rm(remotePath, options = {}) {
+    const target = toDevicePath(remotePath);
+    const stats = await this.stat(target);
+    if (!stats) {
+      throw new Error(`Remote path does not exist: ${formatRemotePath(remotePath)}`);
+    }
+    if (stats.type === 'file') {
+      await this.exec(`import os\nos.remove(${pyString(target)})`);
+      return;
+    }
+    if (!options.recursive && (await this.ls(target)).length > 0) {
+      throw new Error(`Remote directory ${formatRemotePath(remotePath)} is not empty. Use the recursive option to remove it.`);
+    }
+    await this.exec(
+      'import os\ndef _rmrm(p):\n for e in os.ilistdir(p):\n' +
+      "  q=(p if p.endswith('/') else p+'/')+e[0]\n  if e[1]&0x4000:_rmrm(q)\n  else:os.remove(q)\n os.rmdir(p)\n" +
+      `_rmrm(${pyString(target)})\ndel _rmrm`
+    );
+  }
+
+  async writeFile(remotePath, data) {
+    await this.exec(
+      `from binascii import a2b_base64 as _rmd\n_rmf=open(${pyString(toDevicePath(remotePath))},'wb')\n_rmw=_rmf.write`
+    );
+    for (let offset = 0; offset < data.length; offset += REMOTE_WRITE_CHUNK_SIZE) {
+      const chunk = data.subarray(offset, offset + REMOTE_WRITE_CHUNK_SIZE);
+      await this.exec(`_rmw(_rmd(${pyString(chunk.toString('base64'))}))`);
+    }
+    await this.exec('_rmf.close()\ndel _rmf,_rmw,_rmd');
+  }
+
+  async readFile(remotePath) {
+    const output = await this.exec(
+      `from binascii import b2a_base64 as _rme\nwith open(${pyString(toDevicePath(remotePath))},'rb') as _rmf:\n` +
+      ` while 1:\n  _rmb=_rmf.read(${REMOTE_READ_CHUNK_SIZE})\n  if not _rmb:break\n  print(_rme(_rmb).decode(),end='')\n` +
+      'del _rme,_rmf,_rmb'
+    );
+    const chunks = output.split(/\r?\n/).filter(Boolean).map((line) => Buffer.from(line, 'base64'));
+    return Buffer.concat(chunks);
+  }
+
+  async put(localPath, remotePath) {
+    const resolvedSource = path.resolve(localPath);
+    const stats = await fs.stat(resolvedSource).catch(() => null);
+    if (!stats) {
+      throw new Error(`Source path does not exist: ${localPath}`);
+    }
+
+    let target = toDevicePath(remotePath);
+    const targetStats = await this.stat(target);
+    if (target.endsWith('/') || (targetStats && targetStats.type === 'dir')) {
+      target = joinRemotePath(target, path.basename(resolvedSource));
+    }
+
+    if (stats.isDirectory()) {
+      await this.putDirectory(resolvedSource, target);
+    } else {
+      await this.writeFile(target, await fs.readFile(resolvedSource));
+    }
+    return { source: resolvedSource, target: formatRemotePath(target) };
+  }
+
+  async putDirectory(localDir, remoteDir) {
+    await this.mkdir(remoteDir);
+    const entries = await fs.readdir(localDir, { withFileTypes: true });
+    for (const entry of entries) {
+      const localPath = path.join(localDir, entry.name);
+      const remotePath = joinRemotePath(remoteDir, entry.name);
+      if (entry.isDirectory()) {
+        await this.putDirectory(localPath, remotePath);
+      } else if (entry.isFile()) {
+        await this.writeFile(remotePath, await fs.readFile(localPath));
+      }
+    }
+  }
+
+  async get(remotePath, localPath, options = {}) {
+    const remoteSource = formatRemotePath(remotePath);
+    const source = toDevicePath(remotePath);
+    const stats = await this.stat(source);
+    if (!stats) {
+      throw new Error(`Remote path does not exist: ${remoteSource}`);
+    }
+    if (stats.type === 'dir' && !options.recursive) {
+      throw new Error(`Remote path ${remoteSource} is a directory. Use the recursive option to copy it.`);
+    }
+
+    const destination = await resolveDownloadDestination(remoteSource, localPath);
+    if (stats.type === 'file') {
+      await fs.writeFile(destination, await this.readFile(source));
+      return { source: remoteSource, destination };
+    }
+
+    await fs.ensureDir(destination);
+    const prefix = source.endsWith('/') ? source : `${source}/`;
+    for (const entry of await this.ls(source, { recursive: true })) {
+      const entryDestination = path.join(destination, ...entry.path.slice(prefix.length).split('/'));
+      if (entry.type === 'dir') {
+        await fs.ensureDir(entryDestination);
+      } else {
+        await fs.ensureDir(path.dirname(entryDestination));
+        await fs.writeFile(entryDestination, await this.readFile(entry.path));
+      }
+    }
+    return { source: remoteSource, destination };
+  }
+
+  // Renames like `mv`: moving onto an existing directory places the source
+  // inside it. Returns the final device path.
+  async rename(fromPath, toPath) {
+    const source = toDevicePath(fromPath);
+    if (!(await this.stat(source))) {
+      throw new Error(`Remote path does not exist: ${formatRemotePath(fromPath)}`);
+    }
+    let target = toDevicePath(toPath);
+    const targetStats = await this.stat(target);
+    if (targetStats && targetStats.type === 'dir') {
+      target = joinRemotePath(target, source.slice(source.lastIndexOf('/') + 1));
+    }
+    await this.exec(`import os\nos.rename(${pyString(source)},${pyString(target)})`);
+    return target;
+  }
+
+  // Filesystem capacity of the volume holding `remotePath`, in bytes.
+  async statvfs(remotePath = '/') {
+    const output = await this.exec(
+      `import os\n_rmv=os.statvfs(${pyString(toDevicePath(remotePath))})\nprint(_rmv[0],_rmv[1],_rmv[2],_rmv[3],_rmv[4])\ndel _rmv`
+    );
+    const [blockSize, fragmentSize, blocks, , availableBlocks] = output.trim().split(/\s+/).map(Number);
+    const unit = fragmentSize || blockSize;
+    const totalBytes = unit * blocks;
+    const freeBytes = unit * availableBlocks;
+    return { blockSize: unit, totalBytes, freeBytes, usedBytes: totalBytes - freeBytes };
+  }
+
+  // Hashes every file below a directory on the board itself, so unchanged
+  // files never cross the serial link. Entries are { path, type, sha256 }.
+  async hashTree(remotePath) {
+    const output = await this.exec(
+      'import os,hashlib,binascii\ndef _rmhash(p):\n for e in os.ilistdir(p):\n' +
+      "  q=(p if p.endswith('/') else p+'/')+e[0]\n  if e[1]&0x4000:\n   print('d','-',q)\n   _rmhash(q)\n" +
+      "   continue\n  h=hashlib.sha256()\n  with open(q,'rb') as f:\n   while 1:\n" +
+      `    b=f.read(${REMOTE_READ_CHUNK_SIZE})\n    if not b:break\n    h.update(b)\n` +
+      "  print('f',binascii.hexlify(h.digest()).decode(),q)\n" +
+      `_rmhash(${pyString(toDevicePath(remotePath))})\ndel _rmhash`
+    );
+    return output.split(/\r?\n/).filter(Boolean).map((line) => {
+      const [kind, sha256, ...rest] = line.split(' ');
+      return { path: rest.join(' '), type: kind === 'd' ? 'dir' : 'file', sha256: kind === 'd' ? null : sha256 };
+    });
+  }
+
+  async close() {
+    await this.repl.exit().catch(() => {});
+    await this.repl.close();
+  }
+}
+
+async function openMicropythonSession(serialPath, options = {}) {
+  return await MicroPythonSession.open(serialPath, options);
+}
+
+// Runs `task` with the caller's session when one is passed in `options.session`,
+// otherwise with a session opened (and closed) just for this call.
+async function withSession(serialPath, options, task) {
+  if (options.session) {
+    return await task(options.session);
+  }
+  const session = await MicroPythonSession.open(serialPath, options);
+  try {
+    return await task(session);
+  } finally {
+    await session.close();
+  }
+}
+
+// Runs the MicroPythonSession helpers through `mpremote exec`, one mpremote
+// call per snippet, for the filesystem commands' mpremote backend.
+class MpremoteSession extends MicroPythonSession {
+  constructor(serialPath, options) {
+    super(null, serialPath);
+    this.options = options;
+  }
+
+  async exec(code) {
+    try {
+      return await runMpremote([...buildConnectionArgs(this.serialPath), 'exec', code], {
+        mpremotePath: this.options.mpremotePath,
+        timeout: this.options.timeout
+      });
+    } catch (error) {
+      if (typeof error.exitCode !== 'number') {
+        throw error;
+      }
+      throw createDeviceError(error.stderr || error.stdout || error.message);
+    }
+  }
+
+  async close() {}
+}
+
+// Like withSession for the filesystem helpers, which run their snippets through
+// `mpremote exec` unless the native backend or an open session is passed.
+async function withFilesystemSession(serialPath, options, task) {
+  const backend = options.session ? 'native' : resolveBackend(options);
+  if (backend === 'mpremote') {
+    return await task(new MpremoteSession(serialPath, options));
+  }
+  return await withSession(serialPath, options, task);
+}
+
+// Bridges the terminal to the board's friendly REPL until Ctrl-] or Ctrl-X.
+async function runNativeTerminal(serialPath, options = {}) {
+  const port = await openSerialPort(ensureSerialPath(serialPath), { baudRate: options.baudRate });
+  const { stdin, stdout } = process;
+  const wasRaw = Boolean(stdin.isRaw);
+
+  await new Promise((resolve) => {
+    let finished = false;
+    const onPortData = (chunk) => stdout.write(chunk);
+    const onInput = (chunk) => {
+      if (TERMINAL_EXIT_KEYS.some((key) => chunk.includes(key))) {
+        finish();
+        return;
+      }
+      port.write(chunk);
+    };
+    const finish = () => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      stdin.removeListener('data', onInput);
+      port.removeListener('data', onPortData);
+      if (stdin.isTTY) {
+        stdin.setRawMode(wasRaw);
+      }
+      stdin.pause();
+      if (port.isOpen) {
+        port.close(() => resolve());
+      } else {
+        resolve();
+      }
+    };
+
+    port.on('data', onPortData);
+    port.once('close', finish);
+    if (stdin.isTTY) {
+      stdin.setRawMode(true);
+    }
+    stdin.on('data', onInput);
+    stdin.resume();
+  });
+}
+
 async function runMpremote(args, options = {}) {
   const command = options.mpremotePath || 'mpremote';
   const timeout = options.timeout;
@@ -40,6 +444,21 @@ function buildConnectionArgs(serialPath) {
   return ['connect', ensureSerialPath(serialPath)];
 }
 
+async function transferToMicropython(serialPath, localPath, isDirectory, remoteTarget, options) {
+  if (resolveBackend(options) === 'native') {
+    await withSession(serialPath, options, (session) => session.put(localPath, remoteTarget));
+    return;
+  }
+
+  const args = [...buildConnectionArgs(serialPath), 'fs', 'cp'];
+  if (isDirectory) {
+    args.push('-r');
+  }
+  args.push(localPath, remoteTarget);
+
+  await runMpremote(args, options);
+}
+
 async function uploadToMicropython(serialPath, source, target, options = {}) {
   const resolvedSource = path.resolve(source);
   const stats = await fs.stat(resolvedSource).catch(() => null);
@@ -48,31 +467,33 @@ async function uploadToMicropython(serialPath, source, target, options = {}) {
   }
 
   const remoteTarget = formatRemotePath(target);
-  const args = [...buildConnectionArgs(serialPath), 'fs', 'cp'];
-  if (stats.isDirectory()) {
-    args.push('-r');
+  if (!options.compile) {
+    await transferToMicropython(serialPath, resolvedSource, stats.isDirectory(), remoteTarget, options);
+    return { source: resolvedSource, target: remoteTarget };
   }
-  args.push(resolvedSource, remoteTarget);
 
-  await runMpremote(args, options);
-  return { source: resolvedSource, target: remoteTarget };
+  // Compiled files are staged under their original names (with .mpy) so the
+  // usual copy semantics still apply to the target path.
+  const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), 'raspimcu-mpy-'));
+  try {
+    const { staged, compiled } = await stageCompiledTree(resolvedSource, stagingDir, options);
+    const compiledTarget = compiled.length && !stats.isDirectory() && remoteTarget.endsWith('.py')
+      ? remoteTarget.replace(/\.py$/, '.mpy')
+      : remoteTarget;
+    await transferToMicropython(serialPath, staged, stats.isDirectory(), compiledTarget, options);
+    return { source: resolvedSource, target: compiledTarget, compiled };
+  } finally {
+    await fs.remove(stagingDir);
+  }
 }
 
 async function downloadFromMicropython(serialPath, remotePath, destination, options = {}) {
   const remoteSource = formatRemotePath(remotePath);
-  const resolvedDestination = path.resolve(destination);
-  const remoteBasename = path.basename(remoteSource.startsWith(':') ? remoteSource.slice(1) : remoteSource);
-  let finalDestination = resolvedDestination;
-
-  const destinationStats = await fs.stat(resolvedDestination).catch(() => null);
-  if (destinationStats && destinationStats.isDirectory()) {
-    finalDestination = path.join(resolvedDestination, remoteBasename);
-  } else {
-    await fs.ensureDir(path.dirname(resolvedDestination));
+  if (resolveBackend(options) === 'native') {
+    return await withSession(serialPath, options, (session) => session.get(remoteSource, destination, options));
   }
 
-  await fs.ensureDir(path.dirname(finalDestination));
-
+  const finalDestination = await resolveDownloadDestination(remoteSource, destination);
   const args = [...buildConnectionArgs(serialPath), 'fs', 'cp'];
   if (options.recursive) {
     args.push('-r');
@@ -83,15 +504,326 @@ async function downloadFromMicropython(serialPath, remotePath, destination, opti
   return { source: remoteSource, destination: finalDestination };
 }
 
+// Several snippets always run in one MicroPythonSession, whichever backend is
+// selected, so state defined by one snippet is visible to the next.
 async function runMicropythonRepl(serialPath, options = {}) {
+  const snippets = options.code ? [].concat(options.code) : [];
+  if (resolveBackend(options) === 'native' || snippets.length > 1) {
+    if (options.code) {
+      const output = await withSession(serialPath, options, async (session) => {
+        let combined = '';
+        for (const code of snippets) {
+          combined += await session.exec(code);
+        }
+        return combined;
+      });
+      return output.trim();
+    }
+    await runNativeTerminal(serialPath, options);
+    return '';
+  }
+
   const baseArgs = buildConnectionArgs(serialPath);
   if (options.code) {
-    const output = await runMpremote([...baseArgs, 'exec', options.code], options);
-    return output;
+    return await runMpremote([...baseArgs, 'exec', snippets[0]], options);
   }
 
   await runMpremote([...baseArgs, 'repl'], { ...options, stdio: 'inherit' });
   return '';
 }
 
-export { uploadToMicropython, downloadFromMicropython, runMicropythonRepl };
+function writeToConsole(chunk, stream) {
+  (stream === 'stderr' ? process.stderr : process.stdout).write(chunk);
+}
+
+// Interrupts whatever the board is running, for use after mpremote has been
+// killed and released the port.
+async function interruptBoard(serialPath, options = {}) {
+  const port = await openSerialPort(ensureSerialPath(serialPath), { baudRate: options.baudRate });
+  await new Promise((resolve) => port.write(Buffer.from([0x0D, 0x03, 0x03]), () => port.drain(() => resolve())));
+  await new Promise((resolve) => port.close(() => resolve()));
+}
+
+// The script is compiled from a string so sys.exit() is caught as an exit
+// status instead of soft-resetting the board; the status is kept in a global
+// and read back with a second exec. The helper globals are removed afterwards,
+// even when the script crashed or was interrupted.
+async function runScriptInSession(session, source, options) {
+  const { timeout, onOutput = writeToConsole } = options;
+  const wrapper = `def _rmrun(s):\n try:\n  exec(s,{'__name__':'__main__'})\n` +
+    ' except SystemExit as e:\n  return e.args[0] if e.args else 0\n return 0\n' +
+    `_rmx=_rmrun(${pyString(source)})`;
+  let timedOut = false;
+  const timer = timeout ? setTimeout(() => {
+    timedOut = true;
+    session.repl.interrupt().catch(() => {});
+  }, timeout) : null;
+
+  let result;
+  try {
+    result = await session.repl.execRaw(wrapper, {
+      timeout: Infinity,
+      onData: (chunk) => onOutput(chunk, 'stdout'),
+      onStderr: (chunk) => onOutput(chunk, 'stderr')
+    });
+  } finally {
+    clearTimeout(timer);
+  }
+
+  try {
+    if (timedOut) {
+      throw new Error(`Script timed out after ${timeout}ms and was interrupted with Ctrl-C.`);
+    }
+    if (result.stderr) {
+      return 1;
+    }
+    const status = (await session.exec("print(_rmx if type(_rmx) is int else 'x')")).trim();
+    return /^-?\d+$/.test(status) ? Number(status) : 1;
+  } finally {
+    await session.exec("globals().pop('_rmx',None)\nglobals().pop('_rmrun',None)");
+  }
+}
+
+// Runs a local script without saving it. The native backend reports the
+// script's sys.exit() status; mpremote does not pass it on, so with the
+// mpremote backend the exit code is 0, or 1 when the script raised.
+async function runMicropythonScript(serialPath, scriptPath, options = {}) {
+  const resolvedScript = path.resolve(scriptPath);
+  const stats = await fs.stat(resolvedScript).catch(() => null);
+  if (!stats || !stats.isFile()) {
+    throw new Error(`Script not found: ${scriptPath}`);
+  }
+  const startedAt = Date.now();
+
+  if (resolveBackend(options) === 'native') {
+    const source = await fs.readFile(resolvedScript, 'utf8');
+    const exitCode = await withSession(serialPath, options, (session) => runScriptInSession(session, source, options));
+    return { script: resolvedScript, exitCode, durationMs: Date.now() - startedAt };
+  }
+
+  try {
+    await runMpremote([...buildConnectionArgs(serialPath), 'run', resolvedScript], { ...options, stdio: 'inherit' });
+    return { script: resolvedScript, exitCode: 0, durationMs: Date.now() - startedAt };
+  } catch (error) {
+    if (error.timedOut) {
+      await interruptBoard(serialPath, options);
+      throw new Error(`Script timed out after ${options.timeout}ms and was interrupted with Ctrl-C.`);
+    }
+    if (typeof error.exitCode === 'number') {
+      return { script: resolvedScript, exitCode: error.exitCode, durationMs: Date.now() - startedAt };
+    }
+    throw error;
+  }
+}
+
+function buildRemoteTree(root, entries) {
+  const nodes = new Map([[root.path, root]]);
+  for (const entry of entries) {
+    const node = entry.type === 'dir' ? { ...entry, children: [] } : { ...entry };
+    nodes.set(entry.path, node);
+    const parentPath = entry.path.slice(0, entry.path.lastIndexOf('/')) || '/';
+    const parent = nodes.get(parentPath) || root;
+    parent.children.push(node);
+  }
+  return root;
+}
+
+async function listMicropythonFiles(serialPath, remotePath = '/', options = {}) {
+  const remoteDir = formatRemotePath(remotePath);
+  return await withFilesystemSession(serialPath, options, async (session) => {
+    const stats = await session.stat(remoteDir);
+    if (!stats) {
+      throw new Error(`Remote path does not exist: ${remoteDir}`);
+    }
+    if (stats.type === 'file') {
+      const devicePath = toDevicePath(remoteDir);
+      const name = devicePath.slice(devicePath.lastIndexOf('/') + 1);
+      return { path: remoteDir, entries: [{ name, path: devicePath, type: 'file', size: stats.size }] };
+    }
+    return { path: remoteDir, entries: await session.ls(remoteDir, { recursive: options.recursive }) };
+  });
+}
+
+async function getMicropythonTree(serialPath, remotePath = '/', options = {}) {
+  const remoteDir = formatRemotePath(remotePath);
+  const entries = await withFilesystemSession(serialPath, options, async (session) => {
+    const stats = await session.stat(remoteDir);
+    if (!stats) {
+      throw new Error(`Remote path does not exist: ${remoteDir}`);
+    }
+    if (stats.type === 'file') {
+      throw new Error(`Remote path ${remoteDir} is a file.`);
+    }
+    return await session.ls(remoteDir, { recursive: true });
+  });
+  const devicePath = toDevicePath(remotePath).replace(/(.)\/$/, '$1');
+  const root = {
+    name: devicePath === '/' ? '/' : devicePath.slice(devicePath.lastIndexOf('/') + 1),
+    path: devicePath,
+    type: 'dir',
+    size: 0,
+    children: []
+  };
+  return buildRemoteTree(root, entries);
+}
+
+async function removeMicropythonPath(serialPath, remotePath, options = {}) {
+  const target = formatRemotePath(remotePath);
+  return await withFilesystemSession(serialPath, options, async (session) => {
+    const stats = await session.stat(target);
+    await session.rm(target, { recursive: options.recursive });
+    return { path: target, type: stats.type };
+  });
+}
+
+async function makeMicropythonDirectory(serialPath, remotePath, options = {}) {
+  const target = formatRemotePath(remotePath);
+  await withFilesystemSession(serialPath, options, (session) => session.mkdir(target));
+  return { path: target };
+}
+
+async function moveMicropythonPath(serialPath, fromPath, toPath, options = {}) {
+  const source = formatRemotePath(fromPath);
+  const target = await withFilesystemSession(
+    serialPath,
+    options,
+    (session) => session.rename(source, formatRemotePath(toPath))
+  );
+  return { source, target: formatRemotePath(target) };
+}
+
+// Reads a remote file as text. `encoding: 'base64'` returns binary files
+// intact; `data` is a string either way so the result stays JSON-friendly.
+async function readMicropythonFile(serialPath, remotePath, options = {}) {
+  const { encoding = 'utf8' } = options;
+  if (!FILE_ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown encoding: ${encoding}. Expected one of: ${FILE_ENCODINGS.join(', ')}.`);
+  }
+  const source = formatRemotePath(remotePath);
+  return await withFilesystemSession(serialPath, options, async (session) => {
+    const stats = await session.stat(source);
+    if (!stats) {
+      throw new Error(`Remote path does not exist: ${source}`);
+    }
+    if (stats.type === 'dir') {
+      throw new Error(`Remote path ${source} is a directory.`);
+    }
+    const data = await session.readFile(source);
+    return { path: source, size: data.length, encoding, data: data.toString(encoding) };
+  });
+}
+
+async function getMicropythonDiskUsage(serialPath, remotePath = '/', options = {}) {
+  const target = formatRemotePath(remotePath);
+  const usage = await withFilesystemSession(serialPath, options, (session) => session.statvfs(target));
+  return { path: target, ...usage };
+}
+
+function decodeMpyVersion(value) {
+  if (typeof value !== 'number') {
+    return null;
+  }
+  return {
+    version: `${value & 0xff}.${(value >> 8) & 0x3}`,
+    arch: MPY_ARCHITECTURES[value >> 10] ?? null
+  };
+}
+
+// Collects firmware, board, memory and filesystem details in one round trip.
+// Boards without machine.unique_id() report a null uniqueId.
+async function getMicropythonInfo(serialPath, options = {}) {
+  return await withSession(serialPath, options, async (session) => {
+    const output = await session.exec(
+      'import sys,os,gc,json\n_rmu=os.uname()\n' +
+      "_rmi={'name':sys.implementation.name,'version':'.'.join(str(v) for v in sys.implementation.version[:3])," +
+      "'mpy':getattr(sys.implementation,'_mpy',None),'platform':sys.platform,'pythonVersion':sys.version," +
+      "'uname':{'sysname':_rmu.sysname,'nodename':_rmu.nodename,'release':_rmu.release,'version':_rmu.version," +
+      "'machine':_rmu.machine},'uniqueId':None}\n" +
+      "try:\n import machine,binascii\n _rmi['uniqueId']=binascii.hexlify(machine.unique_id()).decode()\n" +
+      'except Exception:\n pass\n' +
+      "gc.collect()\n_rmi['memFree']=gc.mem_free()\n_rmi['memAlloc']=gc.mem_alloc()\n" +
+      'print(json.dumps(_rmi))\ndel _rmi,_rmu'
+    );
+    const raw = JSON.parse(output.trim());
+    return {
+      serialPath,
+      implementation: { name: raw.name, version: raw.version, mpy: decodeMpyVersion(raw.mpy) },
+      platform: raw.platform,
+      pythonVersion: raw.pythonVersion,
+      board: raw.uname.machine,
+      uname: raw.uname,
+      uniqueId: raw.uniqueId,
+      memory: { free: raw.memFree, allocated: raw.memAlloc, total: raw.memFree + raw.memAlloc },
+      filesystem: await session.statvfs('/')
+    };
+  });
+}
+
+// Resets a board from its raw REPL. A hard reset (machine.reset()) restarts
+// the chip and drops the USB connection, so the program is submitted without
+// waiting for a reply; `bootloader` does the same with machine.bootloader(),
+// leaving the board in BOOTSEL mode. `soft` performs a friendly-REPL soft reset
+// instead, which keeps the port open and reruns boot.py and main.py.
+async function resetMicropythonBoard(serialPath, options = {}) {
+  const { soft = false, bootloader = false } = options;
+  const method = soft ? 'soft-reset' : `machine.${bootloader ? 'bootloader' : 'reset'}`;
+  const session = await MicroPythonSession.open(serialPath, options);
+  try {
+    if (soft) {
+      await session.repl.softReset();
+    } else {
+      await session.repl.send(`import machine\n${method}()`);
+    }
+  } finally {
+    await session.close();
+  }
+  return { serialPath, method };
+}
+
+// Adds a `micropython` field to every MicroPython board (USB product ID 0005)
+// in a listDevices() result. Querying interrupts the running program, so other
+// serial devices are left alone. Boards that do not answer on the raw REPL (a
+// busy port) get `micropython: null` and an entry in `errors`.
+async function addMicropythonInfo(result, options = {}) {
+  const errors = [...result.errors];
+  const devices = [];
+  for (const device of result.devices) {
+    if (!isMicropythonDevice(device) || !device.path) {
+      devices.push(device);
+      continue;
+    }
+    try {
+      const { serialPath, ...info } = await getMicropythonInfo(device.path, {
+        ...options,
+        timeout: options.timeout ?? DEVICE_INFO_TIMEOUT
+      });
+      // The board string ("... with RP2040") names the chip that the shared
+      // MicroPython USB product ID cannot.
+      devices.push({ ...device, chip: device.chip ?? detectChipFromText([info.board]) ?? null, micropython: info });
+    } catch (error) {
+      devices.push({ ...device, micropython: null });
+      errors.push({ source: 'micropython', error: { message: `${device.path}: ${error.message}` } });
+    }
+  }
+  return { ...result, devices, errors };
+}
+
+export {
+  uploadToMicropython,
+  downloadFromMicropython,
+  runMicropythonRepl,
+  runMicropythonScript,
+  listMicropythonFiles,
+  getMicropythonTree,
+  removeMicropythonPath,
+  makeMicropythonDirectory,
+  moveMicropythonPath,
+  readMicropythonFile,
+  getMicropythonDiskUsage,
+  getMicropythonInfo,
+  addMicropythonInfo,
+  resetMicropythonBoard,
+  openMicropythonSession,
+  MicroPythonSession,
+  MICROPYTHON_BACKENDS
+};
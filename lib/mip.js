@@ -0,0 +1,315 @@
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { openMicropythonSession } from './micropython.js';
+
+const DEFAULT_MIP_INDEX = 'https://micropython.org/pi/v2';
+const DEFAULT_MIP_TARGET = '/lib';
+const DEFAULT_MIP_CACHE_DIR = path.join(os.tmpdir(), 'raspimcu-mip-cache');
+const MIP_LOCKFILE_VERSION = 1;
+
+function notify(onProgress, stage, detail = {}) {
+  if (typeof onProgress === 'function') {
+    onProgress({ stage, ...detail });
+  }
+}
+
+function hashBuffer(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function isUrl(location) {
+  return /^https?:\/\//i.test(location);
+}
+
+function isPackageUrl(name) {
+  return isUrl(name) || /^(github|gitlab):/.test(name);
+}
+
+function joinLocation(base, relativePath) {
+  return isUrl(base) ? `${base.replace(/\/+$/, '')}/${relativePath}` : path.join(base, relativePath);
+}
+
+function dirnameLocation(location) {
+  return isUrl(location) ? location.slice(0, location.lastIndexOf('/')) : path.dirname(location);
+}
+
+function normalizeTarget(target) {
+  const stripped = target.startsWith(':') ? target.slice(1) : target;
+  return stripped.replace(/\/+$/, '') || '/';
+}
+
+// "name", "name@1.0", "github:org/repo@branch" or a URL, as accepted by mip.
+function parsePackageSpec(spec) {
+  if (!spec || typeof spec !== 'string') {
+    throw new Error('A package name or URL is required.');
+  }
+  const at = spec.lastIndexOf('@');
+  if (at > 0 && !spec.slice(at).includes('/')) {
+    return { name: spec.slice(0, at), version: spec.slice(at + 1) || 'latest' };
+  }
+  return { name: spec, version: 'latest' };
+}
+
+// Expands github:/gitlab: shorthands to raw file URLs the same way mip does,
+// using `version` as the branch or tag.
+function expandPackageUrl(url, version) {
+  const match = /^(github|gitlab):([^/]+)\/([^/]+)(?:\/(.*))?$/.exec(url);
+  if (!match) {
+    return url.replace(/\/+$/, '');
+  }
+  const [, host, owner, repo, filePath = ''] = match;
+  const ref = version && version !== 'latest' ? version : 'HEAD';
+  const base = host === 'github'
+    ? `https://raw.githubusercontent.com/${owner}/${repo}/${ref}`
+    : `https://gitlab.com/${owner}/${repo}/-/raw/${ref}`;
+  return filePath ? `${base}/${filePath.replace(/\/+$/, '')}` : base;
+}
+
+// Reads a URL or a local mirror path. Returns null when it does not exist.
+async function readLocation(location, options = {}) {
+  if (!isUrl(location)) {
+    return await fs.readFile(location).catch((error) => {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    });
+  }
+  if (options.offline) {
+    throw new Error(`Cannot download ${location} while offline.`);
+  }
+  const response = await fetch(location);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to download ${location}: HTTP ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function readManifest(location, label, options) {
+  const data = await readLocation(location, options);
+  if (!data) {
+    throw new Error(`Package not found: ${label} (${location})`);
+  }
+  try {
+    return JSON.parse(data.toString('utf8'));
+  } catch (error) {
+    throw new Error(`Invalid package manifest at ${location}: ${error.message}`);
+  }
+}
+
+// Turns one mip package into a lock entry: where its manifest came from, the
+// files it installs (relative to the target) and the packages it depends on.
+async function resolvePackage(name, version, index, options) {
+  if (isPackageUrl(name)) {
+    const url = expandPackageUrl(name, version);
+    if (/\.m?py$/.test(url)) {
+      return { version, source: url, deps: [], files: [{ path: url.slice(url.lastIndexOf('/') + 1), url }] };
+    }
+    const source = url.endsWith('.json') ? url : `${url}/package.json`;
+    const manifest = await readManifest(source, name, options);
+    return manifestToEntry(manifest, version, source, index);
+  }
+
+  const source = joinLocation(index, `package/py/${name}/${version}.json`);
+  const manifest = await readManifest(source, `${name}@${version}`, options);
+  return manifestToEntry(manifest, version, source, index);
+}
+
+// Manifest paths are joined onto the install target, so one that is absolute
+// or climbs out with `..` could overwrite boot.py or anything else on the board.
+function checkManifestPath(filePath, source) {
+  const segments = typeof filePath === 'string' ? filePath.split(/[\\/]/) : [''];
+  if (segments[0] === '' || segments.includes('..')) {
+    throw new Error(
+      `Invalid package manifest at ${source}: file path ${JSON.stringify(filePath)} must stay inside the install target.`
+    );
+  }
+  return filePath;
+}
+
+function manifestToEntry(manifest, version, source, index) {
+  const base = dirnameLocation(source);
+  const files = [];
+  for (const [filePath, shortHash] of manifest.hashes || []) {
+    files.push({
+      path: checkManifestPath(filePath, source),
+      url: joinLocation(index, `file/${shortHash.slice(0, 2)}/${shortHash}`),
+      hashPrefix: shortHash
+    });
+  }
+  for (const [filePath, fileUrl] of manifest.urls || []) {
+    const url = isPackageUrl(fileUrl) ? expandPackageUrl(fileUrl, version) : joinLocation(base, fileUrl);
+    files.push({ path: checkManifestPath(filePath, source), url });
+  }
+  const deps = (manifest.deps || []).map(([depName, depVersion]) => (
+    depVersion && depVersion !== 'latest' ? `${depName}@${depVersion}` : depName
+  ));
+  return { version, resolvedVersion: manifest.version || null, source, deps, files };
+}
+
+// Resolves the requested packages and their dependencies, preferring entries
+// already pinned in `locked` (keyed by package name) over the index.
+async function resolveMicropythonPackages(packages, options = {}) {
+  const index = options.index || DEFAULT_MIP_INDEX;
+  const resolvedIndex = isUrl(index) ? index.replace(/\/+$/, '') : path.resolve(index);
+  const locked = options.locked || {};
+  const resolved = {};
+
+  async function visit(spec) {
+    const { name, version } = parsePackageSpec(spec);
+    if (resolved[name]) {
+      return;
+    }
+    const pinned = locked[name];
+    const entry = pinned && pinned.version === version
+      ? pinned
+      : await resolvePackage(name, version, resolvedIndex, options);
+    resolved[name] = entry;
+    for (const dep of entry.deps) {
+      await visit(dep);
+    }
+  }
+
+  for (const spec of packages) {
+    await visit(spec);
+  }
+  return { index: resolvedIndex, packages: resolved };
+}
+
+// Loads a package file from the content-addressed cache or its URL. Files
+// pinned by a lockfile must match their recorded hash.
+async function loadPackageFile(file, options) {
+  const cacheDir = options.cacheDir || DEFAULT_MIP_CACHE_DIR;
+  if (file.sha256) {
+    const cached = await fs.readFile(path.join(cacheDir, file.sha256)).catch(() => null);
+    if (cached) {
+      return { data: cached, sha256: file.sha256 };
+    }
+  }
+
+  const data = await readLocation(file.url, options);
+  if (!data) {
+    throw new Error(`Package file not found: ${file.url}`);
+  }
+  const sha256 = hashBuffer(data);
+  const expected = file.sha256 || file.hashPrefix;
+  if (expected && !sha256.startsWith(expected)) {
+    throw new Error(`Hash mismatch for ${file.path} from ${file.url}: expected ${expected}, got ${sha256}.`);
+  }
+  await fs.ensureDir(cacheDir);
+  await fs.writeFile(path.join(cacheDir, sha256), data);
+  return { data, sha256 };
+}
+
+// Rebuilds install specs from lock entries so each package resolves to the
+// pinned entry rather than to its latest version.
+function lockedSpecs(lockedPackages) {
+  return Object.entries(lockedPackages).map(([name, entry]) => (
+    entry.version && entry.version !== 'latest' ? `${name}@${entry.version}` : name
+  ));
+}
+
+async function readLockfile(lockfile) {
+  const data = await fs.readFile(lockfile, 'utf8').catch((error) => {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  });
+  if (data === null) {
+    return null;
+  }
+  const lock = JSON.parse(data);
+  if (lock.lockfileVersion !== MIP_LOCKFILE_VERSION) {
+    throw new Error(`Unsupported lockfile version in ${lockfile}: ${lock.lockfileVersion}`);
+  }
+  return lock;
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.keys(object).sort().map((key) => [key, object[key]]));
+}
+
+// Installs mip packages and their dependencies into `target` (default /lib).
+// With no packages, everything pinned in `options.lockfile` is reinstalled.
+// The lockfile records every file's sha256 so installs can be reproduced from
+// the download cache or a local mirror with `offline: true`.
+async function installMicropythonPackages(serialPath, packages = [], options = {}) {
+  const { lockfile, onProgress } = options;
+  const lock = lockfile ? await readLockfile(lockfile) : null;
+  const requested = packages.length ? packages : lockedSpecs(lock?.packages || {});
+  if (!requested.length) {
+    throw new Error(lockfile
+      ? `No packages given and the lockfile ${lockfile} has nothing to install.`
+      : 'At least one package name or URL is required.');
+  }
+
+  const target = normalizeTarget(options.target || lock?.target || DEFAULT_MIP_TARGET);
+  const { index, packages: resolved } = await resolveMicropythonPackages(requested, {
+    ...options,
+    index: options.index || lock?.index,
+    locked: lock?.packages
+  });
+
+  const downloads = [];
+  for (const [name, entry] of Object.entries(resolved)) {
+    for (const file of entry.files) {
+      const { data, sha256 } = await loadPackageFile(file, options);
+      file.sha256 = sha256;
+      delete file.hashPrefix;
+      downloads.push({ name, path: path.posix.join(target, file.path), data });
+    }
+  }
+
+  const ownsSession = !options.session;
+  const session = options.session || await openMicropythonSession(serialPath, options);
+  try {
+    const createdDirs = new Set();
+    for (const download of downloads) {
+      const directory = path.posix.dirname(download.path);
+      if (!createdDirs.has(directory)) {
+        await session.mkdir(directory);
+        createdDirs.add(directory);
+      }
+      await session.writeFile(download.path, download.data);
+      notify(onProgress, 'installed', { package: download.name, path: download.path, size: download.data.length });
+    }
+  } finally {
+    if (ownsSession) {
+      await session.close();
+    }
+  }
+
+  if (lockfile) {
+    const nextLock = {
+      lockfileVersion: MIP_LOCKFILE_VERSION,
+      index,
+      target,
+      packages: sortKeys({ ...(lock?.packages || {}), ...resolved })
+    };
+    await fs.outputFile(lockfile, `${JSON.stringify(nextLock, null, 2)}\n`);
+  }
+
+  return {
+    target: `:${target}`,
+    packages: Object.entries(resolved).map(([name, entry]) => ({
+      name,
+      version: entry.resolvedVersion || entry.version,
+      files: entry.files.map((file) => path.posix.join(target, file.path))
+    })),
+    lockfile: lockfile ? path.resolve(lockfile) : null
+  };
+}
+
+export {
+  installMicropythonPackages,
+  resolveMicropythonPackages,
+  DEFAULT_MIP_INDEX,
+  DEFAULT_MIP_TARGET,
+  DEFAULT_MIP_CACHE_DIR
+};
@@ -0,0 +1,186 @@
+import path from 'path';
+import fs from 'fs-extra';
+import { EventEmitter } from 'events';
+import { StringDecoder } from 'string_decoder';
+import { openSerialPort, listSerialPorts } from './devices.js';
+
+const DEFAULT_MONITOR_BAUD_RATE = 115200;
+const DEFAULT_RECONNECT_INTERVAL = 500;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Prefixes every line of `text` with a timestamp. `state.atLineStart` carries
+// over between chunks so a line split across two reads is stamped once.
+function stampLines(text, state, now = new Date()) {
+  let result = '';
+  for (const piece of text.split(/(?<=\n)/)) {
+    if (!piece) {
+      continue;
+    }
+    if (state.atLineStart) {
+      result += `[${now.toISOString()}] `;
+    }
+    result += piece;
+    state.atLineStart = piece.endsWith('\n');
+  }
+  return result;
+}
+
+// Streams a board's USB serial output without taking over its REPL. When the
+// port goes away (a reset, a reflash, a re-enumeration under a new path) the
+// monitor keeps polling, matching the board by USB serial number, and picks
+// the stream up again once it is back.
+class SerialMonitor extends EventEmitter {
+  constructor(serialPath, options = {}) {
+    super();
+    if (!serialPath || typeof serialPath !== 'string') {
+      throw new Error('A serial port path is required to monitor a device.');
+    }
+    this.serialPath = serialPath;
+    this.serialNumber = options.serialNumber || null;
+    this.baudRate = options.baudRate || DEFAULT_MONITOR_BAUD_RATE;
+    this.timestamps = Boolean(options.timestamps);
+    this.reconnect = options.reconnect ?? true;
+    this.reconnectInterval = options.reconnectInterval ?? DEFAULT_RECONNECT_INTERVAL;
+    this.logFile = options.logFile ? path.resolve(options.logFile) : null;
+    this.port = null;
+    this.log = null;
+    this.decoder = null;
+    this.stampState = { atLineStart: true };
+    this.closed = false;
+    this.reconnecting = null;
+  }
+
+  async start() {
+    if (!this.serialNumber) {
+      const ports = await listSerialPorts().catch(() => []);
+      this.serialNumber = ports.find((port) => port.path === this.serialPath)?.serialNumber || null;
+    }
+    if (this.logFile) {
+      await fs.ensureDir(path.dirname(this.logFile));
+      this.log = fs.createWriteStream(this.logFile, { flags: 'a' });
+      this.log.on('error', (error) => this.report(error));
+    }
+    await this.connect();
+    return this;
+  }
+
+  report(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    }
+  }
+
+  writeLog(text) {
+    if (this.log) {
+      this.log.write(text);
+    }
+  }
+
+  async connect() {
+    const port = await openSerialPort(this.serialPath, { baudRate: this.baudRate });
+    if (this.closed) {
+      await new Promise((resolve) => port.close(() => resolve()));
+      return;
+    }
+    this.port = port;
+    this.decoder = new StringDecoder('utf8');
+    port.on('data', (chunk) => this.handleData(chunk));
+    port.on('error', (error) => this.report(error));
+    port.once('close', () => this.handleClose(port));
+    this.emit('open', { path: this.serialPath });
+  }
+
+  handleData(chunk) {
+    this.emit('data', chunk);
+    const text = this.decoder.write(chunk);
+    if (!text) {
+      return;
+    }
+    const output = this.timestamps ? stampLines(text, this.stampState) : text;
+    this.writeLog(output);
+    this.emit('output', output);
+  }
+
+  handleClose(port) {
+    if (this.port !== port) {
+      return;
+    }
+    this.port = null;
+    if (this.closed) {
+      return;
+    }
+    this.emit('disconnect', { path: this.serialPath });
+    this.writeLog(`${this.stampState.atLineStart ? '' : '\n'}--- disconnected from ${this.serialPath} ---\n`);
+    this.stampState.atLineStart = true;
+    if (!this.reconnect) {
+      this.close().catch((error) => this.report(error));
+      return;
+    }
+    this.reconnecting = this.waitForPort();
+  }
+
+  // Polls until the board is back, following it to a new port path when it
+  // re-enumerates with the same USB serial number.
+  async waitForPort() {
+    while (!this.closed) {
+      await delay(this.reconnectInterval);
+      if (this.closed) {
+        break;
+      }
+      if (this.serialNumber) {
+        const ports = await listSerialPorts().catch(() => []);
+        const match = ports.find((port) => port.serialNumber === this.serialNumber);
+        if (!match) {
+          continue;
+        }
+        this.serialPath = match.path;
+      }
+      try {
+        await this.connect();
+        if (!this.closed) {
+          this.writeLog(`--- reconnected to ${this.serialPath} ---\n`);
+          this.emit('reconnect', { path: this.serialPath });
+        }
+        break;
+      } catch {
+        // The port is not back yet (or is still being set up); keep polling.
+      }
+    }
+    this.reconnecting = null;
+  }
+
+  async close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    const { port } = this;
+    this.port = null;
+    if (port && port.isOpen) {
+      await new Promise((resolve) => port.close(() => resolve()));
+    }
+    if (this.reconnecting) {
+      await this.reconnecting;
+    }
+    if (this.log) {
+      await new Promise((resolve) => this.log.end(resolve));
+      this.log = null;
+    }
+    this.emit('close');
+  }
+}
+
+async function startSerialMonitor(serialPath, options = {}) {
+  const monitor = new SerialMonitor(serialPath, options);
+  try {
+    return await monitor.start();
+  } catch (error) {
+    await monitor.close();
+    throw error;
+  }
+}
+
+export { startSerialMonitor, SerialMonitor, DEFAULT_MONITOR_BAUD_RATE };
@@ -0,0 +1,111 @@
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { execa } from 'execa';
+
+// Scripts the firmware runs by name; compiling them would stop them running.
+const MPY_SKIPPED_FILES = new Set(['main.py', 'boot.py']);
+const DEFAULT_MPY_CACHE_DIR = path.join(os.tmpdir(), 'raspimcu-mpy-cache');
+
+const versionCache = new Map();
+
+async function runMpyCross(command, args) {
+  try {
+    return await execa(command, args);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('mpy-cross is not installed or not available on the PATH.');
+    }
+    throw error;
+  }
+}
+
+function shouldCompileToMpy(filePath) {
+  const name = path.basename(filePath);
+  return name.endsWith('.py') && !MPY_SKIPPED_FILES.has(name);
+}
+
+function toMpyName(filePath) {
+  return filePath.replace(/\.py$/, '.mpy');
+}
+
+async function getMpyCrossVersion(mpyCrossPath) {
+  const command = mpyCrossPath || 'mpy-cross';
+  if (!versionCache.has(command)) {
+    const pending = runMpyCross(command, ['--version']).then(({ stdout }) => stdout.trim());
+    versionCache.set(command, pending);
+    pending.catch(() => versionCache.delete(command));
+  }
+  return await versionCache.get(command);
+}
+
+// Compiles one .py file, reusing an earlier result when the source, the
+// mpy-cross version and the extra arguments are unchanged.
+async function compileToMpy(sourcePath, options = {}) {
+  const { mpyCrossPath, mpyCrossArgs = [], cacheDir = DEFAULT_MPY_CACHE_DIR } = options;
+  const command = mpyCrossPath || 'mpy-cross';
+  const resolvedSource = path.resolve(sourcePath);
+  const sourceName = options.sourceName || path.basename(resolvedSource);
+  const source = await fs.readFile(resolvedSource);
+  const version = await getMpyCrossVersion(mpyCrossPath);
+
+  const key = crypto.createHash('sha256')
+    .update(`${version}\0${mpyCrossArgs.join(' ')}\0${sourceName}\0`)
+    .update(source)
+    .digest('hex');
+  const output = path.join(cacheDir, `${key}.mpy`);
+  if (await fs.pathExists(output)) {
+    return { source: resolvedSource, output, cached: true };
+  }
+
+  await fs.ensureDir(cacheDir);
+  const partial = `${output}.${process.pid}.tmp`;
+  try {
+    await runMpyCross(command, ['-o', partial, '-s', sourceName, ...mpyCrossArgs, resolvedSource]);
+  } catch (error) {
+    await fs.remove(partial);
+    if (error.message.startsWith('mpy-cross is not installed')) {
+      throw error;
+    }
+    const detail = (error.stderr || error.message || '').trim();
+    throw new Error(`Failed to compile ${sourcePath} with mpy-cross: ${detail}`);
+  }
+  await fs.move(partial, output, { overwrite: true });
+  return { source: resolvedSource, output, cached: false };
+}
+
+// Mirrors a local file or directory into `stagingDir`, replacing compilable
+// .py files with their .mpy builds. Returns the staged path and the relative
+// paths (POSIX separators) that were compiled.
+async function stageCompiledTree(sourcePath, stagingDir, options = {}) {
+  const resolvedSource = path.resolve(sourcePath);
+  const stats = await fs.stat(resolvedSource);
+  const compiled = [];
+
+  async function stage(from, to, relativePath) {
+    const entryStats = await fs.stat(from);
+    if (entryStats.isDirectory()) {
+      await fs.ensureDir(to);
+      for (const name of await fs.readdir(from)) {
+        await stage(path.join(from, name), path.join(to, name), relativePath ? `${relativePath}/${name}` : name);
+      }
+      return to;
+    }
+    if (shouldCompileToMpy(from)) {
+      const { output } = await compileToMpy(from, options);
+      const destination = toMpyName(to);
+      await fs.copy(output, destination);
+      compiled.push(relativePath);
+      return destination;
+    }
+    await fs.copy(from, to);
+    return to;
+  }
+
+  const name = path.basename(resolvedSource);
+  const staged = await stage(resolvedSource, path.join(stagingDir, name), stats.isDirectory() ? '' : name);
+  return { staged, compiled };
+}
+
+export { compileToMpy, stageCompiledTree, shouldCompileToMpy, getMpyCrossVersion, DEFAULT_MPY_CACHE_DIR };
@@ -1,5 +1,8 @@
+import path from 'path';
 import fs from 'fs-extra';
 import { execa } from 'execa';
+import { findMountedBoards, waitForMountedBoard, listSerialPorts, touchSerialPort } from './devices.js';
+import { resetMicropythonBoard } from './micropython.js';
 
 async function resolveExecutable(commandPath) {
   if (!commandPath) {
@@ -12,43 +15,465 @@ async function resolveExecutable(commandPath) {
   return commandPath;
 }
 
+const DEFAULT_PICOTOOL_TIMEOUT = 10000;
+// Loading, saving and verifying move the whole image over USB.
+const DEFAULT_PICOTOOL_TRANSFER_TIMEOUT = 120000;
+
+async function runPicotool(command, args, options) {
+  try {
+    return await execa(command, args, options);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error('picotool is not installed or not available on the PATH.');
+    }
+    throw error;
+  }
+}
+
+// Device selection flags shared by every picotool command that talks to a
+// board. `force` lets picotool reboot a running board into BOOTSEL first.
+function buildTargetArgs(options = {}) {
+  const args = [];
+  if (options.serialNumber) {
+    args.push('--ser', options.serialNumber);
+  }
+  if (options.bus !== undefined) {
+    args.push('--bus', String(options.bus));
+  }
+  if (options.address !== undefined) {
+    args.push('--address', String(options.address));
+  }
+  if (options.force) {
+    args.push('-f');
+  }
+  return args;
+}
+
+function formatFlashAddress(value) {
+  const number = typeof value === 'string' ? Number(value) : value;
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid flash address: ${value}`);
+  }
+  return `0x${number.toString(16).padStart(8, '0')}`;
+}
+
+function buildRangeArgs(range) {
+  if (!range) {
+    return [];
+  }
+  const start = formatFlashAddress(range.start);
+  const end = formatFlashAddress(range.end);
+  if (Number(end) <= Number(start)) {
+    throw new Error(`Invalid flash range: end ${end} must be after start ${start}.`);
+  }
+  return ['-r', start, end];
+}
+
+const BOOTSEL_METHODS = ['auto', 'picotool', 'touch', 'micropython'];
+// How long the automatic fallback waits for a raw REPL before assuming the
+// board is not running MicroPython and touching the port instead.
+const MICROPYTHON_PROBE_TIMEOUT = 3000;
+
+async function findBoardSerialPath(serialPath, serialNumber) {
+  if (serialPath || !serialNumber) {
+    return serialPath || null;
+  }
+  const ports = await listSerialPorts().catch(() => []);
+  return ports.find((port) => port.serialNumber === serialNumber)?.path || null;
+}
+
+async function runPicotoolReboot(options) {
+  const { serialNumber, bus, address, drive, picotoolPath, timeout = DEFAULT_PICOTOOL_TIMEOUT } = options;
+  const command = await resolveExecutable(picotoolPath);
+  const args = ['reboot', '-f', ...buildTargetArgs({ serialNumber, bus, address })];
+  if (drive) {
+    args.push('--drive', drive);
+  }
+  const { stdout } = await runPicotool(command, args, { timeout });
+  return stdout.trim();
+}
+
+async function runBootloaderFallback(method, serialPath, options) {
+  if (method === 'micropython') {
+    await resetMicropythonBoard(serialPath, { bootloader: true, timeout: options.timeout, baudRate: options.baudRate });
+    return `Called machine.bootloader() on ${serialPath}.`;
+  }
+  await touchSerialPort(serialPath);
+  return `Opened ${serialPath} at 1200 baud to request BOOTSEL mode.`;
+}
+
+// Without picotool, a running board can still be sent to BOOTSEL through its
+// serial port: MicroPython boards with machine.bootloader(), and Pico SDK
+// programs with stdio over USB by a 1200-baud touch. 'auto' uses picotool
+// when it is installed and otherwise tries MicroPython, then the touch.
+async function rebootIntoBootsel(options) {
+  const { method = 'auto', serialPath, serialNumber } = options;
+  if (!BOOTSEL_METHODS.includes(method)) {
+    throw new Error(`Unknown BOOTSEL method: ${method}. Expected one of: ${BOOTSEL_METHODS.join(', ')}.`);
+  }
+  if (method === 'picotool') {
+    return { method, output: await runPicotoolReboot(options) };
+  }
+
+  if (method === 'auto') {
+    try {
+      return { method: 'picotool', output: await runPicotoolReboot(options) };
+    } catch (error) {
+      const boardPath = error.message.startsWith('picotool is not installed')
+        ? await findBoardSerialPath(serialPath, serialNumber)
+        : null;
+      if (!boardPath) {
+        throw error;
+      }
+      let micropythonError;
+      try {
+        const output = await runBootloaderFallback('micropython', boardPath, {
+          ...options,
+          timeout: options.timeout ?? MICROPYTHON_PROBE_TIMEOUT
+        });
+        return { method: 'micropython', output };
+      } catch (error) {
+        // Only a board without a raw REPL is touched; other failures are real.
+        if (error.code !== 'ENORAWREPL') {
+          throw error;
+        }
+        micropythonError = error;
+      }
+      try {
+        return { method: 'touch', output: await runBootloaderFallback('touch', boardPath, options) };
+      } catch (error) {
+        throw new Error(
+          `Could not reboot ${boardPath} into BOOTSEL mode: machine.bootloader() failed ` +
+          `(${micropythonError.message}) and so did the 1200-baud touch (${error.message}).`
+        );
+      }
+    }
+  }
+
+  const boardPath = await findBoardSerialPath(serialPath, serialNumber);
+  if (!boardPath) {
+    throw new Error(`The ${method} method needs the board's serial port. Pass serialPath or the serial number of a connected board.`);
+  }
+  return { method, output: await runBootloaderFallback(method, boardPath, options) };
+}
+
+// Reboots a running board into BOOTSEL mode. `method` picks how: 'picotool',
+// 'touch' (1200-baud touch on `serialPath`), 'micropython' (machine.bootloader())
+// or 'auto' (the default). The serial port is looked up by `serialNumber` when
+// `serialPath` is not given.
 async function putDeviceInFsMode(options = {}) {
   const {
-    serialNumber,
-    bus,
-    address,
-    drive,
-    picotoolPath,
-    timeout = 10000
+    waitForMount = false,
+    mountTimeout = 15000,
+    searchRoots,
+    claimedMounts
   } = options;
 
+  // Drives that are already mounted belong to other boards, so remember them
+  // before rebooting and wait for one that was not there yet. Callers
+  // rebooting several boards at once share `claimedMounts` instead.
+  const existingBoards = waitForMount && !claimedMounts ? await findMountedBoards(searchRoots) : [];
+
+  const { method, output } = await rebootIntoBootsel(options);
+
+  if (!waitForMount) {
+    return { output, method, mountPoint: null, device: null };
+  }
+
+  const device = await waitForMountedBoard({
+    searchRoots,
+    exclude: claimedMounts || new Set(existingBoards.map((board) => board.id)),
+    claim: Boolean(claimedMounts),
+    timeout: mountTimeout
+  });
+  return { output, method, mountPoint: device.mountPoint, device };
+}
+
+// Like runPicotool, but reports failures with picotool's own explanation
+// ("No accessible RP-series devices in BOOTSEL mode were found.", ...).
+async function runPicotoolVerb(verb, command, args, options) {
+  try {
+    return await runPicotool(command, args, options);
+  } catch (error) {
+    if (error.message.startsWith('picotool is not installed')) {
+      throw error;
+    }
+    const detail = [error.stderr, error.stdout].filter(Boolean).join('\n').trim() || error.message;
+    throw Object.assign(new Error(`picotool ${verb} failed: ${detail}`), { exitCode: error.exitCode });
+  }
+}
+
+async function resolveImagePath(imagePath) {
+  if (!imagePath || typeof imagePath !== 'string') {
+    throw new Error('A firmware file path is required.');
+  }
+  const resolved = path.resolve(imagePath);
+  if (!(await fs.pathExists(resolved))) {
+    throw new Error(`Firmware file does not exist: ${imagePath}`);
+  }
+  return resolved;
+}
+
+// `picotool info` prints titled sections ("Program Information", "Fixed Pin
+// Information", ...) of " key: value" lines. Values that span several lines
+// (features, pins with several functions) continue on lines indented to the
+// value column and are returned as arrays. A leading "File x:" or "Device at
+// bus 1, address 5:" line is returned as `source`.
+function parsePicotoolInfo(output) {
+  const result = { source: null, sections: {} };
+  let section = null;
+  let lastKey = null;
+
+  for (const line of String(output).split(/\r?\n/)) {
+    if (!line.trim()) {
+      continue;
+    }
+    if (!/^\s/.test(line)) {
+      const header = line.trim();
+      if (header.endsWith(':')) {
+        result.source = header.slice(0, -1);
+        section = null;
+      } else {
+        section = {};
+        result.sections[header] = section;
+      }
+      lastKey = null;
+      continue;
+    }
+    if (!section) {
+      continue;
+    }
+    const match = /^ (\S.*?):(?:\s+(.*))?$/.exec(line);
+    if (match) {
+      lastKey = match[1];
+      section[lastKey] = (match[2] || '').trim();
+    } else if (lastKey) {
+      section[lastKey] = [].concat(section[lastKey], line.trim());
+    }
+  }
+  return result;
+}
+
+const BINARY_INFO_SECTIONS = {
+  'Program Information': 'program',
+  'Fixed Pin Information': 'pins',
+  'Build Information': 'build',
+  'Device Information': 'device'
+};
+const BINARY_INFO_KEYS = {
+  'web site': 'url',
+  pico_board: 'board',
+  boot2_name: 'boot2',
+  'build date': 'date',
+  'build attributes': 'attributes'
+};
+// Values that picotool may print on several lines; always returned as arrays.
+const BINARY_INFO_LIST_KEYS = new Set(['features', 'attributes']);
+const BINARY_INFO_MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+function toCamelCase(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]+(.)/g, (_, char) => char.toUpperCase()).replace(/[^a-zA-Z0-9]/g, '');
+}
+
+function parseHexOrNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : value;
+}
+
+// "2048K" / "4M" -> bytes.
+function parseSizeValue(value) {
+  const match = /^(\d+)\s*([KMG])?B?$/i.exec(String(value).trim());
+  if (!match) {
+    return value;
+  }
+  const scale = { K: 1024, M: 1024 ** 2, G: 1024 ** 3 }[(match[2] || '').toUpperCase()] || 1;
+  return Number(match[1]) * scale;
+}
+
+// __DATE__ style "Jun  2 2023" -> "2023-06-02".
+function parseBuildDate(value) {
+  const match = /^([A-Z][a-z]{2})\s+(\d{1,2})\s+(\d{4})$/.exec(String(value).trim());
+  const month = match ? BINARY_INFO_MONTHS.indexOf(match[1]) : -1;
+  if (month === -1) {
+    return null;
+  }
+  return `${match[3]}-${String(month + 1).padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+}
+
+// Pin labels are "25", "4, 5" or "8-11".
+function parsePinList(label) {
+  const pins = [];
+  for (const part of label.split(',')) {
+    const [first, last = first] = part.trim().split('-').map(Number);
+    if (!Number.isInteger(first) || !Number.isInteger(last)) {
+      return null;
+    }
+    for (let pin = first; pin <= last; pin += 1) {
+      pins.push(pin);
+    }
+  }
+  return pins;
+}
+
+function parsePinSection(values) {
+  const pins = [];
+  for (const [label, value] of Object.entries(values)) {
+    const numbers = parsePinList(label);
+    if (!numbers) {
+      continue;
+    }
+    const functions = [].concat(value).flatMap((entry) => entry.split(/,\s*/)).filter(Boolean);
+    numbers.forEach((pin) => pins.push({ pin, functions }));
+  }
+  return pins.sort((a, b) => a.pin - b.pin);
+}
+
+function parseValueSection(values) {
+  const section = {};
+  for (const [label, value] of Object.entries(values)) {
+    const key = BINARY_INFO_KEYS[label] || toCamelCase(label);
+    section[key] = BINARY_INFO_LIST_KEYS.has(key) ? [].concat(value) : value;
+  }
+  return section;
+}
+
+// Turns `picotool info -a` output into typed binary metadata: addresses and
+// sizes become numbers, multi-line lists become arrays and pins become
+// { pin, functions } entries. Sections picotool adds beyond the four common
+// ones are kept under camel-cased names (e.g. "Metadata Block" -> metadataBlock).
+function parsePicotoolBinaryInfo(output) {
+  const { source, sections } = parsePicotoolInfo(output);
+  const info = { source, program: null, pins: [], build: null, device: null };
+
+  for (const [title, values] of Object.entries(sections)) {
+    const name = BINARY_INFO_SECTIONS[title] || toCamelCase(title.replace(/ Information$/, ''));
+    info[name] = name === 'pins' ? parsePinSection(values) : parseValueSection(values);
+  }
+
+  if (info.program) {
+    for (const key of ['binaryStart', 'binaryEnd']) {
+      if (info.program[key] !== undefined) {
+        info.program[key] = parseHexOrNumber(info.program[key]);
+      }
+    }
+  }
+  if (info.build && info.build.date !== undefined) {
+    info.build.isoDate = parseBuildDate(info.build.date);
+  }
+  if (info.device) {
+    if (info.device.flashSize !== undefined) {
+      info.device.flashSize = parseSizeValue(info.device.flashSize);
+    }
+    if (info.device.romVersion !== undefined) {
+      info.device.romVersion = parseHexOrNumber(info.device.romVersion);
+    }
+  }
+  return info;
+}
+
+// Reads binary and device information from a board in BOOTSEL mode, or from
+// a UF2/ELF/BIN file when `file` is given.
+async function getPicotoolInfo(options = {}) {
+  const { file, picotoolPath, timeout = DEFAULT_PICOTOOL_TIMEOUT } = options;
   const command = await resolveExecutable(picotoolPath);
-  const args = ['reboot', '-f'];
+  const args = ['info', '-a', ...(file ? [await resolveImagePath(file)] : buildTargetArgs(options))];
+  const { stdout } = await runPicotoolVerb('info', command, args, { timeout });
+  return { ...parsePicotoolInfo(stdout), binaryInfo: parsePicotoolBinaryInfo(stdout), output: stdout.trim() };
+}
 
-  if (serialNumber) {
-    args.push('--serial', serialNumber);
+async function loadPicotoolImage(imagePath, options = {}) {
+  const { execute = false, verify = false, offset, picotoolPath, timeout = DEFAULT_PICOTOOL_TRANSFER_TIMEOUT } = options;
+  const image = await resolveImagePath(imagePath);
+  const command = await resolveExecutable(picotoolPath);
+  const args = ['load'];
+  if (verify) {
+    args.push('-v');
   }
-  if (bus !== undefined) {
-    args.push('--bus', String(bus));
+  if (execute) {
+    args.push('-x');
   }
-  if (address !== undefined) {
-    args.push('--address', String(address));
+  args.push(image);
+  if (offset !== undefined) {
+    args.push('-o', formatFlashAddress(offset));
   }
-  if (drive) {
-    args.push('--drive', drive);
+  args.push(...buildTargetArgs(options));
+
+  const { stdout } = await runPicotoolVerb('load', command, args, { timeout });
+  return { image, verified: verify, executed: execute, output: stdout.trim() };
+}
+
+// Saves the current program (default), the whole flash (`all`) or an address
+// `range` ({ start, end }) to a UF2, BIN or ELF file chosen by its extension.
+async function savePicotoolImage(outputPath, options = {}) {
+  const { all = false, range, picotoolPath, timeout = DEFAULT_PICOTOOL_TRANSFER_TIMEOUT } = options;
+  if (!outputPath || typeof outputPath !== 'string') {
+    throw new Error('An output file path is required.');
+  }
+  if (all && range) {
+    throw new Error('Pass either all or range to savePicotoolImage, not both.');
+  }
+  const file = path.resolve(outputPath);
+  await fs.ensureDir(path.dirname(file));
+  const command = await resolveExecutable(picotoolPath);
+  const selection = range ? buildRangeArgs(range) : [all ? '-a' : '-p'];
+  const args = ['save', ...selection, file, ...buildTargetArgs(options)];
+
+  const { stdout } = await runPicotoolVerb('save', command, args, { timeout });
+  return { file, mode: range ? 'range' : all ? 'all' : 'program', output: stdout.trim() };
+}
+
+// Compares a file with the board's flash. A mismatch resolves with
+// `verified: false`; other failures (no board, unreadable file) throw.
+async function verifyPicotoolImage(imagePath, options = {}) {
+  const { range, offset, picotoolPath, timeout = DEFAULT_PICOTOOL_TRANSFER_TIMEOUT } = options;
+  const image = await resolveImagePath(imagePath);
+  const command = await resolveExecutable(picotoolPath);
+  const args = ['verify', image, ...buildRangeArgs(range)];
+  if (offset !== undefined) {
+    args.push('-o', formatFlashAddress(offset));
   }
+  args.push(...buildTargetArgs(options));
 
   try {
-    const { stdout } = await execa(command, args, { timeout });
-    return stdout.trim();
+    const { stdout } = await runPicotoolVerb('verify', command, args, { timeout });
+    return { image, verified: true, output: stdout.trim() };
   } catch (error) {
-    if (error.code === 'ENOENT') {
-      throw new Error('picotool is not installed or not available on the PATH.');
+    const detail = error.message.replace(/^picotool verify failed: /, '');
+    if (/did not match|mismatch/i.test(detail)) {
+      return { image, verified: false, output: detail };
     }
     throw error;
   }
 }
 
+// Erases an address `range` ({ start, end }), or the whole flash with `all`.
+// One of the two is required so a missing range never wipes a board.
+async function erasePicotoolFlash(options = {}) {
+  const { all = false, range, picotoolPath, timeout = DEFAULT_PICOTOOL_TRANSFER_TIMEOUT } = options;
+  if (!all && !range) {
+    throw new Error('Pass a range to erase, or all to erase the whole flash.');
+  }
+  if (all && range) {
+    throw new Error('Pass either all or range to erasePicotoolFlash, not both.');
+  }
+  const command = await resolveExecutable(picotoolPath);
+  const args = ['erase', ...(range ? buildRangeArgs(range) : ['-a']), ...buildTargetArgs(options)];
+  const { stdout } = await runPicotoolVerb('erase', command, args, { timeout });
+  return {
+    range: range ? { start: formatFlashAddress(range.start), end: formatFlashAddress(range.end) } : null,
+    output: stdout.trim()
+  };
+}
+
+// Reboots a board in BOOTSEL mode into its application.
+async function rebootPicotoolDevice(options = {}) {
+  const { picotoolPath, timeout = DEFAULT_PICOTOOL_TIMEOUT } = options;
+  const command = await resolveExecutable(picotoolPath);
+  const args = ['reboot', '-a', ...buildTargetArgs(options)];
+  const { stdout } = await runPicotoolVerb('reboot', command, args, { timeout });
+  return stdout.trim();
+}
+
 async function getPicotoolVersion(picotoolPath) {
   const command = await resolveExecutable(picotoolPath);
   try {
@@ -62,4 +487,17 @@ async function getPicotoolVersion(picotoolPath) {
   }
 }
 
-export { putDeviceInFsMode, getPicotoolVersion };
+export {
+  putDeviceInFsMode,
+  rebootIntoBootsel,
+  getPicotoolVersion,
+  getPicotoolInfo,
+  parsePicotoolInfo,
+  parsePicotoolBinaryInfo,
+  loadPicotoolImage,
+  savePicotoolImage,
+  verifyPicotoolImage,
+  erasePicotoolFlash,
+  rebootPicotoolDevice,
+  BOOTSEL_METHODS
+};
@@ -0,0 +1,291 @@
+import { openSerialPort } from './devices.js';
+
+const CTRL_A = 0x01;
+const CTRL_B = 0x02;
+const CTRL_C = 0x03;
+const CTRL_D = 0x04;
+const CTRL_E = 0x05;
+
+const RAW_REPL_BANNER = Buffer.from('raw REPL; CTRL-B to exit\r\n');
+const RAW_REPL_FALLBACK_BANNER = Buffer.from('w REPL; CTRL-B to exit\r\n>');
+const SOFT_REBOOT_BANNER = Buffer.from('soft reboot\r\n');
+const RAW_WRITE_CHUNK_SIZE = 256;
+const DEFAULT_TIMEOUT = 10000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function createDeviceError(stderr) {
+  const lines = stderr.trim().split(/\r?\n/).filter(Boolean);
+  const summary = lines.length ? lines[lines.length - 1] : 'Unknown error';
+  const error = new Error(`MicroPython error: ${summary}`);
+  error.traceback = stderr;
+  return error;
+}
+
+// Speaks the MicroPython raw REPL protocol (and raw-paste mode where the
+// firmware supports it) over an open serial port, the same way mpremote does.
+// Timeouts are inactivity timeouts: they restart whenever the board sends data.
+class RawRepl {
+  constructor(port, options = {}) {
+    this.port = port;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT;
+    this.useRawPaste = options.rawPaste ?? true;
+    this.buffer = Buffer.alloc(0);
+    this.waiter = null;
+    this.closed = false;
+    this.inRawRepl = false;
+    this.console = null;
+
+    this.onData = (chunk) => {
+      if (this.console) {
+        this.console(chunk);
+        return;
+      }
+      this.buffer = Buffer.concat([this.buffer, chunk]);
+      this.wake();
+    };
+    this.onClose = () => {
+      this.closed = true;
+      this.wake();
+    };
+    port.on('data', this.onData);
+    port.on('close', this.onClose);
+  }
+
+  static async open(serialPath, options = {}) {
+    const port = await openSerialPort(serialPath, options);
+    return new RawRepl(port, options);
+  }
+
+  wake() {
+    const waiter = this.waiter;
+    this.waiter = null;
+    if (waiter) {
+      waiter();
+    }
+  }
+
+  waitForData(ms) {
+    return new Promise((resolve) => {
+      const timer = Number.isFinite(ms) ? setTimeout(() => {
+        this.waiter = null;
+        resolve();
+      }, ms) : null;
+      this.waiter = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    });
+  }
+
+  take(length) {
+    const data = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return data;
+  }
+
+  async readUntil(marker, options = {}) {
+    const ending = Buffer.isBuffer(marker) ? marker : Buffer.from(marker);
+    const { timeout = this.timeout, onData } = options;
+    const collected = [];
+    let lastActivity = Date.now();
+
+    for (;;) {
+      const index = this.buffer.indexOf(ending);
+      if (index !== -1) {
+        const data = this.take(index + ending.length);
+        if (onData && index > 0) {
+          onData(data.subarray(0, index));
+        }
+        collected.push(data);
+        return Buffer.concat(collected);
+      }
+      // Stream whatever cannot be the start of the marker.
+      if (onData && this.buffer.length >= ending.length) {
+        const data = this.take(this.buffer.length - ending.length + 1);
+        onData(data);
+        collected.push(data);
+        lastActivity = Date.now();
+      }
+      await this.waitFor(lastActivity, timeout, ending);
+      if (this.buffer.length) {
+        lastActivity = Date.now();
+      }
+    }
+  }
+
+  async readExactly(length, options = {}) {
+    const { timeout = this.timeout } = options;
+    const lastActivity = Date.now();
+    while (this.buffer.length < length) {
+      await this.waitFor(lastActivity, timeout, `${length} bytes`);
+    }
+    return this.take(length);
+  }
+
+  async waitFor(lastActivity, timeout, expected) {
+    if (this.closed) {
+      throw new Error('Serial port closed while waiting for the MicroPython device.');
+    }
+    const remaining = timeout - (Date.now() - lastActivity);
+    if (remaining <= 0) {
+      throw new Error(`Timed out waiting for the MicroPython device (expected ${JSON.stringify(String(expected))}).`);
+    }
+    await this.waitForData(remaining);
+  }
+
+  write(data) {
+    const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+    return new Promise((resolve, reject) => {
+      this.port.write(payload, (error) => {
+        if (error) {
+          reject(error);
+          return;
+        }
+        this.port.drain((drainError) => (drainError ? reject(drainError) : resolve()));
+      });
+    });
+  }
+
+  async interrupt() {
+    await this.write(Buffer.from([CTRL_C]));
+  }
+
+  async enter(options = {}) {
+    const { softReset = false } = options;
+    await this.write(Buffer.from([0x0D, CTRL_C, CTRL_C]));
+    // Give a running program time to stop, then drop its output.
+    await delay(100);
+    this.buffer = Buffer.alloc(0);
+
+    await this.write(Buffer.from([0x0D, CTRL_A]));
+    if (softReset) {
+      await this.readUntil(Buffer.concat([RAW_REPL_BANNER, Buffer.from('>')]));
+      await this.write(Buffer.from([CTRL_D]));
+      await this.readUntil(SOFT_REBOOT_BANNER);
+    }
+    await this.readUntil(RAW_REPL_BANNER);
+    this.inRawRepl = true;
+  }
+
+  async exit() {
+    await this.write(Buffer.from([0x0D, CTRL_B]));
+    this.inRawRepl = false;
+  }
+
+  // Soft-resets from the friendly REPL, which (unlike a raw REPL reset) runs
+  // boot.py and main.py.
+  async softReset() {
+    await this.exit();
+    await this.write(Buffer.from([CTRL_D]));
+  }
+
+  // Sends everything the board prints to `onData` instead of the read buffer,
+  // for console-style streaming. Returns a function that detaches it again.
+  attachConsole(onData) {
+    const pending = this.take(this.buffer.length);
+    this.console = onData;
+    if (pending.length) {
+      onData(pending);
+    }
+    return () => {
+      if (this.console === onData) {
+        this.console = null;
+      }
+    };
+  }
+
+  async rawPasteWrite(code) {
+    const windowSize = (await this.readExactly(2)).readUInt16LE(0);
+    let windowRemaining = windowSize;
+    let offset = 0;
+    while (offset < code.length) {
+      while (windowRemaining === 0 || this.buffer.length > 0) {
+        if (this.buffer.length === 0) {
+          await this.waitFor(Date.now(), this.timeout, 'raw-paste flow control');
+          continue;
+        }
+        const [signal] = this.take(1);
+        if (signal === CTRL_A) {
+          windowRemaining += windowSize;
+        } else if (signal === CTRL_D) {
+          // The device aborted the paste (e.g. on a syntax error); acknowledge it.
+          await this.write(Buffer.from([CTRL_D]));
+          return;
+        } else {
+          throw new Error(`Unexpected data from the device during raw paste: ${signal}`);
+        }
+      }
+      const chunk = code.subarray(offset, offset + windowRemaining);
+      await this.write(chunk);
+      windowRemaining -= chunk.length;
+      offset += chunk.length;
+    }
+    await this.write(Buffer.from([CTRL_D]));
+    await this.readUntil(Buffer.from([CTRL_D]));
+  }
+
+  async send(code) {
+    const payload = Buffer.from(code, 'utf8');
+    await this.readUntil('>');
+
+    if (this.useRawPaste) {
+      await this.write(Buffer.from([CTRL_E, 0x41, 0x01]));
+      const response = await this.readExactly(2);
+      if (response[0] === 0x52 && response[1] === 0x01) {
+        await this.rawPasteWrite(payload);
+        return;
+      }
+      if (response[0] !== 0x52 || response[1] !== 0x00) {
+        // Older firmware echoes the unknown command; wait for the prompt again.
+        await this.readUntil(RAW_REPL_FALLBACK_BANNER);
+      }
+      this.useRawPaste = false;
+    }
+
+    for (let offset = 0; offset < payload.length; offset += RAW_WRITE_CHUNK_SIZE) {
+      await this.write(payload.subarray(offset, offset + RAW_WRITE_CHUNK_SIZE));
+      await delay(10);
+    }
+    await this.write(Buffer.from([CTRL_D]));
+    const response = await this.readExactly(2);
+    if (response.toString() !== 'OK') {
+      throw new Error(`Could not execute code on the device (response: ${JSON.stringify(response.toString())}).`);
+    }
+  }
+
+  async execRaw(code, options = {}) {
+    if (!this.inRawRepl) {
+      await this.enter();
+    }
+    await this.send(code);
+    const stdout = await this.readUntil(Buffer.from([CTRL_D]), options);
+    const stderr = await this.readUntil(Buffer.from([CTRL_D]), { timeout: options.timeout, onData: options.onStderr });
+    return {
+      stdout: stdout.subarray(0, -1).toString('utf8'),
+      stderr: stderr.subarray(0, -1).toString('utf8')
+    };
+  }
+
+  async exec(code, options = {}) {
+    const { stdout, stderr } = await this.execRaw(code, options);
+    if (stderr) {
+      throw createDeviceError(stderr);
+    }
+    return stdout;
+  }
+
+  async close() {
+    this.port.removeListener('data', this.onData);
+    this.port.removeListener('close', this.onClose);
+    if (this.closed || !this.port.isOpen) {
+      return;
+    }
+    await new Promise((resolve) => this.port.close(() => resolve()));
+    this.closed = true;
+  }
+}
+
+export { RawRepl, createDeviceError };
@@ -0,0 +1,103 @@
+import path from 'path';
+import { listDevices } from './devices.js';
+import { putDeviceInFsMode, rebootPicotoolDevice } from './picotool.js';
+import { resetMicropythonBoard } from './micropython.js';
+
+const REBOOT_MODES = ['app', 'bootsel', 'soft'];
+
+function describeDevice(device) {
+  return device.path || device.mountPoint || device.serialNumber || device.id;
+}
+
+// Picks the board to reboot from `device`, `serialNumber` or `target` (a
+// serial port path or UF2 mount point), or the only connected board. A serial
+// number that no serial port reports is taken to be a board in BOOTSEL mode,
+// which only picotool can address by serial number.
+async function selectRebootTarget(options) {
+  const { device, serialNumber, target, searchRoots } = options;
+  if (device) {
+    return device;
+  }
+
+  const { devices } = await listDevices({ searchRoots });
+  if (target) {
+    const match = devices.find((candidate) => candidate.path === target ||
+      (candidate.mountPoint && path.resolve(candidate.mountPoint) === path.resolve(target)));
+    if (!match) {
+      throw new Error(`No device was found at ${target}.`);
+    }
+    // A UF2 drive does not report the board's serial number, so picotool can
+    // only be pointed at it while it is the one board in BOOTSEL mode.
+    const bootselCount = devices.filter((candidate) => candidate.status === 'fs').length;
+    if (match.status === 'fs' && !match.serialNumber && bootselCount > 1) {
+      throw new Error(
+        `${bootselCount} boards are in BOOTSEL mode, so the one mounted at ${target} cannot be told apart. ` +
+        'Select it by serial number instead.'
+      );
+    }
+    return match;
+  }
+  if (serialNumber) {
+    const match = devices.find((candidate) => candidate.serialNumber === serialNumber);
+    return match || { id: `picotool:${serialNumber}`, type: 'storage', status: 'fs', serialNumber };
+  }
+
+  if (devices.length === 0) {
+    throw new Error('No devices found');
+  }
+  if (devices.length > 1) {
+    throw new Error(`Multiple devices found (${devices.length}). Please specify which device to use.`);
+  }
+  return devices[0];
+}
+
+// Reboots a board without unplugging it. The method follows the board's
+// current `status`:
+//   - 'fs' (BOOTSEL): `picotool reboot -a` starts the application again.
+//   - 'serial': 'app' hard-resets with machine.reset(), 'soft' soft-resets
+//     the MicroPython REPL, and 'bootsel' reboots into BOOTSEL with
+//     putDeviceInFsMode's `method` (picotool, touch or machine.bootloader()).
+async function rebootDevice(options = {}) {
+  const { mode = 'app', picotoolPath, timeout } = options;
+  if (!REBOOT_MODES.includes(mode)) {
+    throw new Error(`Unknown reboot mode: ${mode}. Expected one of: ${REBOOT_MODES.join(', ')}.`);
+  }
+
+  const device = await selectRebootTarget(options);
+  if (device.status === 'fs') {
+    if (mode === 'soft') {
+      throw new Error(`${describeDevice(device)} is in BOOTSEL mode; a soft reset needs a board running MicroPython.`);
+    }
+    if (mode === 'bootsel') {
+      return { device, mode, method: null, output: '' };
+    }
+    const output = await rebootPicotoolDevice({ serialNumber: device.serialNumber, picotoolPath, timeout });
+    return { device, mode, method: 'picotool', output };
+  }
+
+  if (mode === 'bootsel') {
+    const { method, output, mountPoint } = await putDeviceInFsMode({
+      serialNumber: device.serialNumber,
+      serialPath: device.path,
+      method: options.method,
+      picotoolPath,
+      timeout,
+      waitForMount: Boolean(options.waitForMount),
+      mountTimeout: options.mountTimeout,
+      searchRoots: options.searchRoots
+    });
+    return { device, mode, method, output, mountPoint };
+  }
+
+  if (!device.path) {
+    throw new Error(`${describeDevice(device)} has no serial port to reset it through.`);
+  }
+  const { method } = await resetMicropythonBoard(device.path, {
+    soft: mode === 'soft',
+    timeout,
+    baudRate: options.baudRate
+  });
+  return { device, mode, method, output: '' };
+}
+
+export { rebootDevice, REBOOT_MODES };
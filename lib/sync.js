@@ -0,0 +1,213 @@
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import { openMicropythonSession } from './micropython.js';
+import { compileToMpy, shouldCompileToMpy } from './mpyCross.js';
+
+function notify(onProgress, stage, detail = {}) {
+  if (typeof onProgress === 'function') {
+    onProgress({ stage, ...detail });
+  }
+}
+
+function normalizeRemoteRoot(remoteDir) {
+  if (!remoteDir || typeof remoteDir !== 'string') {
+    throw new Error('A remote path on the MicroPython device is required.');
+  }
+  const stripped = remoteDir.startsWith(':') ? remoteDir.slice(1) : remoteDir;
+  if (!stripped || stripped === '/') {
+    return '/';
+  }
+  return stripped.replace(/\/+$/, '');
+}
+
+function hashBuffer(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Dotfiles and dot-directories (.git, .vscode) are left alone on both sides,
+// so `--delete` never removes remote dotfiles that were never synced.
+function isIgnoredPath(relativePath) {
+  return relativePath.split('/').some((segment) => segment.startsWith('.'));
+}
+
+async function collectLocalTree(rootDir, relativeDir = '', tree = { files: new Map(), dirs: new Set() }) {
+  const entries = await fs.readdir(path.join(rootDir, relativeDir), { withFileTypes: true });
+  for (const entry of entries) {
+    const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+    if (isIgnoredPath(relativePath)) {
+      continue;
+    }
+    if (entry.isDirectory()) {
+      tree.dirs.add(relativePath);
+      await collectLocalTree(rootDir, relativePath, tree);
+    } else if (entry.isFile()) {
+      tree.files.set(relativePath, path.join(rootDir, ...relativePath.split('/')));
+    }
+  }
+  return tree;
+}
+
+// Swaps compilable sources for their cached .mpy builds. Returns the source
+// paths that were replaced.
+async function compileLocalTree(tree, options) {
+  const replaced = [];
+  for (const [relativePath, localPath] of [...tree.files]) {
+    if (!shouldCompileToMpy(relativePath)) {
+      continue;
+    }
+    const { output } = await compileToMpy(localPath, options);
+    tree.files.delete(relativePath);
+    tree.files.set(relativePath.replace(/\.py$/, '.mpy'), output);
+    replaced.push(relativePath);
+  }
+  return replaced;
+}
+
+async function collectRemoteTree(session, remoteRoot) {
+  const tree = { exists: false, files: new Map(), dirs: new Set() };
+  const stats = await session.stat(remoteRoot);
+  if (!stats) {
+    return tree;
+  }
+  if (stats.type !== 'dir') {
+    throw new Error(`Remote path :${remoteRoot} is a file. Sync needs a directory.`);
+  }
+
+  tree.exists = true;
+  const prefix = remoteRoot.endsWith('/') ? remoteRoot : `${remoteRoot}/`;
+  for (const entry of await session.hashTree(remoteRoot)) {
+    const relativePath = entry.path.slice(prefix.length);
+    if (isIgnoredPath(relativePath)) {
+      continue;
+    }
+    if (entry.type === 'dir') {
+      tree.dirs.add(relativePath);
+    } else {
+      tree.files.set(relativePath, entry.sha256);
+    }
+  }
+  return tree;
+}
+
+// Works out which files to add, update and delete. Removing a directory
+// removes everything below it, so nested entries are not listed separately.
+// Remote entries whose type differs from the local one are always replaced,
+// and remote sources that a compiled .mpy replaces are deleted because the
+// board would otherwise import the stale .py first.
+async function planSync(localTree, remoteTree, options, compiledSources = []) {
+  const changes = [];
+  const removed = [];
+  const isRemoved = (relativePath) => removed.some(
+    (entry) => relativePath === entry || relativePath.startsWith(`${entry}/`)
+  );
+  let unchanged = 0;
+
+  for (const dir of [...localTree.dirs].sort()) {
+    if (remoteTree.files.has(dir)) {
+      removed.push(dir);
+      changes.push({ action: 'delete', path: dir, type: 'file' });
+    }
+  }
+
+  for (const source of compiledSources.sort()) {
+    if (remoteTree.files.has(source)) {
+      removed.push(source);
+      changes.push({ action: 'delete', path: source, type: 'file' });
+    }
+  }
+
+  for (const [relativePath, localPath] of [...localTree.files].sort(([a], [b]) => a.localeCompare(b))) {
+    const data = await fs.readFile(localPath);
+    const remoteHash = remoteTree.files.get(relativePath);
+    if (remoteTree.dirs.has(relativePath)) {
+      removed.push(relativePath);
+      changes.push({ action: 'replace', path: relativePath, size: data.length, localPath });
+    } else if (remoteHash === undefined) {
+      changes.push({ action: 'add', path: relativePath, size: data.length, localPath });
+    } else if (remoteHash !== hashBuffer(data)) {
+      changes.push({ action: 'update', path: relativePath, size: data.length, localPath });
+    } else {
+      unchanged += 1;
+    }
+  }
+
+  if (options.delete) {
+    for (const dir of [...remoteTree.dirs].sort()) {
+      if (!localTree.dirs.has(dir) && !isRemoved(dir)) {
+        removed.push(dir);
+        changes.push({ action: 'delete', path: dir, type: 'dir' });
+      }
+    }
+    for (const file of [...remoteTree.files.keys()].sort()) {
+      if (!localTree.files.has(file) && !isRemoved(file)) {
+        changes.push({ action: 'delete', path: file, type: 'file' });
+      }
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+async function syncToMicropython(serialPath, localDir, remoteDir, options = {}) {
+  const { dryRun = false, onProgress } = options;
+  const resolvedSource = path.resolve(localDir);
+  const stats = await fs.stat(resolvedSource).catch(() => null);
+  if (!stats || !stats.isDirectory()) {
+    throw new Error(`Local directory does not exist: ${localDir}`);
+  }
+
+  const remoteRoot = normalizeRemoteRoot(remoteDir);
+  const toRemote = (relativePath) => path.posix.join(remoteRoot, relativePath);
+  const ownsSession = !options.session;
+  const session = options.session || await openMicropythonSession(serialPath, options);
+
+  try {
+    const localTree = await collectLocalTree(resolvedSource);
+    const compiledSources = options.compile ? await compileLocalTree(localTree, options) : [];
+    const remoteTree = await collectRemoteTree(session, remoteRoot);
+    const { changes, unchanged } = await planSync(localTree, remoteTree, options, compiledSources);
+
+    if (!dryRun) {
+      // Delete first so a stale directory never blocks a file of the same name.
+      for (const change of changes.filter((entry) => entry.action === 'delete' || entry.action === 'replace')) {
+        await session.rm(toRemote(change.path), { recursive: true });
+        if (change.action === 'delete') {
+          notify(onProgress, 'deleted', { path: toRemote(change.path) });
+        }
+      }
+
+      const missingDirs = [...localTree.dirs].filter((dir) => !remoteTree.dirs.has(dir)).sort();
+      if (!remoteTree.exists && remoteRoot !== '/') {
+        await session.mkdir(remoteRoot);
+      }
+      for (const dir of missingDirs) {
+        await session.mkdir(toRemote(dir));
+      }
+
+      for (const change of changes.filter((entry) => entry.action !== 'delete')) {
+        await session.writeFile(toRemote(change.path), await fs.readFile(change.localPath));
+        notify(onProgress, 'uploaded', { path: toRemote(change.path), action: change.action, size: change.size });
+      }
+    }
+
+    return {
+      source: resolvedSource,
+      target: `:${remoteRoot}`,
+      dryRun,
+      changes: changes.map(({ action, path: relativePath, size }) => ({
+        action,
+        path: toRemote(relativePath),
+        ...(size === undefined ? {} : { size })
+      })),
+      unchanged,
+      ...(options.compile ? { compiled: compiledSources } : {})
+    };
+  } finally {
+    if (ownsSession) {
+      await session.close();
+    }
+  }
+}
+
+export { syncToMicropython };
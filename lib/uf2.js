@@ -0,0 +1,330 @@
+import fs from 'fs-extra';
+
+const UF2_BLOCK_SIZE = 512;
+const UF2_MAX_PAYLOAD_SIZE = 476;
+const UF2_MAGIC_START0 = 0x0A324655;
+const UF2_MAGIC_START1 = 0x9E5D5157;
+const UF2_MAGIC_END = 0x0AB16F30;
+const UF2_PAGE_SIZE = 256;
+const UF2_MAX_EXTRACT_SIZE = 32 * 1024 * 1024;
+
+const UF2_FLAGS = {
+  NOT_MAIN_FLASH: 0x00000001,
+  FILE_CONTAINER: 0x00001000,
+  FAMILY_ID_PRESENT: 0x00002000,
+  MD5_CHECKSUM_PRESENT: 0x00004000,
+  EXTENSION_TAGS_PRESENT: 0x00008000
+};
+
+const UF2_FAMILY_IDS = {
+  RP2040: 0xE48BFF56,
+  ABSOLUTE: 0xE48BFF57,
+  DATA: 0xE48BFF58,
+  RP2350_ARM_S: 0xE48BFF59,
+  RP2350_RISCV: 0xE48BFF5A,
+  RP2350_ARM_NS: 0xE48BFF5B
+};
+
+const UF2_CHIP_FAMILIES = {
+  RP2040: [UF2_FAMILY_IDS.RP2040],
+  RP2350: [UF2_FAMILY_IDS.RP2350_ARM_S, UF2_FAMILY_IDS.RP2350_RISCV, UF2_FAMILY_IDS.RP2350_ARM_NS]
+};
+
+// Blocks tagged with these families are accepted by every Raspberry Pi bootrom.
+const UF2_SHARED_FAMILY_IDS = [UF2_FAMILY_IDS.ABSOLUTE, UF2_FAMILY_IDS.DATA];
+
+function formatHex32(value) {
+  return `0x${value.toString(16).toUpperCase().padStart(8, '0')}`;
+}
+
+function getUf2FamilyName(familyId) {
+  for (const [name, id] of Object.entries(UF2_FAMILY_IDS)) {
+    if (id === familyId) {
+      return name;
+    }
+  }
+  return undefined;
+}
+
+function resolveUf2FamilyId(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF) {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim()) {
+    const trimmed = value.trim();
+    const byName = UF2_FAMILY_IDS[trimmed.toUpperCase().replace(/-/g, '_')];
+    if (byName !== undefined) {
+      return byName;
+    }
+    const numeric = Number(trimmed);
+    if (/^(0x[0-9a-f]+|\d+)$/i.test(trimmed) && numeric <= 0xFFFFFFFF) {
+      return numeric;
+    }
+  }
+  throw new Error(`Unknown UF2 family ID: ${value}`);
+}
+
+function readBlock(buffer, index) {
+  const offset = index * UF2_BLOCK_SIZE;
+  const flags = buffer.readUInt32LE(offset + 8);
+  const payloadSize = buffer.readUInt32LE(offset + 16);
+  const fileSizeOrFamily = buffer.readUInt32LE(offset + 28);
+  const dataLength = Math.min(payloadSize, UF2_MAX_PAYLOAD_SIZE);
+  return {
+    index,
+    magicStart0: buffer.readUInt32LE(offset),
+    magicStart1: buffer.readUInt32LE(offset + 4),
+    magicEnd: buffer.readUInt32LE(offset + UF2_BLOCK_SIZE - 4),
+    flags,
+    targetAddr: buffer.readUInt32LE(offset + 12),
+    payloadSize,
+    blockNo: buffer.readUInt32LE(offset + 20),
+    numBlocks: buffer.readUInt32LE(offset + 24),
+    familyId: flags & UF2_FLAGS.FAMILY_ID_PRESENT ? fileSizeOrFamily : undefined,
+    fileSize: flags & UF2_FLAGS.FILE_CONTAINER ? fileSizeOrFamily : undefined,
+    data: buffer.subarray(offset + 32, offset + 32 + dataLength)
+  };
+}
+
+function validateBlock(block, errors) {
+  const label = `Block ${block.index}`;
+  if (block.magicStart0 !== UF2_MAGIC_START0 || block.magicStart1 !== UF2_MAGIC_START1) {
+    errors.push(`${label}: invalid start magic numbers.`);
+    return false;
+  }
+  if (block.magicEnd !== UF2_MAGIC_END) {
+    errors.push(`${label}: invalid end magic number.`);
+    return false;
+  }
+  if (block.payloadSize === 0 || block.payloadSize > UF2_MAX_PAYLOAD_SIZE) {
+    errors.push(`${label}: payload size ${block.payloadSize} is outside 1-${UF2_MAX_PAYLOAD_SIZE} bytes.`);
+  }
+  if (block.numBlocks === 0) {
+    errors.push(`${label}: total block count is zero.`);
+  } else if (block.blockNo >= block.numBlocks) {
+    errors.push(`${label}: block number ${block.blockNo} is not below the total block count ${block.numBlocks}.`);
+  }
+  return true;
+}
+
+// A UF2 file may hold several concatenated images (e.g. one per family), each
+// with its own 0..numBlocks-1 numbering, so numbering is checked per sequence.
+function validateSequences(blocks, errors) {
+  let current = null;
+  const closeSequence = () => {
+    if (current && current.expectedNext !== current.numBlocks) {
+      errors.push(
+        `Block ${current.lastIndex}: image ends after ${current.expectedNext} of ${current.numBlocks} blocks (truncated).`
+      );
+    }
+  };
+
+  for (const block of blocks) {
+    if (!current || block.blockNo === 0) {
+      closeSequence();
+      if (block.blockNo !== 0) {
+        errors.push(`Block ${block.index}: expected block number 0 but found ${block.blockNo}.`);
+      }
+      current = { numBlocks: block.numBlocks, expectedNext: block.blockNo + 1, lastIndex: block.index };
+      continue;
+    }
+    if (block.numBlocks !== current.numBlocks) {
+      errors.push(
+        `Block ${block.index}: total block count ${block.numBlocks} does not match ${current.numBlocks} from earlier blocks.`
+      );
+    }
+    if (block.blockNo !== current.expectedNext) {
+      errors.push(`Block ${block.index}: expected block number ${current.expectedNext} but found ${block.blockNo}.`);
+    }
+    current.expectedNext = block.blockNo + 1;
+    current.lastIndex = block.index;
+  }
+  closeSequence();
+}
+
+function collectFamilies(blocks) {
+  const ids = [];
+  for (const block of blocks) {
+    if (block.familyId !== undefined && !ids.includes(block.familyId)) {
+      ids.push(block.familyId);
+    }
+  }
+  return ids.map((id) => ({ id, hex: formatHex32(id), name: getUf2FamilyName(id) }));
+}
+
+function isFlashBlock(block) {
+  return !(block.flags & (UF2_FLAGS.NOT_MAIN_FLASH | UF2_FLAGS.FILE_CONTAINER));
+}
+
+function collectAddressRanges(blocks) {
+  const spans = blocks
+    .filter(isFlashBlock)
+    .map((block) => ({ start: block.targetAddr, end: block.targetAddr + block.data.length }))
+    .sort((a, b) => a.start - b.start);
+
+  const ranges = [];
+  for (const span of spans) {
+    const last = ranges[ranges.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      ranges.push({ ...span });
+    }
+  }
+  return ranges.map((range) => ({ ...range, size: range.end - range.start }));
+}
+
+function parseUf2(buffer) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('UF2 data must be provided as a Buffer.');
+  }
+
+  const errors = [];
+  if (buffer.length === 0) {
+    errors.push('UF2 image is empty.');
+  } else if (buffer.length % UF2_BLOCK_SIZE !== 0) {
+    errors.push(`UF2 image size ${buffer.length} is not a multiple of ${UF2_BLOCK_SIZE} bytes (truncated).`);
+  }
+
+  const blocks = [];
+  const blockCount = Math.floor(buffer.length / UF2_BLOCK_SIZE);
+  for (let index = 0; index < blockCount; index += 1) {
+    const block = readBlock(buffer, index);
+    if (validateBlock(block, errors)) {
+      blocks.push(block);
+    }
+  }
+  validateSequences(blocks, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    blockCount,
+    blocks,
+    families: collectFamilies(blocks),
+    ranges: collectAddressRanges(blocks)
+  };
+}
+
+function checkUf2Compatibility(image, chip) {
+  const chipFamilies = chip ? UF2_CHIP_FAMILIES[chip] : undefined;
+  const imageFamilies = image.families.filter((family) => !UF2_SHARED_FAMILY_IDS.includes(family.id));
+  if (!chipFamilies || imageFamilies.length === 0) {
+    return { compatible: true, checked: false, chip, families: imageFamilies };
+  }
+  const compatible = imageFamilies.some((family) => chipFamilies.includes(family.id));
+  return { compatible, checked: true, chip, families: imageFamilies };
+}
+
+// Lays the segments out in page-aligned blocks, zero-filling partial pages,
+// which is what elf2uf2 and the RP2040/RP2350 bootroms expect.
+function buildUf2(segments, options = {}) {
+  const familyId = resolveUf2FamilyId(options.familyId);
+  const pages = new Map();
+  for (const segment of segments) {
+    for (let offset = 0; offset < segment.data.length; offset += 1) {
+      const address = segment.address + offset;
+      const pageAddress = address - (address % UF2_PAGE_SIZE);
+      let page = pages.get(pageAddress);
+      if (!page) {
+        page = Buffer.alloc(UF2_PAGE_SIZE);
+        pages.set(pageAddress, page);
+      }
+      page[address - pageAddress] = segment.data[offset];
+    }
+  }
+
+  if (pages.size === 0) {
+    throw new Error('Cannot build a UF2 image without any data.');
+  }
+
+  const pageAddresses = Array.from(pages.keys()).sort((a, b) => a - b);
+  const blocks = pageAddresses.map((pageAddress, blockNo) => {
+    const block = Buffer.alloc(UF2_BLOCK_SIZE);
+    block.writeUInt32LE(UF2_MAGIC_START0, 0);
+    block.writeUInt32LE(UF2_MAGIC_START1, 4);
+    block.writeUInt32LE(UF2_FLAGS.FAMILY_ID_PRESENT, 8);
+    block.writeUInt32LE(pageAddress, 12);
+    block.writeUInt32LE(UF2_PAGE_SIZE, 16);
+    block.writeUInt32LE(blockNo, 20);
+    block.writeUInt32LE(pageAddresses.length, 24);
+    block.writeUInt32LE(familyId, 28);
+    pages.get(pageAddress).copy(block, 32);
+    block.writeUInt32LE(UF2_MAGIC_END, UF2_BLOCK_SIZE - 4);
+    return block;
+  });
+  return Buffer.concat(blocks);
+}
+
+function pickExtractFamily(image, familyId) {
+  if (familyId !== undefined && familyId !== null) {
+    return resolveUf2FamilyId(familyId);
+  }
+  const specific = image.families.filter((family) => !UF2_SHARED_FAMILY_IDS.includes(family.id));
+  if (specific.length > 1) {
+    const names = specific.map((family) => family.name || family.hex).join(', ');
+    throw new Error(`UF2 image contains several families (${names}). Choose one to extract.`);
+  }
+  return specific.length === 1 ? specific[0].id : undefined;
+}
+
+function extractUf2(image, options = {}) {
+  const fill = options.fill ?? 0xFF;
+  if (!Number.isInteger(fill) || fill < 0 || fill > 0xFF) {
+    throw new Error(`Invalid fill byte: ${options.fill}`);
+  }
+  const familyId = pickExtractFamily(image, options.familyId);
+  const blocks = image.blocks.filter((block) =>
+    isFlashBlock(block) && (familyId === undefined || block.familyId === familyId)
+  );
+  if (blocks.length === 0) {
+    throw new Error('UF2 image does not contain any flash blocks to extract.');
+  }
+
+  const ranges = collectAddressRanges(blocks);
+  const baseAddress = ranges[0].start;
+  const size = ranges[ranges.length - 1].end - baseAddress;
+  if (size > UF2_MAX_EXTRACT_SIZE) {
+    throw new Error(
+      `UF2 image spans ${size} bytes from ${formatHex32(baseAddress)}, which is too large to extract as a flat binary.`
+    );
+  }
+
+  const data = Buffer.alloc(size, fill);
+  for (const block of blocks) {
+    block.data.copy(data, block.targetAddr - baseAddress);
+  }
+  return { baseAddress, size, data, ranges, familyId };
+}
+
+async function readUf2File(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return parseUf2(buffer);
+}
+
+function assertValidUf2(image, label = 'UF2 image') {
+  if (image.valid) {
+    return image;
+  }
+  const shown = image.errors.slice(0, 3).join(' ');
+  const remaining = image.errors.length - 3;
+  const suffix = remaining > 0 ? ` (${remaining} more error${remaining === 1 ? '' : 's'})` : '';
+  throw new Error(`${label} is not a valid UF2 file: ${shown}${suffix}`);
+}
+
+export {
+  parseUf2,
+  buildUf2,
+  extractUf2,
+  resolveUf2FamilyId,
+  readUf2File,
+  assertValidUf2,
+  getUf2FamilyName,
+  checkUf2Compatibility,
+  formatHex32,
+  UF2_BLOCK_SIZE,
+  UF2_MAX_PAYLOAD_SIZE,
+  UF2_FLAGS,
+  UF2_FAMILY_IDS,
+  UF2_CHIP_FAMILIES
+};
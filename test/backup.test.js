@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { backupMicropython, restoreMicropython, readMicropythonBackup } from '../lib/backup.js';
+import { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+const FIRMWARE = {
+  implementation: 'micropython',
+  version: '3.4.0; MicroPython v1.23.0 on 2024-06-02',
+  release: '1.23.0',
+  machine: 'Raspberry Pi Pico W with RP2040'
+};
+
+describe('MicroPython backup and restore', () => {
+  let workDir;
+  let filesystem;
+
+  beforeEach(async () => {
+    workDir = await createTempDir('backup-');
+    filesystem = createFakeFilesystem({
+      '/main.py': 'import lib.app\n',
+      '/lib/app.py': 'run()\n',
+      '/data/log.bin': Buffer.alloc(1500, 7)
+    });
+    filesystem.dirs.add('/empty');
+    const device = new FakeMicropythonDevice({
+      exec: (code) => filesystem.exec(code) ||
+        { stdout: code.includes('json.dumps') ? `${JSON.stringify(FIRMWARE)}\r\n` : '' }
+    });
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', device);
+  });
+
+  afterEach(async () => {
+    await cleanupTempDir(workDir);
+  });
+
+  it('writes every file and directory into a tar archive with a manifest', async () => {
+    const archive = path.join(workDir, 'board.tar');
+
+    const result = await backupMicropython('/dev/ttyACM0', archive);
+
+    expect(result).toMatchObject({ root: ':/', firmware: FIRMWARE, files: 3, dirs: 3, bytes: 1521 });
+    const { manifest, files } = await readMicropythonBackup(archive);
+    expect(manifest.entries.map((entry) => `${entry.type} ${entry.path}`)).toEqual([
+      'dir /data', 'file /data/log.bin', 'dir /empty', 'dir /lib', 'file /lib/app.py', 'file /main.py'
+    ]);
+    expect(manifest.entries.find((entry) => entry.path === '/main.py')).toMatchObject({ size: 15 });
+    expect(files.get('/data/log.bin').equals(Buffer.alloc(1500, 7))).toBe(true);
+  });
+
+  it('restores a compressed backup onto a freshly flashed board', async () => {
+    const archive = path.join(workDir, 'board.tar.gz');
+    await backupMicropython('/dev/ttyACM0', archive);
+    expect(zlib.gunzipSync(await fs.readFile(archive)).length % 512).toBe(0);
+
+    filesystem.files.clear();
+    filesystem.dirs.clear();
+    filesystem.dirs.add('/');
+    filesystem.files.set('/boot.py', Buffer.from('# factory\n'));
+
+    const result = await restoreMicropython('/dev/ttyACM0', archive, { delete: true });
+
+    expect(result).toMatchObject({ files: 3, dirs: 3, deleted: ['/boot.py'], firmware: FIRMWARE });
+    expect(filesystem.files.get('/lib/app.py').toString()).toBe('run()\n');
+    expect(filesystem.files.get('/data/log.bin').length).toBe(1500);
+    expect(filesystem.dirs.has('/empty')).toBe(true);
+    expect(filesystem.files.has('/boot.py')).toBe(false);
+  });
+
+  it('backs up a subdirectory and rejects corrupted archives', async () => {
+    const archive = path.join(workDir, 'lib.tar');
+    const result = await backupMicropython('/dev/ttyACM0', archive, { remotePath: ':lib' });
+    expect(result).toMatchObject({ root: ':/lib', files: 1, dirs: 0 });
+
+    const tar = await fs.readFile(archive);
+    const offset = tar.indexOf('run()');
+    tar.write('RUN', offset);
+    await fs.writeFile(archive, tar);
+    await expect(restoreMicropython('/dev/ttyACM0', archive)).rejects.toThrow(
+      'Backup archive is corrupted: hash mismatch for /lib/app.py.'
+    );
+
+    await expect(readMicropythonBackup(path.join(workDir, 'missing.tar'))).rejects.toThrow('Backup archive does not exist');
+    await expect(backupMicropython('/dev/ttyACM0', archive, { remotePath: '/nope' })).rejects.toThrow(
+      'Remote directory does not exist: :/nope'
+    );
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+import { execa } from 'execa';
+import { dumpFlash, cloneFlash } from '../lib/clone.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+// Stands in for picotool with boards keyed by serial number: `save` writes a
+// board's flash to the file and `load` replaces it, comparing with -v.
+// Boards listed in `faulty` silently drop writes.
+function simulatePicotool(flash, faulty = new Set()) {
+  execa.mockImplementation(async (command, args) => {
+    const serialNumber = args[args.indexOf('--ser') + 1];
+    const file = args.find((arg) => arg.startsWith(tmpRoot) || arg.startsWith(os.tmpdir()));
+    switch (args[0]) {
+      case 'save':
+        await fs.writeFile(file, flash.get(serialNumber));
+        return { stdout: 'Saving file: [==============================]  100%' };
+      case 'load':
+        if (!faulty.has(serialNumber)) {
+          flash.set(serialNumber, await fs.readFile(file));
+        }
+        if (args.includes('-v') && !flash.get(serialNumber).equals(await fs.readFile(file))) {
+          throw Object.assign(new Error('Command failed'), {
+            exitCode: 255,
+            stderr: 'ERROR: The device contents did not match the file'
+          });
+        }
+        return { stdout: 'Loading into Flash: [==============================]  100%' };
+      default:
+        return { stdout: '' };
+    }
+  });
+}
+
+describe('flash dump and clone', () => {
+  let workDir;
+  let flash;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    workDir = await createTempDir('clone-');
+    flash = new Map([
+      ['SOURCE', Buffer.alloc(4096, 0xa5)],
+      ['TARGET1', Buffer.alloc(4096, 0xff)],
+      ['TARGET2', Buffer.alloc(4096, 0xff)]
+    ]);
+  });
+
+  afterEach(async () => {
+    await cleanupTempDir(workDir);
+  });
+
+  it('dumps the whole flash or a range with its size and hash', async () => {
+    simulatePicotool(flash);
+    const output = path.join(workDir, 'dumps', 'board.bin');
+
+    const result = await dumpFlash(output, { serialNumber: 'SOURCE' });
+
+    expect(execa).toHaveBeenCalledWith('picotool', ['save', '-a', output, '--ser', 'SOURCE'], { timeout: 120000 });
+    expect(result).toMatchObject({
+      file: output,
+      format: 'bin',
+      range: null,
+      size: 4096,
+      sha256: crypto.createHash('sha256').update(Buffer.alloc(4096, 0xa5)).digest('hex')
+    });
+
+    const ranged = await dumpFlash(path.join(workDir, 'boot2.uf2'), {
+      serialNumber: 'SOURCE',
+      range: { start: 0x10000000, end: 0x10000100 }
+    });
+    expect(execa).toHaveBeenLastCalledWith(
+      'picotool',
+      ['save', '-r', '0x10000000', '0x10000100', path.join(workDir, 'boot2.uf2'), '--ser', 'SOURCE'],
+      { timeout: 120000 }
+    );
+    expect(ranged).toMatchObject({ format: 'uf2', range: { start: 0x10000000, end: 0x10000100 } });
+    await expect(dumpFlash(path.join(workDir, 'board.elf'))).rejects.toThrow(
+      'Unsupported dump format for'
+    );
+  });
+
+  it('clones one board onto several and verifies every copy', async () => {
+    simulatePicotool(flash, new Set(['TARGET2']));
+    const stages = [];
+    const image = path.join(workDir, 'golden.bin');
+
+    const summary = await cloneFlash('SOURCE', ['TARGET1', 'TARGET2'], {
+      image,
+      force: true,
+      onProgress: (event) => stages.push(`${event.stage} ${event.serialNumber || event.device.serialNumber}`)
+    });
+
+    expect(flash.get('TARGET1').equals(flash.get('SOURCE'))).toBe(true);
+    expect(summary).toMatchObject({ source: 'SOURCE', succeeded: 1, failed: 1, image: { file: image, size: 4096 } });
+    expect(summary.results[0]).toMatchObject({ device: { serialNumber: 'TARGET1' }, success: true, verified: true });
+    expect(summary.results[1].error).toBe(
+      'Flash does not match the source image: ERROR: The device contents did not match the file'
+    );
+    expect(stages).toEqual([
+      'dumping SOURCE', 'dumped SOURCE',
+      'loading TARGET1', 'done TARGET1',
+      'loading TARGET2', 'failed TARGET2'
+    ]);
+    // A BIN image is placed at the start of flash.
+    expect(execa).toHaveBeenCalledWith(
+      'picotool', ['load', '-v', image, '-o', '0x10000000', '--ser', 'TARGET1', '-f'], { timeout: 120000 }
+    );
+    expect(await fs.pathExists(image)).toBe(true);
+  });
+
+  it('loads, verifies and starts each forced target in a single picotool call', async () => {
+    simulatePicotool(flash);
+
+    const summary = await cloneFlash('SOURCE', ['TARGET1', 'TARGET2'], { force: true, execute: true });
+
+    expect(summary.succeeded).toBe(2);
+    const targetCalls = execa.mock.calls.filter(([, args]) => args.includes('TARGET1'));
+    expect(targetCalls).toHaveLength(1);
+    expect(targetCalls[0][1]).toEqual(['load', '-v', '-x', expect.any(String), '--ser', 'TARGET1', '-f']);
+    expect(execa.mock.calls.some(([, args]) => args[0] === 'verify' || args[0] === 'reboot')).toBe(false);
+  });
+
+  it('uses a temporary UF2 by default and rejects bad target lists', async () => {
+    simulatePicotool(flash);
+
+    const summary = await cloneFlash('SOURCE', 'TARGET1', { execute: true });
+
+    expect(summary).toMatchObject({ image: null, succeeded: 1, failed: 0 });
+    const savedTo = execa.mock.calls.find(([, args]) => args[0] === 'save')[1][2];
+    expect(savedTo.endsWith('flash.uf2')).toBe(true);
+    expect(await fs.pathExists(savedTo)).toBe(false);
+    expect(execa).toHaveBeenLastCalledWith(
+      'picotool', ['load', '-v', '-x', savedTo, '--ser', 'TARGET1'], { timeout: 120000 }
+    );
+
+    await expect(cloneFlash('SOURCE', [])).rejects.toThrow('At least one target board serial number is required.');
+    await expect(cloneFlash('SOURCE', ['SOURCE'])).rejects.toThrow(
+      'Board SOURCE cannot be both the source and a clone target.'
+    );
+  });
+});
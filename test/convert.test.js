@@ -0,0 +1,214 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  convertFirmware,
+  convertToUf2,
+  inspectFirmware,
+  extractFirmware,
+  detectFirmwareFormat,
+  parseIntelHex,
+  parseElfSegments
+} from '../lib/convert.js';
+import { parseUf2, UF2_FAMILY_IDS } from '../lib/uf2.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+function hexRecord(type, address, data = []) {
+  const bytes = [data.length, (address >> 8) & 0xFF, address & 0xFF, type, ...data];
+  const checksum = (0x100 - (bytes.reduce((sum, byte) => sum + byte, 0) & 0xFF)) & 0xFF;
+  return `:${Buffer.from([...bytes, checksum]).toString('hex').toUpperCase()}`;
+}
+
+function buildElf(segments) {
+  const headerSize = 52;
+  const programHeaderSize = 32;
+  const dataOffset = headerSize + programHeaderSize * segments.length;
+  const header = Buffer.alloc(dataOffset);
+  header.writeUInt32BE(0x7F454C46, 0);
+  header[4] = 1;
+  header[5] = 1;
+  header[6] = 1;
+  header.writeUInt16LE(2, 0x10);
+  header.writeUInt16LE(0x28, 0x12);
+  header.writeUInt32LE(headerSize, 0x1C);
+  header.writeUInt16LE(headerSize, 0x28);
+  header.writeUInt16LE(programHeaderSize, 0x2A);
+  header.writeUInt16LE(segments.length, 0x2C);
+
+  let offset = dataOffset;
+  segments.forEach((segment, index) => {
+    const base = headerSize + index * programHeaderSize;
+    header.writeUInt32LE(segment.type ?? 1, base);
+    header.writeUInt32LE(offset, base + 4);
+    header.writeUInt32LE(segment.vaddr ?? segment.paddr, base + 8);
+    header.writeUInt32LE(segment.paddr, base + 12);
+    header.writeUInt32LE(segment.data.length, base + 16);
+    header.writeUInt32LE(segment.data.length, base + 20);
+    offset += segment.data.length;
+  });
+  return Buffer.concat([header, ...segments.map((segment) => segment.data)]);
+}
+
+describe('firmware conversion', () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await createTempDir('convert-');
+  });
+
+  afterEach(async () => {
+    await cleanupTempDir(workDir);
+  });
+
+  it('detects firmware formats from the extension', () => {
+    expect(detectFirmwareFormat('app.BIN')).toBe('bin');
+    expect(detectFirmwareFormat('app.elf')).toBe('elf');
+    expect(detectFirmwareFormat('app.hex')).toBe('hex');
+    expect(detectFirmwareFormat('app.uf2')).toBe('uf2');
+    expect(detectFirmwareFormat('app.txt')).toBeNull();
+  });
+
+  it('converts a raw binary at the RP2040 flash base by default', () => {
+    const image = parseUf2(convertToUf2(Buffer.alloc(300, 0xAB), 'bin'));
+
+    expect(image.valid).toBe(true);
+    expect(image.blockCount).toBe(2);
+    expect(image.families[0].id).toBe(UF2_FAMILY_IDS.RP2040);
+    expect(image.ranges).toEqual([{ start: 0x10000000, end: 0x10000200, size: 0x200 }]);
+    expect(image.blocks[1].data[43]).toBe(0xAB);
+    expect(image.blocks[1].data[44]).toBe(0);
+  });
+
+  it('honours the chip defaults, base address and family overrides', () => {
+    const rp2350 = parseUf2(convertToUf2(Buffer.alloc(16, 1), 'bin', { chip: 'rp2350' }));
+    expect(rp2350.families[0].name).toBe('RP2350_ARM_S');
+
+    const custom = parseUf2(convertToUf2(Buffer.alloc(16, 1), 'bin', {
+      baseAddress: '0x20000000',
+      familyId: 'RP2350_RISCV'
+    }));
+    expect(custom.families[0].name).toBe('RP2350_RISCV');
+    expect(custom.ranges[0].start).toBe(0x20000000);
+  });
+
+  it('rejects invalid base addresses and unknown chips', () => {
+    expect(() => convertToUf2(Buffer.alloc(4), 'bin', { baseAddress: 'nope' })).toThrow('Invalid base address');
+    expect(() => convertToUf2(Buffer.alloc(4), 'bin', { chip: 'ESP32' })).toThrow('Unknown chip ESP32');
+  });
+
+  it('parses Intel HEX records with extended linear addresses', () => {
+    const text = [
+      hexRecord(0x04, 0, [0x10, 0x00]),
+      hexRecord(0x00, 0x0000, [1, 2, 3, 4]),
+      hexRecord(0x00, 0x0004, [5, 6]),
+      hexRecord(0x00, 0x0100, [7]),
+      hexRecord(0x05, 0, [0x10, 0x00, 0x01, 0x00]),
+      hexRecord(0x01, 0)
+    ].join('\n');
+
+    const segments = parseIntelHex(text);
+
+    expect(segments).toEqual([
+      { address: 0x10000000, data: Buffer.from([1, 2, 3, 4, 5, 6]) },
+      { address: 0x10000100, data: Buffer.from([7]) }
+    ]);
+  });
+
+  it('rejects Intel HEX files with bad checksums or no EOF record', () => {
+    expect(() => parseIntelHex(':0100000001FF\n:00000001FF')).toThrow('checksum mismatch on line 1');
+    expect(() => parseIntelHex(hexRecord(0x00, 0, [1]))).toThrow('missing its end-of-file record');
+  });
+
+  it('extracts loadable ELF segments at their physical addresses', () => {
+    const elf = buildElf([
+      { paddr: 0x10000000, data: Buffer.from([1, 2, 3, 4]) },
+      { paddr: 0x10000004, vaddr: 0x20000000, data: Buffer.from([5, 6]) },
+      { type: 4, paddr: 0, data: Buffer.from([9]) }
+    ]);
+
+    const segments = parseElfSegments(elf);
+
+    expect(segments.map((segment) => segment.address)).toEqual([0x10000000, 0x10000004]);
+    expect(segments[1].data).toEqual(Buffer.from([5, 6]));
+  });
+
+  it('rejects files that are not ELF images', () => {
+    expect(() => parseElfSegments(Buffer.alloc(64))).toThrow('File is not an ELF image');
+  });
+
+  it('writes a UF2 next to the input when no output is given', async () => {
+    const inputPath = path.join(workDir, 'app.bin');
+    await fs.writeFile(inputPath, Buffer.alloc(512, 7));
+
+    const result = await convertFirmware(inputPath);
+
+    expect(result.destination).toBe(path.join(workDir, 'app.uf2'));
+    expect(result.format).toBe('bin');
+    expect(result.blockCount).toBe(2);
+    expect(parseUf2(await fs.readFile(result.destination)).valid).toBe(true);
+  });
+
+  it('refuses to convert UF2 or unknown inputs', async () => {
+    const inputPath = path.join(workDir, 'app.uf2');
+    await fs.writeFile(inputPath, Buffer.alloc(512));
+
+    await expect(convertFirmware(inputPath)).rejects.toThrow('Expected a .bin, .elf or .hex file');
+  });
+
+  it('inspects the CURRENT.UF2 of a mounted drive', async () => {
+    await fs.writeFile(path.join(workDir, 'CURRENT.UF2'), convertToUf2(Buffer.alloc(512, 3), 'bin'));
+
+    const result = await inspectFirmware(workDir);
+
+    expect(result.source).toBe(path.join(workDir, 'CURRENT.UF2'));
+    expect(result.valid).toBe(true);
+    expect(result.totalBytes).toBe(512);
+    expect(result.ranges).toEqual([{ start: 0x10000000, end: 0x10000200, size: 512 }]);
+  });
+
+  it('extracts a UF2 back into the original binary', async () => {
+    const original = Buffer.alloc(512);
+    original.forEach((_, index) => { original[index] = index & 0xFF; });
+    const uf2Path = path.join(workDir, 'app.uf2');
+    await fs.writeFile(uf2Path, convertToUf2(original, 'bin'));
+
+    const result = await extractFirmware(uf2Path);
+
+    expect(result.destination).toBe(path.join(workDir, 'app.bin'));
+    expect(result.baseAddress).toBe(0x10000000);
+    expect((await fs.readFile(result.destination)).equals(original)).toBe(true);
+  });
+
+  it('writes the binary of a mounted drive to the working directory, not the drive', async () => {
+    const mountDir = path.join(workDir, 'RPI-RP2');
+    const outputDir = path.join(workDir, 'out');
+    await fs.ensureDir(outputDir);
+    await fs.outputFile(path.join(mountDir, 'CURRENT.UF2'), convertToUf2(Buffer.alloc(512, 3), 'bin'));
+    const cwd = vi.spyOn(process, 'cwd').mockReturnValue(outputDir);
+
+    const result = await extractFirmware(mountDir).finally(() => cwd.mockRestore());
+
+    expect(result.destination).toBe(path.join(outputDir, 'CURRENT.bin'));
+    expect(await fs.readdir(mountDir)).toEqual(['CURRENT.UF2']);
+  });
+
+  it('refuses to extract invalid UF2 files', async () => {
+    const uf2Path = path.join(workDir, 'broken.uf2');
+    await fs.writeFile(uf2Path, Buffer.alloc(100));
+
+    await expect(extractFirmware(uf2Path)).rejects.toThrow('is not a valid UF2 file');
+  });
+});
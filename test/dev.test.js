@@ -0,0 +1,127 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { startMicropythonDev, MicropythonDevLoop } from '../lib/dev.js';
+import { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+describe('startMicropythonDev', () => {
+  let localDir;
+  let filesystem;
+  let device;
+  let loop;
+
+  beforeEach(async () => {
+    localDir = await createTempDir('dev-');
+    await fs.writeFile(path.join(localDir, 'main.py'), 'print("v1")\n');
+    filesystem = createFakeFilesystem();
+    device = new FakeMicropythonDevice({
+      exec: (code) => filesystem.exec(code) || { stdout: 'main ran\r\n' },
+      onSoftReset: () => `${filesystem.files.get('/main.py')}`.replace('print("', '').replace('")\n', '\r\n')
+    });
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', device);
+  });
+
+  afterEach(async () => {
+    if (loop) {
+      await loop.close();
+      loop = null;
+    }
+    await cleanupTempDir(localDir);
+  });
+
+  function recordOutput() {
+    const output = [];
+    loop.on('output', (chunk) => output.push(chunk.toString()));
+    return { text: () => output.join('') };
+  }
+
+  it('syncs on start and soft-resets the board, streaming its console', async () => {
+    loop = new MicropythonDevLoop('/dev/ttyACM0', localDir, { debounce: 20 });
+    const output = recordOutput();
+    const synced = once(loop, 'sync');
+
+    await loop.start();
+    const [result] = await synced;
+    await vi.waitFor(() => expect(output.text()).toContain('v1'));
+
+    expect(result.changes).toEqual([{ action: 'add', path: '/main.py', size: 12 }]);
+    expect(output.text()).toContain('MPY: soft reboot');
+  });
+
+  it('pushes saved files and restarts the program', async () => {
+    loop = new MicropythonDevLoop('/dev/ttyACM0', localDir, { debounce: 20 });
+    const output = recordOutput();
+    await loop.start();
+    await vi.waitFor(() => expect(output.text()).toContain('v1'));
+
+    const synced = once(loop, 'sync');
+    await fs.writeFile(path.join(localDir, 'main.py'), 'print("v2")\n');
+    const [result] = await synced;
+    await vi.waitFor(() => expect(output.text()).toContain('v2'));
+
+    expect(result.changes).toEqual([{ action: 'update', path: '/main.py', size: 12 }]);
+    expect(filesystem.files.get('/main.py').toString()).toBe('print("v2")\n');
+  });
+
+  it('watches new subdirectories without relying on recursive fs.watch', async () => {
+    const watch = vi.spyOn(fs, 'watch');
+    loop = new MicropythonDevLoop('/dev/ttyACM0', localDir, { debounce: 20 });
+    await loop.start();
+
+    let synced = once(loop, 'sync');
+    await fs.ensureDir(path.join(localDir, 'lib'));
+    await synced;
+    await vi.waitFor(() => expect(loop.watchers.has('lib')).toBe(true));
+
+    synced = once(loop, 'sync');
+    await fs.writeFile(path.join(localDir, 'lib', 'led.py'), 'LED = 25\n');
+    const [result] = await synced;
+
+    expect(result.changes).toEqual([{ action: 'add', path: '/lib/led.py', size: 9 }]);
+    expect(watch).toHaveBeenCalledWith(path.join(localDir, 'lib'), expect.any(Function));
+    expect(watch.mock.calls.every(([, options]) => typeof options === 'function')).toBe(true);
+    watch.mockRestore();
+  });
+
+  it('runs main.py in the raw REPL in run mode', async () => {
+    loop = new MicropythonDevLoop('/dev/ttyACM0', localDir, { restart: 'run', remoteDir: '/app' });
+    const output = recordOutput();
+
+    await loop.start();
+    await vi.waitFor(() => expect(output.text()).toContain('main ran'));
+
+    expect(device.programs).toContain('exec(open("/app/main.py").read(),{\'__name__\':\'__main__\'})');
+    expect(filesystem.files.has('/app/main.py')).toBe(true);
+  });
+
+  it('rejects unknown restart modes and missing directories', async () => {
+    expect(() => new MicropythonDevLoop('/dev/ttyACM0', localDir, { restart: 'hard' })).toThrow(
+      'Unknown restart mode: hard'
+    );
+    await expect(startMicropythonDev('/dev/ttyACM0', path.join(localDir, 'missing'))).rejects.toThrow(
+      'Local directory does not exist'
+    );
+  });
+});
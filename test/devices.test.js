@@ -1,5 +1,26 @@
-import { describe, it, expect } from 'vitest';
-import { isRp2040Device, filterRp2040Devices, listDevices } from '../lib/devices.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const serialPorts = vi.hoisted(() => []);
+
+vi.mock('serialport', () => ({
+  SerialPort: {
+    list: vi.fn(async () => serialPorts.slice())
+  }
+}));
+
+import {
+  isRp2040Device,
+  filterRp2040Devices,
+  isRaspberryPiMcu,
+  detectDeviceChip,
+  isMicropythonDevice,
+  listDevices,
+  watchDevices,
+  parseBoardInfo
+} from '../lib/devices.js';
 
 describe('RP2040 device filtering', () => {
   it('recognizes RP2040 serial devices by vendor id', () => {
@@ -40,6 +61,38 @@ describe('RP2040 device filtering', () => {
     expect(filterRp2040Devices(devices)).toEqual([]);
   });
 
+  it('recognizes RP2350 bootloader drives', () => {
+    const device = {
+      type: 'storage',
+      boardId: 'RP2350',
+      model: 'Raspberry Pi RP2350'
+    };
+
+    expect(isRaspberryPiMcu(device)).toBe(true);
+    expect(detectDeviceChip(device)).toBe('RP2350');
+  });
+
+  it('detects the chip from the volume label', () => {
+    expect(detectDeviceChip({ type: 'storage', mountPoint: '/media/pi/RP2350' })).toBe('RP2350');
+    expect(detectDeviceChip({ type: 'storage', mountPoint: '/Volumes/RPI-RP2' })).toBe('RP2040');
+  });
+
+  it('detects the chip of serial devices from the USB product id', () => {
+    expect(detectDeviceChip({ type: 'serial', vendorId: '2E8A', productId: '0009' })).toBe('RP2350');
+    expect(detectDeviceChip({ type: 'serial', vendorId: '2E8A', productId: '0x000a' })).toBe('RP2040');
+    expect(detectDeviceChip({ type: 'serial', vendorId: '2E8A', productId: '0005' })).toBeUndefined();
+  });
+
+  it('falls back to the USB product strings for MicroPython boards', () => {
+    const micropython = { type: 'serial', vendorId: '2E8A', productId: '0005' };
+
+    expect(detectDeviceChip({ ...micropython, pnpId: 'usb-MicroPython_Raspberry_Pi_Pico_2_W_4F2A-if00' })).toBe('RP2350');
+    expect(detectDeviceChip({ ...micropython, friendlyName: 'Pimoroni Tiny 2040 (RP2040)' })).toBe('RP2040');
+    expect(detectDeviceChip({ ...micropython, manufacturer: 'MicroPython' })).toBeUndefined();
+    expect(isMicropythonDevice(micropython)).toBe(true);
+    expect(isMicropythonDevice({ ...micropython, productId: '000a' })).toBe(false);
+  });
+
   it('returns serializable errors when device enumeration fails', async () => {
     const result = await listDevices({ searchRoots: [] });
 
@@ -49,3 +102,90 @@ describe('RP2040 device filtering', () => {
     expect(result.errors[0]).toHaveProperty('error.message');
   });
 });
+
+describe('board info parsing', () => {
+  it('detects RP2040 bootloader drives', () => {
+    const info = parseBoardInfo('UF2 Bootloader v3.0\nModel: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+
+    expect(info).toEqual({ boardId: 'RPI-RP2', model: 'Raspberry Pi RP2', chip: 'RP2040' });
+  });
+
+  it('detects RP2350 bootloader drives', () => {
+    const info = parseBoardInfo('UF2 Bootloader v1.0\nModel: Raspberry Pi RP2350\nBoard-ID: RP2350\n');
+
+    expect(info.chip).toBe('RP2350');
+  });
+
+  it('leaves the chip undefined for unknown boards', () => {
+    expect(parseBoardInfo('Model: Feather\nBoard-ID: SAMD21\n').chip).toBeUndefined();
+    expect(parseBoardInfo('').chip).toBeUndefined();
+  });
+});
+
+describe('device watcher', () => {
+  let rootDir;
+  let watcher;
+
+  beforeEach(async () => {
+    serialPorts.length = 0;
+    rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'raspimcu-watch-'));
+  });
+
+  afterEach(async () => {
+    if (watcher) {
+      watcher.close();
+      watcher = null;
+    }
+    await fs.remove(rootDir);
+  });
+
+  async function mountBoard(label, info) {
+    const mountPoint = path.join(rootDir, label);
+    await fs.ensureDir(mountPoint);
+    await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), info);
+    return mountPoint;
+  }
+
+  it('reports existing devices, then attach and detach events', async () => {
+    serialPorts.push({ path: '/dev/ttyACM0', vendorId: '2e8a', productId: '000a', serialNumber: 'E660' });
+    watcher = watchDevices({ searchRoots: [rootDir], interval: 10 });
+    const events = watcher[Symbol.asyncIterator]();
+
+    const first = await events.next();
+    expect(first.value).toMatchObject({ type: 'attach', device: { path: '/dev/ttyACM0', chip: 'RP2040' } });
+
+    const mountPoint = await mountBoard('RPI-RP2', 'Model: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+    const attached = await events.next();
+    expect(attached.value).toMatchObject({ type: 'attach', device: { mountPoint, status: 'fs' } });
+
+    await fs.remove(mountPoint);
+    const detached = await events.next();
+    expect(detached.value).toMatchObject({ type: 'detach', device: { mountPoint } });
+  });
+
+  it('emits mode-change when a serial board reappears as a BOOTSEL drive', async () => {
+    serialPorts.push({ path: '/dev/ttyACM0', vendorId: '2e8a', productId: '0009', serialNumber: 'ABCD' });
+    watcher = watchDevices({ searchRoots: [rootDir], interval: 10, emitExisting: false });
+    const modeChange = new Promise((resolve) => watcher.once('mode-change', resolve));
+    await new Promise((resolve) => watcher.once('ready', resolve));
+
+    serialPorts.length = 0;
+    await mountBoard('RP2350', 'Model: Raspberry Pi RP2350\nBoard-ID: RP2350\n');
+
+    const event = await modeChange;
+    expect(event.from).toBe('serial');
+    expect(event.to).toBe('fs');
+    expect(event.previous.serialNumber).toBe('ABCD');
+    expect(event.device.chip).toBe('RP2350');
+  });
+
+  it('ends the async iterator when closed', async () => {
+    watcher = watchDevices({ searchRoots: [rootDir], interval: 10 });
+    const events = watcher[Symbol.asyncIterator]();
+    const pending = events.next();
+
+    watcher.close();
+
+    await expect(pending).resolves.toEqual({ value: undefined, done: true });
+  });
+});
@@ -1,8 +1,14 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import fs from 'fs-extra';
 import os from 'os';
 import path from 'path';
-import { uploadFirmware, downloadFirmware, readInfoFile } from '../lib/firmware.js';
+
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+import { execa } from 'execa';
+import { uploadFirmware, downloadFirmware, readInfoFile, getFirmwareInfo } from '../lib/firmware.js';
 
 const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
 
@@ -17,6 +23,24 @@ async function cleanupTempDir(dir) {
   }
 }
 
+function buildUf2Image(count, familyId = 0xE48BFF56) {
+  const blocks = [];
+  for (let blockNo = 0; blockNo < count; blockNo += 1) {
+    const block = Buffer.alloc(512);
+    block.writeUInt32LE(0x0A324655, 0);
+    block.writeUInt32LE(0x9E5D5157, 4);
+    block.writeUInt32LE(0x00002000, 8);
+    block.writeUInt32LE(0x10000000 + blockNo * 256, 12);
+    block.writeUInt32LE(256, 16);
+    block.writeUInt32LE(blockNo, 20);
+    block.writeUInt32LE(count, 24);
+    block.writeUInt32LE(familyId, 28);
+    block.writeUInt32LE(0x0AB16F30, 508);
+    blocks.push(block);
+  }
+  return Buffer.concat(blocks);
+}
+
 describe('firmware utilities', () => {
   let firmwareDir;
   let mountDir;
@@ -33,7 +57,8 @@ describe('firmware utilities', () => {
 
   it('uploads a UF2 firmware file to the mount point', async () => {
     const firmwarePath = path.join(firmwareDir, 'pico.uf2');
-    await fs.writeFile(firmwarePath, 'mock firmware');
+    const image = buildUf2Image(2);
+    await fs.writeFile(firmwarePath, image);
 
     const destination = await uploadFirmware(firmwarePath, mountDir, {
       targetFilename: 'pico-custom.uf2',
@@ -42,8 +67,65 @@ describe('firmware utilities', () => {
     expect(destination).toBe(path.join(mountDir, 'pico-custom.uf2'));
     const exists = await fs.pathExists(destination);
     expect(exists).toBe(true);
-    const contents = await fs.readFile(destination, 'utf8');
-    expect(contents).toBe('mock firmware');
+    const contents = await fs.readFile(destination);
+    expect(contents.equals(image)).toBe(true);
+  });
+
+  it('refuses to upload a corrupt UF2 image', async () => {
+    const firmwarePath = path.join(firmwareDir, 'broken.uf2');
+    await fs.writeFile(firmwarePath, buildUf2Image(3).subarray(0, 1024));
+
+    await expect(uploadFirmware(firmwarePath, mountDir)).rejects.toThrow('is not a valid UF2 file');
+    expect(await fs.readdir(mountDir)).toEqual([]);
+  });
+
+  it('refuses to upload an image built for a different chip', async () => {
+    const firmwarePath = path.join(firmwareDir, 'pico2.uf2');
+    await fs.writeFile(firmwarePath, buildUf2Image(1, 0xE48BFF59));
+    await fs.writeFile(path.join(mountDir, 'INFO_UF2.TXT'), 'UF2 Bootloader v3.0\nModel: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+
+    await expect(uploadFirmware(firmwarePath, mountDir)).rejects.toThrow(
+      'targets RP2350_ARM_S but the board at'
+    );
+    expect(await fs.pathExists(path.join(mountDir, 'pico2.uf2'))).toBe(false);
+  });
+
+  it('uploads a mismatched image when forced', async () => {
+    const firmwarePath = path.join(firmwareDir, 'pico2.uf2');
+    await fs.writeFile(firmwarePath, buildUf2Image(1, 0xE48BFF59));
+    await fs.writeFile(path.join(mountDir, 'INFO_UF2.TXT'), 'Model: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+
+    const destination = await uploadFirmware(firmwarePath, mountDir, { force: true });
+    expect(await fs.pathExists(destination)).toBe(true);
+  });
+
+  it('converts raw binaries to UF2 on the fly using the board chip', async () => {
+    const firmwarePath = path.join(firmwareDir, 'app.bin');
+    await fs.writeFile(firmwarePath, Buffer.alloc(600, 1));
+    await fs.writeFile(path.join(mountDir, 'INFO_UF2.TXT'), 'Model: Raspberry Pi RP2350\nBoard-ID: RP2350\n');
+
+    const destination = await uploadFirmware(firmwarePath, mountDir);
+
+    expect(destination).toBe(path.join(mountDir, 'app.uf2'));
+    const contents = await fs.readFile(destination);
+    expect(contents.length).toBe(3 * 512);
+    expect(contents.readUInt32LE(28)).toBe(0xE48BFF59);
+  });
+
+  it('rejects firmware files with unsupported extensions', async () => {
+    const firmwarePath = path.join(firmwareDir, 'app.txt');
+    await fs.writeFile(firmwarePath, 'nope');
+
+    await expect(uploadFirmware(firmwarePath, mountDir)).rejects.toThrow(
+      'Firmware path must reference a .uf2, .bin, .elf or .hex file.'
+    );
+  });
+
+  it('refuses to upload a file that is not UF2 data', async () => {
+    const firmwarePath = path.join(firmwareDir, 'fake.uf2');
+    await fs.writeFile(firmwarePath, 'mock firmware');
+
+    await expect(uploadFirmware(firmwarePath, mountDir)).rejects.toThrow('is not a valid UF2 file');
   });
 
   it('throws when uploading a non-existent firmware path', async () => {
@@ -91,5 +173,52 @@ describe('firmware utilities', () => {
     const info = await readInfoFile(mountDir);
     expect(info).toBeNull();
   });
-});
 
+  it('combines INFO_UF2.TXT with the binary info picotool reports', async () => {
+    await fs.writeFile(path.join(mountDir, 'INFO_UF2.TXT'), 'UF2 Bootloader v3.0\nModel: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+    execa.mockResolvedValueOnce({
+      stdout: 'Program Information\n name:      blink\n version:   1.0\n\nBuild Information\n build date: Jan 15 2024\n'
+    });
+
+    const info = await getFirmwareInfo(mountDir, { serialNumber: 'ABC123' });
+
+    expect(execa).toHaveBeenCalledWith('picotool', ['info', '-a', '--ser', 'ABC123'], { timeout: 10000 });
+    expect(info.mountPoint).toBe(mountDir);
+    expect(info.infoFile).toMatchObject({ boardId: 'RPI-RP2', model: 'Raspberry Pi RP2', chip: 'RP2040' });
+    expect(info.binaryInfo.program).toEqual({ name: 'blink', version: '1.0' });
+    expect(info.binaryInfo.build.isoDate).toBe('2024-01-15');
+  });
+
+  it('does not guess which board picotool should query when several are in BOOTSEL mode', async () => {
+    execa.mockClear();
+    for (const name of ['RPI-RP2', 'RP2350']) {
+      await fs.ensureDir(path.join(mountDir, name));
+      await fs.writeFile(path.join(mountDir, name, 'INFO_UF2.TXT'), `Board-ID: ${name}\n`);
+    }
+    const target = path.join(mountDir, 'RP2350');
+
+    const info = await getFirmwareInfo(target, { searchRoots: [mountDir] });
+
+    expect(execa).not.toHaveBeenCalled();
+    expect(info).toMatchObject({ mountPoint: target, infoFile: { boardId: 'RP2350' }, binaryInfo: null });
+    expect(info.binaryInfoError).toBe(
+      `2 boards are in BOOTSEL mode, so picotool cannot tell which one is mounted at ${target}. Pass the board's serial number.`
+    );
+  });
+
+  it('keeps INFO_UF2.TXT data when picotool is unavailable and reads files directly', async () => {
+    await fs.writeFile(path.join(mountDir, 'INFO_UF2.TXT'), 'Board-ID: RPI-RP2\n');
+    execa.mockRejectedValueOnce(Object.assign(new Error('spawn picotool ENOENT'), { code: 'ENOENT' }));
+
+    const mounted = await getFirmwareInfo(mountDir);
+    expect(mounted.binaryInfo).toBeNull();
+    expect(mounted.binaryInfoError).toBe('picotool is not installed or not available on the PATH.');
+    expect(mounted.infoFile.boardId).toBe('RPI-RP2');
+
+    const firmwarePath = path.join(firmwareDir, 'app.uf2');
+    await fs.writeFile(firmwarePath, buildUf2Image(1));
+    execa.mockResolvedValueOnce({ stdout: `File ${firmwarePath}:\n\nProgram Information\n name:  app\n` });
+    const file = await getFirmwareInfo(firmwarePath);
+    expect(file).toMatchObject({ file: firmwarePath, infoFile: null, binaryInfo: { source: `File ${firmwarePath}` } });
+  });
+});
@@ -0,0 +1,317 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const serialPorts = vi.hoisted(() => []);
+
+vi.mock('serialport', () => ({
+  SerialPort: {
+    list: vi.fn(async () => serialPorts.slice())
+  }
+}));
+
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+import { execa } from 'execa';
+import { flashDevice, flashFleet } from '../lib/flash.js';
+import { convertToUf2 } from '../lib/convert.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+const PICO_PORT = { path: '/dev/ttyACM0', vendorId: '2e8a', productId: '000a', serialNumber: 'E6606603' };
+
+// Simulates the bootrom: picotool reboot swaps the serial port for a UF2
+// drive, and copying a .uf2 onto the drive reboots back into serial mode.
+function simulateBoard(rootDir, port = PICO_PORT) {
+  const mountPoint = path.join(rootDir, 'RPI-RP2');
+  let timer;
+  execa.mockImplementation(async () => {
+    serialPorts.splice(serialPorts.indexOf(port), 1);
+    await fs.ensureDir(mountPoint);
+    await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), 'Model: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+    timer = setInterval(async () => {
+      const entries = await fs.readdir(mountPoint).catch(() => []);
+      if (entries.some((entry) => entry.endsWith('.uf2'))) {
+        clearInterval(timer);
+        await fs.remove(mountPoint);
+        serialPorts.push(port);
+      }
+    }, 20);
+    return { stdout: '' };
+  });
+  return {
+    mountPoint,
+    stop: () => clearInterval(timer)
+  };
+}
+
+describe('flashDevice', () => {
+  let rootDir;
+  let firmwareDir;
+  let firmwarePath;
+  let board;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    serialPorts.length = 0;
+    rootDir = await createTempDir('flash-root-');
+    firmwareDir = await createTempDir('flash-fw-');
+    firmwarePath = path.join(firmwareDir, 'app.uf2');
+    await fs.writeFile(firmwarePath, convertToUf2(Buffer.alloc(512, 1), 'bin'));
+  });
+
+  afterEach(async () => {
+    if (board) {
+      board.stop();
+      board = null;
+    }
+    await cleanupTempDir(rootDir);
+    await cleanupTempDir(firmwareDir);
+  });
+
+  it('reboots, uploads and waits for the board to reconnect', async () => {
+    serialPorts.push(PICO_PORT);
+    board = simulateBoard(rootDir);
+    const stages = [];
+
+    const result = await flashDevice(firmwarePath, {
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      reconnectTimeout: 3000,
+      onProgress: (event) => stages.push(event.stage)
+    });
+
+    expect(execa).toHaveBeenCalledWith('picotool', ['reboot', '-f', '--ser', 'E6606603'], { timeout: 10000 });
+    expect(result.mountPoint).toBe(board.mountPoint);
+    expect(result.destination).toBe(path.join(board.mountPoint, 'app.uf2'));
+    expect(result.serialDevice.serialNumber).toBe('E6606603');
+    expect(stages).toEqual(['selected', 'rebooting', 'mounted', 'uploaded', 'unmounted', 'reconnected']);
+  });
+
+  it('selects the board by serial number', async () => {
+    const other = { ...PICO_PORT, path: '/dev/ttyACM1', serialNumber: 'OTHER' };
+    serialPorts.push(other, PICO_PORT);
+    board = simulateBoard(rootDir);
+
+    const result = await flashDevice(firmwarePath, {
+      serialNumber: 'E6606603',
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      reconnectTimeout: 3000
+    });
+
+    expect(result.device.path).toBe('/dev/ttyACM0');
+  });
+
+  it('refuses to pick a board when several are connected', async () => {
+    serialPorts.push(PICO_PORT, { ...PICO_PORT, path: '/dev/ttyACM1', serialNumber: 'OTHER' });
+
+    await expect(flashDevice(firmwarePath, { searchRoots: [rootDir] })).rejects.toThrow(
+      'Multiple devices found (2)'
+    );
+    expect(execa).not.toHaveBeenCalled();
+  });
+
+  it('validates the image before rebooting the board', async () => {
+    serialPorts.push(PICO_PORT);
+    const brokenPath = path.join(firmwareDir, 'broken.uf2');
+    await fs.writeFile(brokenPath, 'not a uf2');
+
+    await expect(flashDevice(brokenPath, { searchRoots: [rootDir] })).rejects.toThrow('is not a valid UF2 file');
+    expect(execa).not.toHaveBeenCalled();
+  });
+
+  it('rejects images for a different chip before rebooting', async () => {
+    serialPorts.push(PICO_PORT);
+    const rp2350Path = path.join(firmwareDir, 'pico2.uf2');
+    await fs.writeFile(rp2350Path, convertToUf2(Buffer.alloc(16), 'bin', { chip: 'RP2350' }));
+
+    await expect(flashDevice(rp2350Path, { searchRoots: [rootDir] })).rejects.toThrow(
+      'does not target the RP2040 board E6606603'
+    );
+    expect(execa).not.toHaveBeenCalled();
+  });
+
+  it('checks MicroPython boards of unknown chip against the mounted drive', async () => {
+    const micropythonPort = { ...PICO_PORT, productId: '0005' };
+    serialPorts.push(micropythonPort);
+    board = simulateBoard(rootDir, micropythonPort);
+    const rp2350Path = path.join(firmwareDir, 'rp2350.uf2');
+    await fs.writeFile(rp2350Path, convertToUf2(Buffer.alloc(16), 'bin', { chip: 'RP2350' }));
+
+    await expect(flashDevice(rp2350Path, { searchRoots: [rootDir], mountTimeout: 3000 })).rejects.toThrow(
+      `does not target the RP2040 board E6606603, which was left in BOOTSEL mode at ${board.mountPoint}`
+    );
+    expect(await fs.readdir(board.mountPoint)).toEqual(['INFO_UF2.TXT']);
+  });
+
+  it('uploads straight away when the board is already in BOOTSEL mode', async () => {
+    const mountPoint = path.join(rootDir, 'RPI-RP2');
+    await fs.ensureDir(mountPoint);
+    await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), 'Board-ID: RPI-RP2\n');
+
+    const uploadDone = flashDevice(firmwarePath, {
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      waitForReconnect: false
+    });
+    const timer = setInterval(async () => {
+      if (await fs.pathExists(path.join(mountPoint, 'app.uf2'))) {
+        clearInterval(timer);
+        await fs.remove(mountPoint);
+      }
+    }, 20);
+
+    const result = await uploadDone;
+    clearInterval(timer);
+    expect(execa).not.toHaveBeenCalled();
+    expect(result.mountPoint).toBe(mountPoint);
+    expect(result.serialDevice).toBeNull();
+  });
+});
+
+describe('flashFleet', () => {
+  let rootDir;
+  let firmwareDir;
+  let firmwarePath;
+  let timers;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    serialPorts.length = 0;
+    timers = [];
+    rootDir = await createTempDir('fleet-root-');
+    firmwareDir = await createTempDir('fleet-fw-');
+    firmwarePath = path.join(firmwareDir, 'app.uf2');
+    await fs.writeFile(firmwarePath, convertToUf2(Buffer.alloc(512, 1), 'bin'));
+  });
+
+  afterEach(async () => {
+    timers.forEach((timer) => clearInterval(timer));
+    await cleanupTempDir(rootDir);
+    await cleanupTempDir(firmwareDir);
+  });
+
+  function addBoard(serialNumber, index) {
+    serialPorts.push({ ...PICO_PORT, path: `/dev/ttyACM${index}`, serialNumber });
+  }
+
+  // Each picotool reboot mounts a separate drive for the addressed board.
+  function simulateFleet({ failing = [] } = {}) {
+    execa.mockImplementation(async (command, args) => {
+      const serialNumber = args[args.indexOf('--ser') + 1];
+      if (failing.includes(serialNumber)) {
+        throw new Error(`No accessible RP-series devices in BOOTSEL mode were found with serial number ${serialNumber}.`);
+      }
+      const port = serialPorts.find((candidate) => candidate.serialNumber === serialNumber);
+      serialPorts.splice(serialPorts.indexOf(port), 1);
+      const mountPoint = path.join(rootDir, `RPI-RP2-${serialNumber}`);
+      await fs.ensureDir(mountPoint);
+      await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), 'Board-ID: RPI-RP2\n');
+      const timer = setInterval(async () => {
+        if (await fs.pathExists(path.join(mountPoint, 'app.uf2'))) {
+          clearInterval(timer);
+          await fs.remove(mountPoint);
+          serialPorts.push(port);
+        }
+      }, 20);
+      timers.push(timer);
+      return { stdout: '' };
+    });
+  }
+
+  it('flashes every board and reports a summary', async () => {
+    ['A1', 'A2', 'A3'].forEach(addBoard);
+    simulateFleet();
+    const stages = [];
+
+    const summary = await flashFleet(firmwarePath, {
+      all: true,
+      concurrency: 2,
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      reconnectTimeout: 3000,
+      onProgress: (event) => stages.push(`${event.device.serialNumber}:${event.stage}`)
+    });
+
+    expect(summary.succeeded).toBe(3);
+    expect(summary.failed).toBe(0);
+    expect(summary.results.map((entry) => entry.device.serialNumber)).toEqual(['A1', 'A2', 'A3']);
+    expect(execa).toHaveBeenCalledTimes(3);
+    expect(stages.filter((stage) => stage.endsWith(':done'))).toHaveLength(3);
+  });
+
+  it('filters boards by serial number pattern and records failures', async () => {
+    ['E660-1', 'E660-2', 'B000-1'].forEach(addBoard);
+    simulateFleet({ failing: ['E660-2'] });
+
+    const summary = await flashFleet(firmwarePath, {
+      serialPattern: 'e660*',
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      reconnectTimeout: 3000
+    });
+
+    expect(summary.results.map((entry) => entry.device.serialNumber)).toEqual(['E660-1', 'E660-2']);
+    expect(summary.succeeded).toBe(1);
+    expect(summary.failed).toBe(1);
+    expect(summary.results[1].error).toContain('No accessible RP-series devices');
+  });
+
+  it('reboots one board at a time so every drive is matched to its own board', async () => {
+    addBoard('SLOW', 0);
+    addBoard('FAST', 1);
+    simulateFleet();
+    const reboot = execa.getMockImplementation();
+    // SLOW's drive takes a while to appear; FAST's appears at once. Rebooting
+    // both together would let SLOW claim FAST's drive.
+    execa.mockImplementation(async (command, args) => {
+      if (args.includes('SLOW')) {
+        setTimeout(() => reboot(command, args), 150);
+        return { stdout: '' };
+      }
+      return reboot(command, args);
+    });
+
+    const summary = await flashFleet(firmwarePath, {
+      all: true,
+      concurrency: 2,
+      searchRoots: [rootDir],
+      mountTimeout: 3000,
+      reconnectTimeout: 3000
+    });
+
+    expect(summary.succeeded).toBe(2);
+    for (const { device, result } of summary.results) {
+      expect(result.mountPoint).toBe(path.join(rootDir, `RPI-RP2-${device.serialNumber}`));
+    }
+    await expect(flashFleet(firmwarePath, { all: true, serialNumber: 'SLOW' })).rejects.toThrow(
+      'not a single serial number'
+    );
+  });
+
+  it('requires a selection and at least one match', async () => {
+    addBoard('A1', 0);
+
+    await expect(flashFleet(firmwarePath, { searchRoots: [rootDir] })).rejects.toThrow(
+      'needs either all devices or a serial number pattern'
+    );
+    await expect(flashFleet(firmwarePath, { serialPattern: 'ZZ*', searchRoots: [rootDir] })).rejects.toThrow(
+      'No matching devices found'
+    );
+  });
+});
@@ -0,0 +1,355 @@
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+const RAW_REPL_BANNER = 'raw REPL; CTRL-B to exit\r\n';
+
+// Emulates the raw REPL side of a MicroPython board. `exec` receives each
+// submitted program and returns { stdout, stderr }.
+class FakeMicropythonDevice {
+  constructor(options = {}) {
+    this.rawPaste = options.rawPaste ?? true;
+    this.windowSize = options.windowSize ?? 32;
+    this.exec = options.exec || (() => ({ stdout: '', stderr: '' }));
+    this.onSoftReset = options.onSoftReset || (() => '');
+    this.mode = 'friendly';
+    this.code = [];
+    this.windowUsed = 0;
+    this.programs = [];
+    this.received = [];
+    this.port = null;
+  }
+
+  attach(port) {
+    this.port = port;
+  }
+
+  send(data) {
+    const chunk = Buffer.from(data);
+    setImmediate(() => this.port && this.port.emit('data', chunk));
+  }
+
+  // A program can ask to keep running (`hang: true`) until it is interrupted
+  // with Ctrl-C, which ends it with a KeyboardInterrupt traceback.
+  run() {
+    const code = Buffer.from(this.code).toString('utf8');
+    this.code = [];
+    this.programs.push(code);
+    const { stdout = '', stderr = '', hang = false } = this.exec(code) || {};
+    if (hang) {
+      this.mode = 'running';
+      return stdout;
+    }
+    return `${stdout}\x04${stderr}\x04>`;
+  }
+
+  receive(bytes) {
+    this.received.push(...bytes);
+    for (const byte of bytes) {
+      this.receiveByte(byte);
+    }
+  }
+
+  receiveByte(byte) {
+    if (this.mode === 'running') {
+      if (byte === 0x03) {
+        this.mode = 'raw';
+        this.send('\x04Traceback (most recent call last):\r\nKeyboardInterrupt: \r\n\x04>');
+      }
+      return;
+    }
+
+    if (this.mode === 'paste') {
+      if (byte === 0x04) {
+        this.mode = 'raw';
+        this.send(`\x04${this.run()}`);
+        return;
+      }
+      this.code.push(byte);
+      this.windowUsed += 1;
+      if (this.windowUsed === this.windowSize) {
+        this.windowUsed = 0;
+        this.send([0x01]);
+      }
+      return;
+    }
+
+    if (this.mode === 'friendly') {
+      if (byte === 0x01) {
+        this.mode = 'raw';
+        this.code = [];
+        this.send(`${RAW_REPL_BANNER}>`);
+      } else if (byte === 0x03) {
+        this.send('\r\n>>> ');
+      } else if (byte === 0x04) {
+        this.send(`MPY: soft reboot\r\n${this.onSoftReset()}`);
+      }
+      return;
+    }
+
+    switch (byte) {
+      case 0x01:
+        this.code = [];
+        this.send(`${RAW_REPL_BANNER}>`);
+        break;
+      case 0x02:
+        this.mode = 'friendly';
+        this.send('\r\n>>> ');
+        break;
+      case 0x03:
+        this.code = [];
+        break;
+      case 0x04:
+        if (this.code.length === 0) {
+          this.send(`OK\r\nMPY: soft reboot\r\n${RAW_REPL_BANNER}>`);
+        } else {
+          this.send(`OK${this.run()}`);
+        }
+        break;
+      default:
+        this.code.push(byte);
+        if (this.code.length === 3 && this.code[0] === 0x05 && this.code[1] === 0x41 && this.code[2] === 0x01) {
+          this.code = [];
+          if (this.rawPaste) {
+            const window = Buffer.alloc(2);
+            window.writeUInt16LE(this.windowSize, 0);
+            this.mode = 'paste';
+            this.windowUsed = 0;
+            this.send(Buffer.concat([Buffer.from('R\x01'), window]));
+          } else {
+            this.send('R\x00');
+          }
+        }
+    }
+  }
+}
+
+// Stand-in for the serialport SerialPort class, wired to fake devices by path.
+class FakeSerialPort extends EventEmitter {
+  constructor(options) {
+    super();
+    this.path = options.path;
+    this.baudRate = options.baudRate;
+    this.isOpen = false;
+    this.device = null;
+  }
+
+  open(callback) {
+    const device = FakeSerialPort.devices.get(this.path);
+    if (!device) {
+      setImmediate(() => callback(new Error(`Error: No such file or directory, cannot open ${this.path}`)));
+      return;
+    }
+    this.device = device;
+    device.attach(this);
+    this.isOpen = true;
+    setImmediate(() => callback(null));
+  }
+
+  write(data, callback) {
+    this.device.receive(Buffer.from(data));
+    if (callback) {
+      setImmediate(() => callback(null));
+    }
+    return true;
+  }
+
+  drain(callback) {
+    setImmediate(() => callback(null));
+  }
+
+  close(callback) {
+    this.isOpen = false;
+    setImmediate(() => {
+      this.emit('close');
+      if (callback) {
+        callback(null);
+      }
+    });
+  }
+}
+
+FakeSerialPort.devices = new Map();
+FakeSerialPort.list = async () => [];
+
+function pyLiteral(code, pattern) {
+  const match = code.match(pattern);
+  return match ? JSON.parse(match[1]) : null;
+}
+
+// Interprets the filesystem snippets sent by lib/micropython.js against an
+// in-memory tree: `files` maps absolute paths to Buffers, `dirs` is a Set.
+// What the getMicropythonInfo snippet prints on a Pico W running v1.23.0.
+const FAKE_BOARD_INFO = {
+  name: 'micropython',
+  version: '1.23.0',
+  mpy: 4870,
+  platform: 'rp2',
+  pythonVersion: '3.4.0; MicroPython v1.23.0 on 2024-06-02',
+  uname: {
+    sysname: 'rp2',
+    nodename: 'rp2',
+    release: '1.23.0',
+    version: 'v1.23.0 on 2024-06-02 (GNU 13.2.0 MinSizeRel)',
+    machine: 'Raspberry Pi Pico W with RP2040'
+  },
+  uniqueId: 'e6614c311b7e6b2f',
+  memFree: 171520,
+  memAlloc: 20480
+};
+
+function createFakeFilesystem(initial = {}) {
+  const files = new Map(Object.entries(initial).map(([name, data]) => [name, Buffer.from(data)]));
+  const dirs = new Set(['/']);
+  let writing = null;
+
+  const normalize = (remotePath) => (remotePath.startsWith('/') ? remotePath : `/${remotePath}`);
+  const parentOf = (remotePath) => remotePath.slice(0, remotePath.lastIndexOf('/')) || '/';
+  for (const name of files.keys()) {
+    for (let dir = parentOf(name); dir !== '/'; dir = parentOf(dir)) {
+      dirs.add(dir);
+    }
+  }
+
+  const enoent = { stderr: 'Traceback (most recent call last):\r\nOSError: [Errno 2] ENOENT\r\n' };
+
+  function exec(code) {
+    const statPath = pyLiteral(code, /os\.stat\(("(?:[^"\\]|\\.)*")\)/);
+    if (statPath !== null) {
+      const target = normalize(statPath).replace(/(.)\/$/, '$1');
+      if (dirs.has(target)) {
+        return { stdout: '16384 0\r\n' };
+      }
+      if (files.has(target)) {
+        return { stdout: `32768 ${files.get(target).length}\r\n` };
+      }
+      return { stdout: 'none\r\n' };
+    }
+
+    const mkdirPaths = pyLiteral(code, /_rmmk\((\[.*\])\)\ndel/);
+    if (mkdirPaths !== null) {
+      mkdirPaths.forEach((dir) => dirs.add(normalize(dir)));
+      return { stdout: '' };
+    }
+
+    const removePath = pyLiteral(code, /os\.remove\(("(?:[^"\\]|\\.)*")\)$/);
+    if (removePath !== null) {
+      files.delete(normalize(removePath));
+      return { stdout: '' };
+    }
+
+    const rename = code.match(/os\.rename\(("(?:[^"\\]|\\.)*"),("(?:[^"\\]|\\.)*")\)/);
+    if (rename) {
+      const from = normalize(JSON.parse(rename[1]));
+      const to = normalize(JSON.parse(rename[2]));
+      const move = (entry) => (entry === from || entry.startsWith(`${from}/`) ? to + entry.slice(from.length) : entry);
+      for (const [name, data] of [...files]) {
+        files.delete(name);
+        files.set(move(name), data);
+      }
+      for (const dir of [...dirs]) {
+        dirs.delete(dir);
+        dirs.add(move(dir));
+      }
+      return { stdout: '' };
+    }
+
+    if (code.includes('print(json.dumps(_rmi))')) {
+      return { stdout: `${JSON.stringify(FAKE_BOARD_INFO)}\r\n` };
+    }
+
+    if (/os\.statvfs\(/.test(code)) {
+      return { stdout: '4096 4096 352 300 300\r\n' };
+    }
+
+    const removeTree = pyLiteral(code, /_rmrm\(("(?:[^"\\]|\\.)*")\)\ndel/);
+    if (removeTree !== null) {
+      const root = normalize(removeTree);
+      [...files.keys()].filter((name) => name.startsWith(`${root}/`)).forEach((name) => files.delete(name));
+      [...dirs].filter((dir) => dir === root || dir.startsWith(`${root}/`)).forEach((dir) => dirs.delete(dir));
+      return { stdout: '' };
+    }
+
+    const writePath = pyLiteral(code, /open\(("(?:[^"\\]|\\.)*"),'wb'\)/);
+    if (writePath !== null) {
+      const target = normalize(writePath);
+      if (!dirs.has(parentOf(target))) {
+        return enoent;
+      }
+      writing = { path: target, chunks: [] };
+      return { stdout: '' };
+    }
+
+    const chunk = pyLiteral(code, /_rmw\(_rmd\(("(?:[^"\\]|\\.)*")\)\)/);
+    if (chunk !== null) {
+      writing.chunks.push(Buffer.from(chunk, 'base64'));
+      return { stdout: '' };
+    }
+
+    if (code.startsWith('_rmf.close()')) {
+      files.set(writing.path, Buffer.concat(writing.chunks));
+      writing = null;
+      return { stdout: '' };
+    }
+
+    const readPath = pyLiteral(code, /open\(("(?:[^"\\]|\\.)*"),'rb'\)/);
+    if (readPath !== null) {
+      const data = files.get(normalize(readPath));
+      if (!data) {
+        return enoent;
+      }
+      const lines = [];
+      for (let offset = 0; offset < data.length; offset += 512) {
+        lines.push(`${data.subarray(offset, offset + 512).toString('base64')}\n`);
+      }
+      return { stdout: lines.join('') };
+    }
+
+    const hashRoot = pyLiteral(code, /_rmhash\(("(?:[^"\\]|\\.)*")\)\ndel/);
+    if (hashRoot !== null) {
+      const root = normalize(hashRoot).replace(/(.)\/$/, '$1');
+      const base = root === '/' ? '/' : `${root}/`;
+      const lines = [...dirs, ...files.keys()]
+        .filter((entry) => entry.startsWith(base) && entry !== root)
+        .sort()
+        .map((entry) => (dirs.has(entry)
+          ? `d - ${entry}\r\n`
+          : `f ${crypto.createHash('sha256').update(files.get(entry)).digest('hex')} ${entry}\r\n`));
+      return { stdout: lines.join('') };
+    }
+
+    const walk = code.match(/_rmwalk\(("(?:[^"\\]|\\.)*"),([01])\)\ndel/);
+    if (walk) {
+      const walkPath = JSON.parse(walk[1]);
+      const recursive = walk[2] === '1';
+      const root = normalize(walkPath).replace(/(.)\/$/, '$1');
+      const lines = [];
+      const visit = (dir) => {
+        const base = dir === '/' ? '/' : `${dir}/`;
+        const children = [...dirs, ...files.keys()]
+          .filter((entry) => entry !== dir && entry.startsWith(base) && !entry.slice(base.length).includes('/'))
+          .sort();
+        for (const child of children) {
+          if (dirs.has(child)) {
+            lines.push(`d 0 ${child}\r\n`);
+            if (recursive) {
+              visit(child);
+            }
+          } else {
+            lines.push(`f ${files.get(child).length} ${child}\r\n`);
+          }
+        }
+      };
+      if (!dirs.has(root)) {
+        return enoent;
+      }
+      visit(root);
+      return { stdout: lines.join('') };
+    }
+
+    return null;
+  }
+
+  return { files, dirs, exec };
+}
+
+export { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem, FAKE_BOARD_INFO };
@@ -7,12 +7,29 @@ vi.mock('execa', () => ({
   execa: vi.fn()
 }));
 
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
 import { execa } from 'execa';
 import {
   uploadToMicropython,
   downloadFromMicropython,
-  runMicropythonRepl
+  runMicropythonRepl,
+  runMicropythonScript,
+  listMicropythonFiles,
+  getMicropythonTree,
+  removeMicropythonPath,
+  makeMicropythonDirectory,
+  moveMicropythonPath,
+  readMicropythonFile,
+  getMicropythonDiskUsage,
+  getMicropythonInfo,
+  addMicropythonInfo,
+  MicroPythonSession
 } from '../lib/micropython.js';
+import { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem } from './helpers/fakeMicropython.js';
 
 const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
 
@@ -135,6 +152,40 @@ describe('micropython wrapper', () => {
       ).rejects.toThrow('mpremote is not installed or not available on the PATH');
     });
 
+    it('uploads precompiled .mpy files when compile is set', async () => {
+      const sourceDir = path.join(tempDir, 'app');
+      await fs.ensureDir(sourceDir);
+      await fs.writeFile(path.join(sourceDir, 'main.py'), 'import util\n');
+      await fs.writeFile(path.join(sourceDir, 'util.py'), 'x = 1\n');
+      const uploaded = [];
+      execa.mockImplementation(async (command, args) => {
+        if (command === 'mpy-cross') {
+          if (args[0] !== '--version') {
+            await fs.writeFile(args[args.indexOf('-o') + 1], 'compiled');
+          }
+          return { stdout: 'mpy-cross emitting mpy v6.3' };
+        }
+        const source = args[args.length - 2];
+        const names = (await fs.stat(source)).isDirectory() ? (await fs.readdir(source)).sort() : [path.basename(source)];
+        uploaded.push(...names, args[args.length - 1]);
+        return { stdout: '' };
+      });
+
+      const dirResult = await uploadToMicropython('/dev/ttyACM0', sourceDir, '/', {
+        compile: true,
+        cacheDir: path.join(tempDir, 'cache')
+      });
+      const fileResult = await uploadToMicropython('/dev/ttyACM0', path.join(sourceDir, 'util.py'), 'lib/util.py', {
+        compile: true,
+        cacheDir: path.join(tempDir, 'cache')
+      });
+
+      expect(uploaded).toEqual(['main.py', 'util.mpy', ':/', 'util.mpy', ':lib/util.mpy']);
+      expect(dirResult.compiled).toEqual(['util.py']);
+      expect(fileResult.target).toBe(':lib/util.mpy');
+      expect(fileResult.compiled).toEqual(['util.py']);
+    });
+
     it('throws when serial path is missing', async () => {
       const sourceFile = path.join(tempDir, 'test.py');
       await fs.writeFile(sourceFile, '');
@@ -224,6 +275,20 @@ describe('micropython wrapper', () => {
       expect(result).toBe('Hello World');
     });
 
+    it('runs several snippets in one native session even with the mpremote backend', async () => {
+      const device = new FakeMicropythonDevice({
+        exec: (code) => ({ stdout: code.startsWith('print') ? '2\r\n' : '' })
+      });
+      FakeSerialPort.devices.set('/dev/ttyACM0', device);
+
+      const result = await runMicropythonRepl('/dev/ttyACM0', { code: ['x = 1', 'print(x + 1)'] });
+
+      expect(result).toBe('2');
+      expect(device.programs).toEqual(['x = 1', 'print(x + 1)']);
+      expect(execa).not.toHaveBeenCalled();
+      FakeSerialPort.devices.delete('/dev/ttyACM0');
+    });
+
     it('opens interactive repl with stdio inherit when no code provided', async () => {
       execa.mockResolvedValue({ stdout: '' });
 
@@ -276,4 +341,435 @@ describe('micropython wrapper', () => {
       ).rejects.toThrow('mpremote is not installed or not available on the PATH');
     });
   });
+
+  describe('native backend', () => {
+    let filesystem;
+
+    beforeEach(() => {
+      FakeSerialPort.devices.clear();
+      filesystem = createFakeFilesystem({ '/main.py': 'print("on device")\n' });
+      FakeSerialPort.devices.set('/dev/ttyACM0', new FakeMicropythonDevice({
+        exec: (code) => filesystem.exec(code) || { stdout: '' }
+      }));
+    });
+
+    it('uploads a file over the raw REPL without mpremote', async () => {
+      const sourceFile = path.join(tempDir, 'boot.py');
+      const contents = Buffer.alloc(5000);
+      contents.forEach((_, index) => { contents[index] = index & 0xFF; });
+      await fs.writeFile(sourceFile, contents);
+
+      const result = await uploadToMicropython('/dev/ttyACM0', sourceFile, 'boot.py', { backend: 'native' });
+
+      expect(execa).not.toHaveBeenCalled();
+      expect(result).toEqual({ source: sourceFile, target: ':boot.py' });
+      expect(filesystem.files.get('/boot.py').equals(contents)).toBe(true);
+    });
+
+    it('copies into an existing remote directory and uploads directories recursively', async () => {
+      const sourceDir = path.join(tempDir, 'lib');
+      await fs.ensureDir(path.join(sourceDir, 'drivers'));
+      await fs.writeFile(path.join(sourceDir, 'util.py'), 'x = 1\n');
+      await fs.writeFile(path.join(sourceDir, 'drivers', 'led.py'), 'y = 2\n');
+
+      await uploadToMicropython('/dev/ttyACM0', sourceDir, '/', { backend: 'native' });
+
+      expect(filesystem.dirs.has('/lib/drivers')).toBe(true);
+      expect(filesystem.files.get('/lib/util.py').toString()).toBe('x = 1\n');
+      expect(filesystem.files.get('/lib/drivers/led.py').toString()).toBe('y = 2\n');
+    });
+
+    it('downloads files and directory trees', async () => {
+      filesystem.dirs.add('/lib');
+      filesystem.files.set('/lib/util.py', Buffer.from('x = 1\n'));
+
+      const file = await downloadFromMicropython('/dev/ttyACM0', '/main.py', tempDir, { backend: 'native' });
+      const tree = await downloadFromMicropython('/dev/ttyACM0', '/lib', path.join(tempDir, 'lib-copy'), {
+        backend: 'native',
+        recursive: true
+      });
+
+      expect(file.destination).toBe(path.join(tempDir, 'main.py'));
+      expect(await fs.readFile(file.destination, 'utf8')).toBe('print("on device")\n');
+      expect(await fs.readFile(path.join(tree.destination, 'util.py'), 'utf8')).toBe('x = 1\n');
+    });
+
+    it('refuses to download a directory without the recursive option', async () => {
+      filesystem.dirs.add('/lib');
+
+      await expect(
+        downloadFromMicropython('/dev/ttyACM0', '/lib', path.join(tempDir, 'lib'), { backend: 'native' })
+      ).rejects.toThrow('is a directory. Use the recursive option');
+      await expect(
+        downloadFromMicropython('/dev/ttyACM0', '/missing.py', tempDir, { backend: 'native' })
+      ).rejects.toThrow('Remote path does not exist: :/missing.py');
+    });
+
+    it('executes code and returns its output', async () => {
+      FakeSerialPort.devices.set('/dev/ttyACM0', new FakeMicropythonDevice({
+        exec: (code) => ({ stdout: code === 'print(1+1)' ? '2\r\n' : '' })
+      }));
+
+      const result = await runMicropythonRepl('/dev/ttyACM0', { code: 'print(1+1)', backend: 'native' });
+
+      expect(result).toBe('2');
+      expect(execa).not.toHaveBeenCalled();
+    });
+
+    it('rejects unknown backends', async () => {
+      await expect(
+        runMicropythonRepl('/dev/ttyACM0', { code: '1', backend: 'webrepl' })
+      ).rejects.toThrow('Unknown MicroPython backend: webrepl');
+    });
+  });
+
+  describe('MicroPythonSession', () => {
+    let filesystem;
+    let device;
+    let session;
+
+    beforeEach(async () => {
+      FakeSerialPort.devices.clear();
+      filesystem = createFakeFilesystem({ '/main.py': 'print(1)\n', '/lib/util.py': 'x = 1\n' });
+      const globals = {};
+      device = new FakeMicropythonDevice({
+        exec: (code) => {
+          const handled = filesystem.exec(code);
+          if (handled) {
+            return handled;
+          }
+          const assignment = code.match(/^(\w+) = (\d+)$/);
+          if (assignment) {
+            globals[assignment[1]] = Number(assignment[2]);
+            return { stdout: '' };
+          }
+          const dumped = code.match(/json\.dumps\((\w+)\)/);
+          if (dumped && dumped[1] in globals) {
+            return { stdout: `${JSON.stringify(globals[dumped[1]])}\r\n` };
+          }
+          return { stderr: `NameError: name '${dumped ? dumped[1] : code}' isn't defined\r\n` };
+        }
+      });
+      FakeSerialPort.devices.set('/dev/ttyACM0', device);
+      session = await MicroPythonSession.open('/dev/ttyACM0');
+    });
+
+    afterEach(async () => {
+      await session.close();
+    });
+
+    it('keeps interpreter state between calls on one connection', async () => {
+      await session.exec('answer = 42');
+
+      expect(await session.eval('answer')).toBe(42);
+      await expect(session.eval('missing')).rejects.toThrow("NameError: name 'missing' isn't defined");
+      expect(device.programs[0]).toBe('answer = 42');
+    });
+
+    it('lists, creates and removes remote paths', async () => {
+      await session.mkdir(':/data/logs');
+      await session.put(await writeLocal('a.txt', 'hello'), '/data/logs/');
+
+      expect(await session.ls('/')).toEqual([
+        { name: 'data', path: '/data', type: 'dir', size: 0 },
+        { name: 'lib', path: '/lib', type: 'dir', size: 0 },
+        { name: 'main.py', path: '/main.py', type: 'file', size: 9 }
+      ]);
+      expect((await session.ls('/data', { recursive: true })).map((entry) => entry.path)).toEqual([
+        '/data/logs',
+        '/data/logs/a.txt'
+      ]);
+      expect(await session.stat('/data/logs/a.txt')).toEqual({ type: 'file', size: 5 });
+
+      await expect(session.rm('/data')).rejects.toThrow('Remote directory :/data is not empty');
+      await session.rm('/data', { recursive: true });
+      await session.rm('main.py');
+      expect(await session.stat('/data')).toBeNull();
+      expect(filesystem.files.has('/main.py')).toBe(false);
+      await expect(session.rm('/nope')).rejects.toThrow('Remote path does not exist: :/nope');
+    });
+
+    it('transfers files with put and get', async () => {
+      const result = await session.put(await writeLocal('boot.py', 'import gc\n'), ':');
+      const copy = await session.get('/lib', path.join(tempDir, 'lib'), { recursive: true });
+
+      expect(result.target).toBe(':/boot.py');
+      expect(filesystem.files.get('/boot.py').toString()).toBe('import gc\n');
+      expect(await fs.readFile(path.join(copy.destination, 'util.py'), 'utf8')).toBe('x = 1\n');
+    });
+
+    it('is reused by the transfer helpers when passed as an option', async () => {
+      const sourceFile = await writeLocal('app.py', 'run()\n');
+
+      await uploadToMicropython('/dev/ttyACM0', sourceFile, '/app.py', { session });
+      await downloadFromMicropython('/dev/ttyACM0', '/app.py', path.join(tempDir, 'copy.py'), { session });
+
+      expect(execa).not.toHaveBeenCalled();
+      expect(await fs.readFile(path.join(tempDir, 'copy.py'), 'utf8')).toBe('run()\n');
+    });
+
+    async function writeLocal(name, contents) {
+      const filePath = path.join(tempDir, name);
+      await fs.writeFile(filePath, contents);
+      return filePath;
+    }
+  });
+
+  describe('remote filesystem helpers', () => {
+    let filesystem;
+
+    beforeEach(() => {
+      filesystem = createFakeFilesystem({
+        '/main.py': 'import app\n',
+        '/lib/app.py': 'run()\n',
+        '/lib/drivers/led.py': 'LED = 25\n'
+      });
+      FakeSerialPort.devices.clear();
+      FakeSerialPort.devices.set('/dev/ttyACM0', new FakeMicropythonDevice({
+        exec: (code) => filesystem.exec(code) || { stdout: '' }
+      }));
+    });
+
+    it('lists directories with sizes, optionally recursively', async () => {
+      const top = await listMicropythonFiles('/dev/ttyACM0', '/', { backend: 'native' });
+      const nested = await listMicropythonFiles('/dev/ttyACM0', 'lib', { backend: 'native', recursive: true });
+
+      expect(top).toEqual({
+        path: ':/',
+        entries: [
+          { name: 'lib', path: '/lib', type: 'dir', size: 0 },
+          { name: 'main.py', path: '/main.py', type: 'file', size: 11 }
+        ]
+      });
+      expect(nested.path).toBe(':lib');
+      expect(nested.entries.map((entry) => entry.path)).toEqual(['/lib/app.py', '/lib/drivers', '/lib/drivers/led.py']);
+      await expect(listMicropythonFiles('/dev/ttyACM0', '/nope', { backend: 'native' })).rejects.toThrow(
+        'Remote path does not exist: :/nope'
+      );
+    });
+
+    it('builds a nested tree', async () => {
+      const tree = await getMicropythonTree('/dev/ttyACM0', ':/', { backend: 'native' });
+
+      expect(tree.path).toBe('/');
+      expect(tree.children.map((child) => child.name)).toEqual(['lib', 'main.py']);
+      expect(tree.children[0].children[1]).toEqual({
+        name: 'drivers',
+        path: '/lib/drivers',
+        type: 'dir',
+        size: 0,
+        children: [{ name: 'led.py', path: '/lib/drivers/led.py', type: 'file', size: 9 }]
+      });
+      await expect(getMicropythonTree('/dev/ttyACM0', '/main.py', { backend: 'native' })).rejects.toThrow(
+        'Remote path :/main.py is a file.'
+      );
+    });
+
+    it('runs the helpers through mpremote exec by default', async () => {
+      execa.mockImplementation(async (command, args) => {
+        const { stdout = '', stderr = '' } = filesystem.exec(args[3]) || {};
+        if (stderr) {
+          throw Object.assign(new Error('Command failed with exit code 1'), { exitCode: 1, stderr });
+        }
+        return { stdout };
+      });
+
+      const listing = await listMicropythonFiles('/dev/ttyACM0', '/');
+      await makeMicropythonDirectory('/dev/ttyACM0', '/data', { mpremotePath: '/opt/mpremote' });
+
+      expect(listing.entries.map((entry) => entry.name)).toEqual(['lib', 'main.py']);
+      expect(filesystem.dirs.has('/data')).toBe(true);
+      expect(execa).toHaveBeenLastCalledWith(
+        '/opt/mpremote', ['connect', '/dev/ttyACM0', 'exec', expect.stringContaining('_rmmk')], { timeout: undefined }
+      );
+      expect(FakeSerialPort.devices.get('/dev/ttyACM0').programs).toEqual([]);
+      await expect(listMicropythonFiles('/dev/ttyACM0', '/', { backend: 'serial' })).rejects.toThrow(
+        'Unknown MicroPython backend: serial'
+      );
+    });
+
+    it('creates, moves and removes paths', async () => {
+      expect(await makeMicropythonDirectory('/dev/ttyACM0', '/data/logs', { backend: 'native' })).toEqual({
+        path: ':/data/logs'
+      });
+      expect(await moveMicropythonPath('/dev/ttyACM0', 'main.py', '/data', { backend: 'native' })).toEqual({
+        source: ':main.py',
+        target: ':/data/main.py'
+      });
+      expect(await removeMicropythonPath('/dev/ttyACM0', '/lib', { backend: 'native', recursive: true })).toEqual({
+        path: ':/lib',
+        type: 'dir'
+      });
+
+      expect([...filesystem.files.keys()]).toEqual(['/data/main.py']);
+      expect(filesystem.dirs.has('/data/logs')).toBe(true);
+      await expect(removeMicropythonPath('/dev/ttyACM0', '/data', { backend: 'native' })).rejects.toThrow(
+        'is not empty'
+      );
+    });
+
+    it('reads files and reports filesystem usage', async () => {
+      const file = await readMicropythonFile('/dev/ttyACM0', '/lib/app.py', { backend: 'native' });
+      const usage = await getMicropythonDiskUsage('/dev/ttyACM0', '/', { backend: 'native' });
+
+      expect(file).toEqual({ path: ':/lib/app.py', size: 6, encoding: 'utf8', data: 'run()\n' });
+      const binary = await readMicropythonFile('/dev/ttyACM0', '/lib/app.py', {
+        backend: 'native',
+        encoding: 'base64'
+      });
+      expect(Buffer.from(binary.data, 'base64').toString()).toBe('run()\n');
+      await expect(readMicropythonFile('/dev/ttyACM0', '/lib', { backend: 'native' })).rejects.toThrow(
+        'Remote path :/lib is a directory'
+      );
+      expect(usage).toEqual({
+        path: ':/',
+        blockSize: 4096,
+        totalBytes: 352 * 4096,
+        freeBytes: 300 * 4096,
+        usedBytes: 52 * 4096
+      });
+    });
+  });
+
+  describe('getMicropythonInfo', () => {
+    beforeEach(() => {
+      const filesystem = createFakeFilesystem();
+      FakeSerialPort.devices.clear();
+      FakeSerialPort.devices.set('/dev/ttyACM0', new FakeMicropythonDevice({
+        exec: (code) => filesystem.exec(code) || { stdout: '' }
+      }));
+    });
+
+    it('reports firmware, board, memory and filesystem details', async () => {
+      const info = await getMicropythonInfo('/dev/ttyACM0');
+
+      expect(info).toMatchObject({
+        serialPath: '/dev/ttyACM0',
+        implementation: { name: 'micropython', version: '1.23.0', mpy: { version: '6.3', arch: 'armv6m' } },
+        platform: 'rp2',
+        board: 'Raspberry Pi Pico W with RP2040',
+        uniqueId: 'e6614c311b7e6b2f',
+        memory: { free: 171520, allocated: 20480, total: 192000 },
+        filesystem: { blockSize: 4096, totalBytes: 352 * 4096 }
+      });
+      expect(info.uname.release).toBe('1.23.0');
+    });
+
+    it('merges the details into serial devices and records boards that do not answer', async () => {
+      const result = await addMicropythonInfo({
+        devices: [
+          { id: '/dev/ttyACM0', type: 'serial', path: '/dev/ttyACM0', productId: '0005' },
+          { id: '/dev/ttyACM1', type: 'serial', path: '/dev/ttyACM1', productId: '0005' },
+          { id: 'RPI-RP2', type: 'storage', mountPoint: '/Volumes/RPI-RP2' },
+          { id: '/dev/ttyACM2', type: 'serial', path: '/dev/ttyACM2', productId: '000a' }
+        ],
+        errors: []
+      });
+
+      expect(result.devices[0].micropython.uniqueId).toBe('e6614c311b7e6b2f');
+      expect(result.devices[0].micropython).not.toHaveProperty('serialPath');
+      expect(result.devices[0].chip).toBe('RP2040');
+      expect(result.devices[1].micropython).toBeNull();
+      expect(result.devices[2]).not.toHaveProperty('micropython');
+      // Pico SDK programs are never interrupted by a raw REPL probe.
+      expect(result.devices[3]).not.toHaveProperty('micropython');
+      expect(result.errors).toEqual([
+        { source: 'micropython', error: { message: expect.stringContaining('/dev/ttyACM1') } }
+      ]);
+    });
+  });
+
+  describe('runMicropythonScript', () => {
+    let scriptPath;
+
+    beforeEach(async () => {
+      scriptPath = path.join(tempDir, 'blink.py');
+      await fs.writeFile(scriptPath, 'print("on")\n');
+      FakeSerialPort.devices.clear();
+    });
+
+    function addBoard(run) {
+      const device = new FakeMicropythonDevice({
+        exec: (code) => (code.startsWith('def _rmrun') ? run(code) : { stdout: `${device.status ?? 0}\r\n` })
+      });
+      FakeSerialPort.devices.set('/dev/ttyACM0', device);
+      return device;
+    }
+
+    it('streams output and reports a zero exit status', async () => {
+      const device = addBoard(() => ({ stdout: 'on\r\n' }));
+      const chunks = [];
+
+      const result = await runMicropythonScript('/dev/ttyACM0', scriptPath, {
+        backend: 'native',
+        onOutput: (chunk, stream) => chunks.push(`${stream}:${chunk}`)
+      });
+
+      expect(result.exitCode).toBe(0);
+      expect(chunks.join('')).toBe('stdout:on\r\n');
+      expect(device.programs[0]).toContain('_rmx=_rmrun("print(\\"on\\")\\n")');
+      expect(execa).not.toHaveBeenCalled();
+    });
+
+    it('reports sys.exit codes and tracebacks as exit statuses', async () => {
+      const device = addBoard(() => ({ stdout: '' }));
+      device.status = 3;
+      const failing = { stderr: 'Traceback (most recent call last):\r\nValueError: bad\r\n' };
+      const output = [];
+
+      const exited = await runMicropythonScript('/dev/ttyACM0', scriptPath, { backend: 'native', onOutput: () => {} });
+      addBoard(() => failing);
+      const crashed = await runMicropythonScript('/dev/ttyACM0', scriptPath, {
+        backend: 'native',
+        onOutput: (chunk, stream) => output.push(stream)
+      });
+
+      expect(exited.exitCode).toBe(3);
+      expect(crashed.exitCode).toBe(1);
+      expect(output).toContain('stderr');
+    });
+
+    it('interrupts the board with Ctrl-C when the timeout expires', async () => {
+      const device = addBoard(() => ({ stdout: 'working\r\n', hang: true }));
+
+      await expect(
+        runMicropythonScript('/dev/ttyACM0', scriptPath, { backend: 'native', timeout: 100, onOutput: () => {} })
+      ).rejects.toThrow('Script timed out after 100ms and was interrupted with Ctrl-C.');
+      expect(device.received).toContain(0x03);
+      expect(device.mode).toBe('friendly');
+      expect(device.programs.at(-1)).toBe("globals().pop('_rmx',None)\nglobals().pop('_rmrun',None)");
+    });
+
+    it('runs through mpremote and returns its exit code', async () => {
+      execa.mockResolvedValueOnce({ stdout: '' });
+      const ok = await runMicropythonScript('/dev/ttyACM0', scriptPath);
+      const failure = Object.assign(new Error('Command failed with exit code 1'), { exitCode: 1 });
+      execa.mockRejectedValueOnce(failure);
+      const failed = await runMicropythonScript('/dev/ttyACM0', scriptPath);
+
+      expect(execa).toHaveBeenCalledWith(
+        'mpremote',
+        ['connect', '/dev/ttyACM0', 'run', scriptPath],
+        { stdio: 'inherit', timeout: undefined }
+      );
+      expect(ok.exitCode).toBe(0);
+      expect(failed.exitCode).toBe(1);
+    });
+
+    it('sends Ctrl-C after mpremote is killed by the timeout', async () => {
+      const device = addBoard(() => ({}));
+      execa.mockRejectedValueOnce(Object.assign(new Error('timed out'), { timedOut: true }));
+
+      await expect(runMicropythonScript('/dev/ttyACM0', scriptPath, { timeout: 50 })).rejects.toThrow(
+        'Script timed out after 50ms'
+      );
+      expect(device.received).toEqual([0x0D, 0x03, 0x03]);
+    });
+
+    it('rejects missing scripts', async () => {
+      await expect(runMicropythonScript('/dev/ttyACM0', path.join(tempDir, 'nope.py'))).rejects.toThrow(
+        'Script not found'
+      );
+    });
+  });
 });
@@ -0,0 +1,176 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { installMicropythonPackages, resolveMicropythonPackages } from '../lib/mip.js';
+import { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+// Lays out a package the way micropython.org/pi/v2 does: a manifest under
+// package/py/<name>/<version>.json and files addressed by a short sha256.
+async function publish(indexDir, name, files, { version = 'latest', deps = [] } = {}) {
+  const hashes = [];
+  for (const [filePath, contents] of Object.entries(files)) {
+    const shortHash = crypto.createHash('sha256').update(contents).digest('hex').slice(0, 8);
+    await fs.outputFile(path.join(indexDir, 'file', shortHash.slice(0, 2), shortHash), contents);
+    hashes.push([filePath, shortHash]);
+  }
+  await fs.outputJson(path.join(indexDir, 'package', 'py', name, `${version}.json`), {
+    v: 1,
+    version: '1.0.0',
+    hashes,
+    deps
+  });
+}
+
+describe('installMicropythonPackages', () => {
+  let workDir;
+  let indexDir;
+  let cacheDir;
+  let filesystem;
+
+  beforeEach(async () => {
+    workDir = await createTempDir('mip-');
+    indexDir = path.join(workDir, 'index');
+    cacheDir = path.join(workDir, 'cache');
+    await publish(indexDir, 'ssd1306', { 'ssd1306.py': 'import framebuf\n' }, { deps: [['framebuf-ext', 'latest']] });
+    await publish(indexDir, 'framebuf-ext', { 'framebuf_ext/__init__.py': 'X = 1\n' });
+
+    filesystem = createFakeFilesystem();
+    const device = new FakeMicropythonDevice({ exec: (code) => filesystem.exec(code) || { stdout: '' } });
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', device);
+  });
+
+  afterEach(async () => {
+    vi.unstubAllGlobals();
+    await cleanupTempDir(workDir);
+  });
+
+  it('installs a package and its dependencies from a local mirror into /lib', async () => {
+    const lockfile = path.join(workDir, 'micropython.lock.json');
+
+    const result = await installMicropythonPackages('/dev/ttyACM0', ['ssd1306'], { index: indexDir, cacheDir, lockfile });
+
+    expect(result.target).toBe(':/lib');
+    expect(result.packages).toEqual([
+      { name: 'ssd1306', version: '1.0.0', files: ['/lib/ssd1306.py'] },
+      { name: 'framebuf-ext', version: '1.0.0', files: ['/lib/framebuf_ext/__init__.py'] }
+    ]);
+    expect(filesystem.files.get('/lib/ssd1306.py').toString()).toBe('import framebuf\n');
+    expect(filesystem.files.get('/lib/framebuf_ext/__init__.py').toString()).toBe('X = 1\n');
+
+    const lock = await fs.readJson(lockfile);
+    expect(lock.target).toBe('/lib');
+    expect(Object.keys(lock.packages)).toEqual(['framebuf-ext', 'ssd1306']);
+    expect(lock.packages.ssd1306.files[0].sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('reinstalls everything pinned in the lockfile offline', async () => {
+    const lockfile = path.join(workDir, 'micropython.lock.json');
+    await installMicropythonPackages('/dev/ttyACM0', ['ssd1306'], { index: indexDir, cacheDir, lockfile, target: ':/vendor' });
+    await fs.remove(indexDir);
+    filesystem.files.clear();
+
+    const result = await installMicropythonPackages('/dev/ttyACM0', [], { cacheDir, lockfile, offline: true });
+
+    expect(result.target).toBe(':/vendor');
+    expect(result.packages.map((entry) => entry.name)).toEqual(['framebuf-ext', 'ssd1306']);
+    expect(filesystem.files.get('/vendor/ssd1306.py').toString()).toBe('import framebuf\n');
+  });
+
+  it('reinstalls pinned github: versions from the lockfile', async () => {
+    const lockfile = path.join(workDir, 'micropython.lock.json');
+    const responses = {
+      'https://raw.githubusercontent.com/acme/drivers/v2/package.json': JSON.stringify({
+        urls: [['acme/bme280.py', 'bme280.py']],
+        version: '2.0'
+      }),
+      'https://raw.githubusercontent.com/acme/drivers/v2/bme280.py': 'class BME280: pass\n'
+    };
+    vi.stubGlobal('fetch', vi.fn(async (url) => (
+      responses[url] === undefined
+        ? { ok: false, status: 404 }
+        : { ok: true, status: 200, arrayBuffer: async () => Buffer.from(responses[url]) }
+    )));
+    await installMicropythonPackages('/dev/ttyACM0', ['github:acme/drivers@v2'], { cacheDir, lockfile });
+    filesystem.files.clear();
+
+    const result = await installMicropythonPackages('/dev/ttyACM0', [], { cacheDir, lockfile, offline: true });
+
+    expect(result.packages).toEqual([{ name: 'github:acme/drivers', version: '2.0', files: ['/lib/acme/bme280.py'] }]);
+    expect(filesystem.files.get('/lib/acme/bme280.py').toString()).toBe('class BME280: pass\n');
+    expect((await fs.readJson(lockfile)).packages['github:acme/drivers'].version).toBe('v2');
+  });
+
+  it('fetches github: packages and resolves their relative file URLs', async () => {
+    const responses = {
+      'https://raw.githubusercontent.com/acme/drivers/v2/package.json': JSON.stringify({
+        urls: [['acme/bme280.py', 'bme280.py']],
+        version: '2.0'
+      }),
+      'https://raw.githubusercontent.com/acme/drivers/v2/bme280.py': 'class BME280: pass\n'
+    };
+    const fetchMock = vi.fn(async (url) => (
+      responses[url] === undefined
+        ? { ok: false, status: 404 }
+        : { ok: true, status: 200, arrayBuffer: async () => Buffer.from(responses[url]) }
+    ));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const result = await installMicropythonPackages('/dev/ttyACM0', ['github:acme/drivers@v2'], { cacheDir });
+
+    expect(result.packages).toEqual([{ name: 'github:acme/drivers', version: '2.0', files: ['/lib/acme/bme280.py'] }]);
+    expect(filesystem.files.get('/lib/acme/bme280.py').toString()).toBe('class BME280: pass\n');
+    await expect(installMicropythonPackages('/dev/ttyACM0', ['github:acme/missing'], { cacheDir })).rejects.toThrow(
+      'Package not found: github:acme/missing'
+    );
+  });
+
+  it('rejects unknown packages, tampered files and downloads while offline', async () => {
+    await expect(resolveMicropythonPackages(['nope'], { index: indexDir })).rejects.toThrow('Package not found: nope@latest');
+
+    const [, shortHash] = (await fs.readJson(path.join(indexDir, 'package', 'py', 'ssd1306', 'latest.json'))).hashes[0];
+    await fs.outputFile(path.join(indexDir, 'file', shortHash.slice(0, 2), shortHash), 'tampered\n');
+    await expect(installMicropythonPackages('/dev/ttyACM0', ['ssd1306'], { index: indexDir, cacheDir })).rejects.toThrow(
+      'Hash mismatch for ssd1306.py'
+    );
+
+    await expect(installMicropythonPackages('/dev/ttyACM0', ['ssd1306'], { offline: true, cacheDir })).rejects.toThrow(
+      'Cannot download https://micropython.org/pi/v2/package/py/ssd1306/latest.json while offline.'
+    );
+    expect(filesystem.files.size).toBe(0);
+  });
+
+  it('rejects manifests whose file paths escape the install target', async () => {
+    await publish(indexDir, 'evil', { '../boot.py': 'import os\n' });
+    await publish(indexDir, 'rooted', { '/main.py': 'import os\n' });
+
+    await expect(installMicropythonPackages('/dev/ttyACM0', ['evil'], { index: indexDir, cacheDir })).rejects.toThrow(
+      'file path "../boot.py" must stay inside the install target.'
+    );
+    await expect(resolveMicropythonPackages(['rooted'], { index: indexDir })).rejects.toThrow(
+      'file path "/main.py" must stay inside the install target.'
+    );
+    expect(filesystem.files.size).toBe(0);
+  });
+});
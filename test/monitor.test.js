@@ -0,0 +1,131 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { once } from 'events';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { startSerialMonitor, SerialMonitor } from '../lib/monitor.js';
+import { FakeSerialPort } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+// A board that only prints: `print` pushes bytes to whichever port is open,
+// `unplug` drops the connection the way a reset does.
+class FakeBoard {
+  attach(port) {
+    this.port = port;
+  }
+
+  receive() {}
+
+  print(text) {
+    this.port.emit('data', Buffer.from(text));
+  }
+
+  unplug() {
+    const { port } = this;
+    FakeSerialPort.devices.delete(port.path);
+    port.isOpen = false;
+    port.emit('close', new Error('Port disconnected'));
+  }
+}
+
+describe('startSerialMonitor', () => {
+  let workDir;
+  let board;
+  let monitor;
+  let ports;
+
+  beforeEach(async () => {
+    workDir = await createTempDir('monitor-');
+    board = new FakeBoard();
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', board);
+    ports = [{ path: '/dev/ttyACM0', serialNumber: 'E6614C311B7E6B2F', vendorId: '2e8a', productId: '0005' }];
+    vi.spyOn(FakeSerialPort, 'list').mockImplementation(async () => ports);
+  });
+
+  afterEach(async () => {
+    if (monitor) {
+      await monitor.close();
+      monitor = null;
+    }
+    vi.restoreAllMocks();
+    await cleanupTempDir(workDir);
+  });
+
+  function recordOutput() {
+    const output = [];
+    monitor.on('output', (text) => output.push(text));
+    return { text: () => output.join('') };
+  }
+
+  it('streams output with line timestamps and tees it to a log file', async () => {
+    const logFile = path.join(workDir, 'logs', 'board.log');
+    monitor = await startSerialMonitor('/dev/ttyACM0', { timestamps: true, logFile, baudRate: 9600 });
+    const output = recordOutput();
+
+    board.print('boot\r\ntemp=2');
+    board.print('1.5\r\n');
+    const degrees = Buffer.from('°C ok\n');
+    board.print(degrees.subarray(0, 1));
+    board.print(degrees.subarray(1));
+    await vi.waitFor(() => expect(output.text()).toContain('ok\n'));
+    await monitor.close();
+    monitor = null;
+
+    const lines = output.text().split('\n').filter(Boolean);
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toMatch(/^\[\d{4}-\d{2}-\d{2}T[\d:.]+Z\] boot\r$/);
+    expect(lines[1]).toMatch(/^\[[^\]]+\] temp=21\.5\r$/);
+    expect(lines[2]).toMatch(/^\[[^\]]+\] °C ok$/);
+    expect(await fs.readFile(logFile, 'utf8')).toBe(output.text());
+    expect(FakeSerialPort.devices.get('/dev/ttyACM0').port.baudRate).toBe(9600);
+  });
+
+  it('follows the board to a new port after it re-enumerates', async () => {
+    monitor = await startSerialMonitor('/dev/ttyACM0', { reconnectInterval: 10 });
+    const output = recordOutput();
+    const disconnected = once(monitor, 'disconnect');
+    const reconnected = once(monitor, 'reconnect');
+
+    board.unplug();
+    await disconnected;
+    ports = [{ path: '/dev/ttyACM1', serialNumber: 'E6614C311B7E6B2F', vendorId: '2e8a', productId: '0005' }];
+    FakeSerialPort.devices.set('/dev/ttyACM1', board);
+    const [event] = await reconnected;
+    board.print('back again\n');
+
+    await vi.waitFor(() => expect(output.text()).toBe('back again\n'));
+    expect(event).toEqual({ path: '/dev/ttyACM1' });
+    expect(monitor.serialPath).toBe('/dev/ttyACM1');
+  });
+
+  it('closes on disconnect when reconnecting is disabled', async () => {
+    monitor = new SerialMonitor('/dev/ttyACM0', { reconnect: false });
+    await monitor.start();
+    const closed = once(monitor, 'close');
+
+    board.unplug();
+    await closed;
+
+    expect(monitor.closed).toBe(true);
+    await expect(startSerialMonitor('/dev/ttyACM9')).rejects.toThrow('Unable to open serial port /dev/ttyACM9');
+  });
+});
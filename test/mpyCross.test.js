@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+import { execa } from 'execa';
+import { compileToMpy, stageCompiledTree, shouldCompileToMpy } from '../lib/mpyCross.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+// Behaves like mpy-cross: `-o <output>` receives a "compiled" copy of the source.
+function mockMpyCross() {
+  execa.mockImplementation(async (command, args) => {
+    if (args[0] === '--version') {
+      return { stdout: 'MicroPython v1.23.0 on 2024-06-02; mpy-cross emitting mpy v6.3' };
+    }
+    const source = await fs.readFile(args[args.length - 1], 'utf8');
+    if (source.includes('syntax error')) {
+      throw Object.assign(new Error('Command failed'), { stderr: 'SyntaxError: invalid syntax' });
+    }
+    await fs.writeFile(args[args.indexOf('-o') + 1], `MPY:${source}`);
+    return { stdout: '' };
+  });
+}
+
+describe('mpy-cross integration', () => {
+  let workDir;
+  let cacheDir;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    mockMpyCross();
+    workDir = await createTempDir('mpy-');
+    cacheDir = path.join(workDir, 'cache');
+  });
+
+  afterEach(async () => {
+    await cleanupTempDir(workDir);
+  });
+
+  it('skips main.py, boot.py and non-Python files', () => {
+    expect(shouldCompileToMpy('lib/driver.py')).toBe(true);
+    expect(shouldCompileToMpy('main.py')).toBe(false);
+    expect(shouldCompileToMpy('/src/boot.py')).toBe(false);
+    expect(shouldCompileToMpy('config.json')).toBe(false);
+  });
+
+  it('compiles once and serves later builds from the content-hash cache', async () => {
+    const sourcePath = path.join(workDir, 'driver.py');
+    await fs.writeFile(sourcePath, 'x = 1\n');
+
+    const first = await compileToMpy(sourcePath, { cacheDir, mpyCrossPath: '/opt/mpy-cross' });
+    const second = await compileToMpy(sourcePath, { cacheDir, mpyCrossPath: '/opt/mpy-cross' });
+    await fs.writeFile(sourcePath, 'x = 2\n');
+    const third = await compileToMpy(sourcePath, { cacheDir, mpyCrossPath: '/opt/mpy-cross' });
+
+    expect(first.cached).toBe(false);
+    expect(second).toEqual({ ...first, cached: true });
+    expect(third.output).not.toBe(first.output);
+    expect(await fs.readFile(third.output, 'utf8')).toBe('MPY:x = 2\n');
+    const compileCalls = execa.mock.calls.filter(([, args]) => args.includes('-o'));
+    expect(compileCalls).toHaveLength(2);
+    expect(compileCalls[0][0]).toBe('/opt/mpy-cross');
+    expect(compileCalls[0][1]).toEqual(expect.arrayContaining(['-s', 'driver.py', sourcePath]));
+  });
+
+  it('reports compile errors and a missing executable', async () => {
+    const sourcePath = path.join(workDir, 'broken.py');
+    await fs.writeFile(sourcePath, 'syntax error here\n');
+
+    await expect(compileToMpy(sourcePath, { cacheDir })).rejects.toThrow(
+      'Failed to compile'
+    );
+
+    execa.mockRejectedValue(Object.assign(new Error('spawn ENOENT'), { code: 'ENOENT' }));
+    await expect(compileToMpy(sourcePath, { cacheDir, mpyCrossPath: '/missing/mpy-cross' })).rejects.toThrow(
+      'mpy-cross is not installed or not available on the PATH.'
+    );
+  });
+
+  it('stages a directory with compiled modules next to untouched files', async () => {
+    const sourceDir = path.join(workDir, 'app');
+    await fs.ensureDir(path.join(sourceDir, 'lib'));
+    await fs.writeFile(path.join(sourceDir, 'main.py'), 'import lib.util\n');
+    await fs.writeFile(path.join(sourceDir, 'lib', 'util.py'), 'y = 2\n');
+    await fs.writeFile(path.join(sourceDir, 'lib', 'data.json'), '{}');
+    const stagingDir = path.join(workDir, 'staging');
+
+    const { staged, compiled } = await stageCompiledTree(sourceDir, stagingDir, { cacheDir });
+
+    expect(staged).toBe(path.join(stagingDir, 'app'));
+    expect(compiled).toEqual(['lib/util.py']);
+    expect((await fs.readdir(path.join(staged, 'lib'))).sort()).toEqual(['data.json', 'util.mpy']);
+    expect(await fs.readFile(path.join(staged, 'main.py'), 'utf8')).toBe('import lib.util\n');
+  });
+});
@@ -7,8 +7,49 @@ vi.mock('execa', () => ({
   execa: vi.fn()
 }));
 
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
 import { execa } from 'execa';
-import { putDeviceInFsMode, getPicotoolVersion } from '../lib/picotool.js';
+import { FakeMicropythonDevice, FakeSerialPort } from './helpers/fakeMicropython.js';
+import {
+  putDeviceInFsMode,
+  getPicotoolVersion,
+  getPicotoolInfo,
+  parsePicotoolInfo,
+  parsePicotoolBinaryInfo,
+  loadPicotoolImage,
+  savePicotoolImage,
+  verifyPicotoolImage,
+  erasePicotoolFlash
+} from '../lib/picotool.js';
+
+const INFO_OUTPUT = [
+  'Program Information',
+  ' name:              blink',
+  ' version:           1.2.0',
+  ' web site:          https://github.com/raspberrypi/pico-examples',
+  ' features:          UART stdin / stdout',
+  '                    USB stdin / stdout',
+  ' binary start:      0x10000000',
+  ' binary end:        0x10003344',
+  '',
+  'Fixed Pin Information',
+  ' 0:   UART0 TX',
+  ' 1:   UART0 RX',
+  ' 25:  LED',
+  '',
+  'Build Information',
+  ' sdk version:       1.5.1',
+  ' pico_board:        pico',
+  ' build date:        Jun  2 2023',
+  '',
+  'Device Information',
+  ' flash size:        2048K',
+  ' ROM version:       3'
+].join('\n');
 
 describe('picotool wrapper', () => {
   let testDir;
@@ -31,7 +72,7 @@ describe('picotool wrapper', () => {
       const result = await putDeviceInFsMode();
 
       expect(execa).toHaveBeenCalledWith('picotool', ['reboot', '-f'], { timeout: 10000 });
-      expect(result).toBe('Rebooting device');
+      expect(result).toEqual({ output: 'Rebooting device', method: 'picotool', mountPoint: null, device: null });
     });
 
     it('includes serial number when provided', async () => {
@@ -41,7 +82,7 @@ describe('picotool wrapper', () => {
 
       expect(execa).toHaveBeenCalledWith(
         'picotool',
-        ['reboot', '-f', '--serial', 'ABC123'],
+        ['reboot', '-f', '--ser', 'ABC123'],
         { timeout: 10000 }
       );
     });
@@ -110,6 +151,123 @@ describe('picotool wrapper', () => {
 
       await expect(putDeviceInFsMode()).rejects.toThrow('Device not found');
     });
+
+    it('waits for a new UF2 drive to mount when requested', async () => {
+      const existing = path.join(testDir, 'OTHER');
+      await fs.ensureDir(existing);
+      await fs.writeFile(path.join(existing, 'INFO_UF2.TXT'), 'Board-ID: RPI-RP2\n');
+      const mountPoint = path.join(testDir, 'RPI-RP2');
+      execa.mockImplementation(async () => {
+        setTimeout(async () => {
+          await fs.ensureDir(mountPoint);
+          await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), 'Board-ID: RPI-RP2\n');
+        }, 30);
+        return { stdout: 'Rebooting' };
+      });
+
+      const result = await putDeviceInFsMode({ waitForMount: true, searchRoots: [testDir], mountTimeout: 2000 });
+
+      expect(result.output).toBe('Rebooting');
+      expect(result.mountPoint).toBe(mountPoint);
+      expect(result.device.chip).toBe('RP2040');
+    });
+
+    it('times out when no UF2 drive mounts', async () => {
+      execa.mockResolvedValue({ stdout: '' });
+
+      await expect(
+        putDeviceInFsMode({ waitForMount: true, searchRoots: [testDir], mountTimeout: 50 })
+      ).rejects.toThrow('Timed out after 50ms waiting for a UF2 drive to mount');
+    });
+  });
+
+  describe('putDeviceInFsMode without picotool', () => {
+    // A board running a Pico SDK program: it never answers a raw REPL and
+    // only notices the baud rate it was opened at.
+    const sdkBoard = { attach(port) { this.port = port; }, receive() {} };
+    const notInstalled = Object.assign(new Error('spawn picotool ENOENT'), { code: 'ENOENT' });
+
+    beforeEach(() => {
+      FakeSerialPort.devices.clear();
+      vi.spyOn(FakeSerialPort, 'list').mockResolvedValue([
+        { path: '/dev/ttyACM0', serialNumber: 'ABC123', vendorId: '2e8a', productId: '0005' }
+      ]);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('opens and closes the port at 1200 baud for the touch method', async () => {
+      FakeSerialPort.devices.set('/dev/ttyACM1', sdkBoard);
+
+      const { output } = await putDeviceInFsMode({ method: 'touch', serialPath: '/dev/ttyACM1' });
+
+      expect(output).toBe('Opened /dev/ttyACM1 at 1200 baud to request BOOTSEL mode.');
+      expect(sdkBoard.port).toMatchObject({ baudRate: 1200, isOpen: false });
+      expect(execa).not.toHaveBeenCalled();
+    });
+
+    it('falls back to machine.bootloader(), then a touch, when picotool is missing', async () => {
+      execa.mockRejectedValue(notInstalled);
+      const board = new FakeMicropythonDevice();
+      FakeSerialPort.devices.set('/dev/ttyACM0', board);
+
+      const { output } = await putDeviceInFsMode({ serialNumber: 'ABC123' });
+
+      expect(output).toBe('Called machine.bootloader() on /dev/ttyACM0.');
+      expect(board.programs).toEqual(['import machine\nmachine.bootloader()']);
+
+      FakeSerialPort.devices.set('/dev/ttyACM0', sdkBoard);
+      await expect(putDeviceInFsMode({ serialNumber: 'ABC123', timeout: 50 })).resolves.toMatchObject({
+        output: 'Opened /dev/ttyACM0 at 1200 baud to request BOOTSEL mode.',
+        method: 'touch'
+      });
+      expect(sdkBoard.port.baudRate).toBe(1200);
+    });
+
+    it('only touches boards without a raw REPL and reports both failures', async () => {
+      execa.mockRejectedValue(notInstalled);
+      // Enters the raw REPL, then drops off the bus before taking any code.
+      const droppingBoard = {
+        attach(port) { this.port = port; },
+        receive(bytes) {
+          if (bytes[0] === 0x05) {
+            setImmediate(() => this.port.emit('close'));
+          } else if (bytes.includes(0x01)) {
+            setImmediate(() => this.port.emit('data', Buffer.from('raw REPL; CTRL-B to exit\r\n>')));
+          }
+        }
+      };
+      FakeSerialPort.devices.set('/dev/ttyACM0', droppingBoard);
+
+      await expect(putDeviceInFsMode({ serialNumber: 'ABC123' })).rejects.toThrow(
+        'Serial port closed while waiting for the MicroPython device.'
+      );
+      expect(droppingBoard.port.baudRate).not.toBe(1200);
+
+      const lockedBoard = {
+        attach(port) {
+          if (port.baudRate === 1200) {
+            throw new Error('Permission denied');
+          }
+        },
+        receive() {}
+      };
+      FakeSerialPort.devices.set('/dev/ttyACM0', lockedBoard);
+      await expect(putDeviceInFsMode({ serialNumber: 'ABC123', timeout: 50 })).rejects.toThrow(
+        /^Could not reboot \/dev\/ttyACM0 into BOOTSEL mode: machine.bootloader\(\) failed \(Timed out .*\) and so did the 1200-baud touch \(.*Permission denied\)\.$/
+      );
+    });
+
+    it('rejects unknown methods and serial methods without a port', async () => {
+      await expect(putDeviceInFsMode({ method: 'jtag' })).rejects.toThrow(
+        'Unknown BOOTSEL method: jtag. Expected one of: auto, picotool, touch, micropython.'
+      );
+      await expect(putDeviceInFsMode({ method: 'micropython', serialNumber: 'NOPE' })).rejects.toThrow(
+        "The micropython method needs the board's serial port."
+      );
+    });
   });
 
   describe('getPicotoolVersion', () => {
@@ -132,4 +290,117 @@ describe('picotool wrapper', () => {
       );
     });
   });
+
+  describe('picotool verbs', () => {
+    let imagePath;
+
+    beforeEach(async () => {
+      imagePath = path.join(testDir, 'app.uf2');
+      await fs.writeFile(imagePath, 'uf2');
+    });
+
+    it('parses info sections, multi-line values and the source line', () => {
+      const parsed = parsePicotoolInfo(`File ${imagePath}:\n\n${INFO_OUTPUT}`);
+
+      expect(parsed.source).toBe(`File ${imagePath}`);
+      expect(parsed.sections['Program Information']).toMatchObject({
+        name: 'blink',
+        'web site': 'https://github.com/raspberrypi/pico-examples',
+        features: ['UART stdin / stdout', 'USB stdin / stdout']
+      });
+      expect(parsed.sections['Fixed Pin Information']).toEqual({ 0: 'UART0 TX', 1: 'UART0 RX', 25: 'LED' });
+      expect(parsed.sections['Device Information']['flash size']).toBe('2048K');
+    });
+
+    it('turns info -a output into typed binary metadata', () => {
+      const info = parsePicotoolBinaryInfo(`Device at bus 1, address 7:\n\n${INFO_OUTPUT}\n\nMetadata Block\n image type:        EXE`);
+
+      expect(info.source).toBe('Device at bus 1, address 7');
+      expect(info.program).toEqual({
+        name: 'blink',
+        version: '1.2.0',
+        url: 'https://github.com/raspberrypi/pico-examples',
+        features: ['UART stdin / stdout', 'USB stdin / stdout'],
+        binaryStart: 0x10000000,
+        binaryEnd: 0x10003344
+      });
+      expect(info.pins).toEqual([
+        { pin: 0, functions: ['UART0 TX'] },
+        { pin: 1, functions: ['UART0 RX'] },
+        { pin: 25, functions: ['LED'] }
+      ]);
+      expect(info.build).toEqual({ sdkVersion: '1.5.1', board: 'pico', date: 'Jun  2 2023', isoDate: '2023-06-02' });
+      expect(info.device).toEqual({ flashSize: 2097152, romVersion: 3 });
+      expect(info.metadataBlock).toEqual({ imageType: 'EXE' });
+    });
+
+    it('runs info -a against a device or a file', async () => {
+      execa.mockResolvedValue({ stdout: INFO_OUTPUT });
+
+      const device = await getPicotoolInfo({ serialNumber: 'ABC123', bus: 1, address: 4 });
+      await getPicotoolInfo({ file: imagePath });
+
+      expect(execa).toHaveBeenNthCalledWith(
+        1, 'picotool', ['info', '-a', '--ser', 'ABC123', '--bus', '1', '--address', '4'], { timeout: 10000 }
+      );
+      expect(execa).toHaveBeenNthCalledWith(2, 'picotool', ['info', '-a', imagePath], { timeout: 10000 });
+      expect(device.sections['Build Information']['sdk version']).toBe('1.5.1');
+      expect(device.output).toBe(INFO_OUTPUT);
+    });
+
+    it('loads, saves and erases with the requested flags', async () => {
+      execa.mockResolvedValue({ stdout: 'OK' });
+
+      const loaded = await loadPicotoolImage(imagePath, { verify: true, execute: true, offset: 0x10040000, force: true });
+      const saved = await savePicotoolImage(path.join(testDir, 'out', 'flash.bin'), {
+        range: { start: 0x10000000, end: '0x10010000' },
+        serialNumber: 'ABC123'
+      });
+      await savePicotoolImage(path.join(testDir, 'all.uf2'), { all: true });
+      const erased = await erasePicotoolFlash({ all: true, bus: 2 });
+
+      expect(execa.mock.calls.map(([, args]) => args)).toEqual([
+        ['load', '-v', '-x', imagePath, '-o', '0x10040000', '-f'],
+        ['save', '-r', '0x10000000', '0x10010000', path.join(testDir, 'out', 'flash.bin'), '--ser', 'ABC123'],
+        ['save', '-a', path.join(testDir, 'all.uf2')],
+        ['erase', '-a', '--bus', '2']
+      ]);
+      expect(execa.mock.calls[0][2]).toEqual({ timeout: 120000 });
+      expect(loaded).toMatchObject({ image: imagePath, verified: true, executed: true });
+      expect(saved).toMatchObject({ file: path.join(testDir, 'out', 'flash.bin'), mode: 'range' });
+      expect(erased.range).toBeNull();
+      await expect(savePicotoolImage('x.bin', { range: { start: 0x2000, end: 0x1000 } })).rejects.toThrow(
+        'Invalid flash range'
+      );
+    });
+
+    it('refuses to erase the whole flash unless asked to', async () => {
+      await expect(erasePicotoolFlash({ serialNumber: 'ABC123' })).rejects.toThrow(
+        'Pass a range to erase, or all to erase the whole flash.'
+      );
+      await expect(
+        erasePicotoolFlash({ all: true, range: { start: 0x10000000, end: 0x10001000 } })
+      ).rejects.toThrow('not both');
+      expect(execa).not.toHaveBeenCalled();
+    });
+
+    it('reports verify mismatches and explains other failures', async () => {
+      execa.mockResolvedValueOnce({ stdout: 'Verifying Flash:  [==============================]  100%\n  OK' });
+      execa.mockRejectedValueOnce(Object.assign(new Error('Command failed'), {
+        exitCode: 255,
+        stderr: 'ERROR: The device contents did not match the file'
+      }));
+      execa.mockRejectedValueOnce(Object.assign(new Error('Command failed'), {
+        exitCode: 249,
+        stderr: 'No accessible RP-series devices in BOOTSEL mode were found.'
+      }));
+
+      expect(await verifyPicotoolImage(imagePath)).toMatchObject({ verified: true });
+      expect(await verifyPicotoolImage(imagePath)).toMatchObject({ verified: false });
+      await expect(verifyPicotoolImage(imagePath)).rejects.toThrow(
+        'picotool verify failed: No accessible RP-series devices in BOOTSEL mode were found.'
+      );
+      await expect(loadPicotoolImage(path.join(testDir, 'missing.uf2'))).rejects.toThrow('Firmware file does not exist');
+    });
+  });
 });
@@ -0,0 +1,104 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { RawRepl } from '../lib/rawRepl.js';
+import { FakeMicropythonDevice, FakeSerialPort } from './helpers/fakeMicropython.js';
+
+function addDevice(options) {
+  const device = new FakeMicropythonDevice(options);
+  FakeSerialPort.devices.set('/dev/ttyACM0', device);
+  return device;
+}
+
+describe('RawRepl', () => {
+  beforeEach(() => {
+    FakeSerialPort.devices.clear();
+  });
+
+  it('executes code through raw-paste mode with flow control', async () => {
+    const device = addDevice({
+      windowSize: 16,
+      exec: (code) => ({ stdout: `ran ${code.length} bytes\r\n` })
+    });
+    const code = `print(${'1+'.repeat(40)}1)`;
+
+    const repl = await RawRepl.open('/dev/ttyACM0');
+    await repl.enter();
+    const output = await repl.exec(code);
+    await repl.exit();
+    await repl.close();
+
+    expect(output).toBe(`ran ${code.length} bytes\r\n`);
+    expect(device.programs).toEqual([code]);
+    expect(device.mode).toBe('friendly');
+  });
+
+  it('falls back to standard raw mode when raw-paste is unsupported', async () => {
+    const device = addDevice({ rawPaste: false, exec: () => ({ stdout: '42\r\n' }) });
+
+    const repl = await RawRepl.open('/dev/ttyACM0');
+    await repl.enter();
+    expect(await repl.exec('print(42)')).toBe('42\r\n');
+    expect(await repl.exec('print(42)')).toBe('42\r\n');
+    await repl.close();
+
+    expect(device.programs).toEqual(['print(42)', 'print(42)']);
+    // The raw-paste request is only attempted once per session.
+    const requests = device.received.filter((byte, index, all) => byte === 0x05 && all[index + 1] === 0x41);
+    expect(requests).toHaveLength(1);
+  });
+
+  it('streams stdout while the program runs', async () => {
+    addDevice({ exec: () => ({ stdout: 'tick\r\ntock\r\n' }) });
+    const chunks = [];
+
+    const repl = await RawRepl.open('/dev/ttyACM0');
+    const result = await repl.execRaw('run()', { onData: (chunk) => chunks.push(chunk.toString()) });
+    await repl.close();
+
+    expect(result).toEqual({ stdout: 'tick\r\ntock\r\n', stderr: '' });
+    expect(chunks.join('')).toBe('tick\r\ntock\r\n');
+  });
+
+  it('raises device tracebacks as errors', async () => {
+    addDevice({
+      exec: () => ({ stderr: 'Traceback (most recent call last):\r\n  File "<stdin>", line 1\r\nNameError: name \'x\' isn\'t defined\r\n' })
+    });
+
+    const repl = await RawRepl.open('/dev/ttyACM0');
+    await repl.enter();
+    const error = await repl.exec('x').catch((caught) => caught);
+    await repl.close();
+
+    expect(error.message).toBe("MicroPython error: NameError: name 'x' isn't defined");
+    expect(error.traceback).toContain('Traceback');
+  });
+
+  it('soft resets the board when requested', async () => {
+    const device = addDevice();
+
+    const repl = await RawRepl.open('/dev/ttyACM0');
+    await repl.enter({ softReset: true });
+    await repl.exec('pass');
+    await repl.close();
+
+    expect(device.programs).toEqual(['pass']);
+  });
+
+  it('times out when the board does not answer', async () => {
+    const device = addDevice();
+    device.receive = () => {};
+
+    const repl = await RawRepl.open('/dev/ttyACM0', { timeout: 100 });
+    await expect(repl.enter()).rejects.toThrow('Timed out waiting for the MicroPython device');
+    await repl.close();
+  });
+
+  it('reports ports that cannot be opened', async () => {
+    await expect(RawRepl.open('/dev/ttyACM9')).rejects.toThrow('Unable to open serial port /dev/ttyACM9');
+  });
+});
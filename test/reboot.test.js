@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+vi.mock('execa', () => ({
+  execa: vi.fn()
+}));
+
+import { execa } from 'execa';
+import { rebootDevice } from '../lib/reboot.js';
+import { FakeMicropythonDevice, FakeSerialPort } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+const PICO_PORT = { path: '/dev/ttyACM0', vendorId: '2e8a', productId: '0005', serialNumber: 'E6614C311B7E6B2F' };
+
+describe('rebootDevice', () => {
+  let rootDir;
+  let board;
+  let ports;
+
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    execa.mockResolvedValue({ stdout: 'The device was rebooted into application mode.' });
+    rootDir = await createTempDir('reboot-');
+    board = new FakeMicropythonDevice();
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', board);
+    ports = [PICO_PORT];
+    vi.spyOn(FakeSerialPort, 'list').mockImplementation(async () => ports);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await cleanupTempDir(rootDir);
+  });
+
+  it('hard-resets a serial board with machine.reset() and soft-resets on request', async () => {
+    const result = await rebootDevice({ searchRoots: [rootDir] });
+
+    expect(result).toMatchObject({ mode: 'app', method: 'machine.reset', device: { path: '/dev/ttyACM0' } });
+    expect(board.programs).toEqual(['import machine\nmachine.reset()']);
+    expect(execa).not.toHaveBeenCalled();
+
+    const soft = await rebootDevice({ target: '/dev/ttyACM0', mode: 'soft', searchRoots: [rootDir] });
+    expect(soft.method).toBe('soft-reset');
+    expect(board.programs).toHaveLength(1);
+    // Ctrl-B leaves the raw REPL, then Ctrl-D soft-resets from the friendly REPL.
+    expect(Buffer.from(board.received).includes(Buffer.from([0x0d, 0x02, 0x04]))).toBe(true);
+  });
+
+  it('reboots BOOTSEL boards into their application with picotool', async () => {
+    ports = [];
+    const mountPoint = path.join(rootDir, 'RPI-RP2');
+    await fs.ensureDir(mountPoint);
+    await fs.writeFile(path.join(mountPoint, 'INFO_UF2.TXT'), 'Model: Raspberry Pi RP2\nBoard-ID: RPI-RP2\n');
+
+    const result = await rebootDevice({ target: mountPoint, searchRoots: [rootDir] });
+    expect(result).toMatchObject({ mode: 'app', method: 'picotool', device: { status: 'fs', mountPoint } });
+    expect(execa).toHaveBeenCalledWith('picotool', ['reboot', '-a'], { timeout: 10000 });
+
+    // With one board in BOOTSEL mode, picotool needs no selector to find it.
+    // A serial number no port reports belongs to a board only picotool can see.
+    await rebootDevice({ serialNumber: 'E6606603', searchRoots: [rootDir] });
+    expect(execa).toHaveBeenLastCalledWith('picotool', ['reboot', '-a', '--ser', 'E6606603'], { timeout: 10000 });
+
+    expect(await rebootDevice({ target: mountPoint, mode: 'bootsel', searchRoots: [rootDir] })).toMatchObject({ method: null });
+    await expect(rebootDevice({ target: mountPoint, mode: 'soft', searchRoots: [rootDir] })).rejects.toThrow(
+      'is in BOOTSEL mode; a soft reset needs a board running MicroPython.'
+    );
+  });
+
+  it('refuses to reboot a drive by mount point while several boards are in BOOTSEL mode', async () => {
+    ports = [];
+    for (const name of ['RPI-RP2', 'RP2350']) {
+      await fs.ensureDir(path.join(rootDir, name));
+      await fs.writeFile(path.join(rootDir, name, 'INFO_UF2.TXT'), `Board-ID: ${name}\n`);
+    }
+
+    await expect(rebootDevice({ target: path.join(rootDir, 'RPI-RP2'), searchRoots: [rootDir] })).rejects.toThrow(
+      `2 boards are in BOOTSEL mode, so the one mounted at ${path.join(rootDir, 'RPI-RP2')} cannot be told apart.`
+    );
+    expect(execa).not.toHaveBeenCalled();
+  });
+
+  it('reboots serial boards into BOOTSEL and validates the mode', async () => {
+    const result = await rebootDevice({ mode: 'bootsel', searchRoots: [rootDir] });
+
+    expect(result).toMatchObject({ method: 'picotool', mountPoint: null });
+    expect(execa).toHaveBeenCalledWith('picotool', ['reboot', '-f', '--ser', 'E6614C311B7E6B2F'], { timeout: 10000 });
+    expect(board.programs).toEqual([]);
+    await expect(rebootDevice({ mode: 'usb' })).rejects.toThrow('Unknown reboot mode: usb. Expected one of: app, bootsel, soft.');
+    await expect(rebootDevice({ target: '/dev/ttyACM9', searchRoots: [rootDir] })).rejects.toThrow(
+      'No device was found at /dev/ttyACM9.'
+    );
+  });
+});
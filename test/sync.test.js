@@ -0,0 +1,152 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+vi.mock('execa', () => ({
+  execa: vi.fn(async (command, args) => {
+    if (args[0] !== '--version') {
+      const { default: fsExtra } = await import('fs-extra');
+      const source = await fsExtra.readFile(args[args.length - 1], 'utf8');
+      await fsExtra.writeFile(args[args.indexOf('-o') + 1], `MPY:${source}`);
+    }
+    return { stdout: 'mpy-cross emitting mpy v6.3' };
+  })
+}));
+
+vi.mock('serialport', async () => {
+  const { FakeSerialPort } = await import('./helpers/fakeMicropython.js');
+  return { SerialPort: FakeSerialPort };
+});
+
+import { syncToMicropython } from '../lib/sync.js';
+import { FakeMicropythonDevice, FakeSerialPort, createFakeFilesystem } from './helpers/fakeMicropython.js';
+
+const tmpRoot = path.join(os.tmpdir(), 'raspimcu-tests');
+
+async function createTempDir(prefix) {
+  await fs.ensureDir(tmpRoot);
+  return await fs.mkdtemp(path.join(tmpRoot, prefix));
+}
+
+async function cleanupTempDir(dir) {
+  if (dir && dir.startsWith(tmpRoot)) {
+    await fs.remove(dir);
+  }
+}
+
+describe('syncToMicropython', () => {
+  let localDir;
+  let filesystem;
+  let device;
+
+  beforeEach(async () => {
+    localDir = await createTempDir('sync-');
+    await fs.ensureDir(path.join(localDir, 'drivers'));
+    await fs.writeFile(path.join(localDir, 'main.py'), 'import app\n');
+    await fs.writeFile(path.join(localDir, 'app.py'), 'run()\n');
+    await fs.writeFile(path.join(localDir, 'drivers', 'led.py'), 'LED = 25\n');
+    await fs.writeFile(path.join(localDir, '.hidden'), 'skip me');
+
+    filesystem = createFakeFilesystem({
+      '/app/main.py': 'import app\n',
+      '/app/app.py': 'old()\n',
+      '/app/stale.py': 'gone\n',
+      '/app/old/mod.py': 'x\n'
+    });
+    device = new FakeMicropythonDevice({ exec: (code) => filesystem.exec(code) || { stdout: '' } });
+    FakeSerialPort.devices.clear();
+    FakeSerialPort.devices.set('/dev/ttyACM0', device);
+  });
+
+  afterEach(async () => {
+    await cleanupTempDir(localDir);
+  });
+
+  it('uploads only new and changed files', async () => {
+    const progress = [];
+
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, ':/app', {
+      onProgress: (event) => progress.push(`${event.stage} ${event.path}`)
+    });
+
+    expect(result.changes).toEqual([
+      { action: 'update', path: '/app/app.py', size: 6 },
+      { action: 'add', path: '/app/drivers/led.py', size: 9 }
+    ]);
+    expect(result.unchanged).toBe(1);
+    expect(progress).toEqual(['uploaded /app/app.py', 'uploaded /app/drivers/led.py']);
+    expect(filesystem.files.get('/app/app.py').toString()).toBe('run()\n');
+    expect(filesystem.files.get('/app/drivers/led.py').toString()).toBe('LED = 25\n');
+    expect(filesystem.files.has('/app/stale.py')).toBe(true);
+    expect(filesystem.files.has('/app/.hidden')).toBe(false);
+    // main.py is unchanged, so its contents never cross the serial link.
+    expect(device.programs.some((code) => code.includes('"/app/main.py"'))).toBe(false);
+  });
+
+  it('deletes remote files that no longer exist locally', async () => {
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, '/app', { delete: true });
+
+    expect(result.changes.filter((change) => change.action === 'delete')).toEqual([
+      { action: 'delete', path: '/app/old' },
+      { action: 'delete', path: '/app/stale.py' }
+    ]);
+    expect(filesystem.files.has('/app/stale.py')).toBe(false);
+    expect(filesystem.dirs.has('/app/old')).toBe(false);
+  });
+
+  it('leaves remote dotfiles alone when deleting', async () => {
+    filesystem.files.set('/app/.env', Buffer.from('TOKEN=1\n'));
+    filesystem.dirs.add('/app/.cache');
+    filesystem.files.set('/app/.cache/state.json', Buffer.from('{}'));
+
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, '/app', { delete: true });
+
+    expect(result.changes.some((change) => change.path.includes('/.'))).toBe(false);
+    expect(filesystem.files.has('/app/.env')).toBe(true);
+    expect(filesystem.files.has('/app/.cache/state.json')).toBe(true);
+  });
+
+  it('previews the changes without touching the device in dry-run mode', async () => {
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, '/app', { delete: true, dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.changes.map((change) => change.action)).toEqual(['update', 'add', 'delete', 'delete']);
+    expect(filesystem.files.get('/app/app.py').toString()).toBe('old()\n');
+    expect(filesystem.files.has('/app/stale.py')).toBe(true);
+  });
+
+  it('creates the remote directory when it does not exist yet', async () => {
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, '/fresh');
+
+    expect(result.changes).toHaveLength(3);
+    expect(filesystem.dirs.has('/fresh/drivers')).toBe(true);
+    expect(filesystem.files.get('/fresh/main.py').toString()).toBe('import app\n');
+  });
+
+  it('rejects missing local directories and remote files', async () => {
+    await expect(syncToMicropython('/dev/ttyACM0', path.join(localDir, 'nope'), '/app')).rejects.toThrow(
+      'Local directory does not exist'
+    );
+    await expect(syncToMicropython('/dev/ttyACM0', localDir, '/app/main.py')).rejects.toThrow(
+      'Remote path :/app/main.py is a file'
+    );
+  });
+
+  it('uploads compiled modules and removes the sources they replace', async () => {
+    const result = await syncToMicropython('/dev/ttyACM0', localDir, '/app', {
+      compile: true,
+      cacheDir: path.join(localDir, '.cache')
+    });
+
+    expect(result.compiled).toEqual(['app.py', 'drivers/led.py']);
+    expect(result.changes).toEqual([
+      { action: 'delete', path: '/app/app.py' },
+      { action: 'add', path: '/app/app.mpy', size: 10 },
+      { action: 'add', path: '/app/drivers/led.mpy', size: 13 }
+    ]);
+    expect(filesystem.files.has('/app/app.py')).toBe(false);
+    expect(filesystem.files.get('/app/drivers/led.mpy').toString()).toBe('MPY:LED = 25\n');
+    expect(filesystem.files.get('/app/main.py').toString()).toBe('import app\n');
+  });
+});
@@ -0,0 +1,250 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseUf2,
+  buildUf2,
+  extractUf2,
+  resolveUf2FamilyId,
+  assertValidUf2,
+  getUf2FamilyName,
+  checkUf2Compatibility,
+  UF2_FAMILY_IDS,
+  UF2_FLAGS
+} from '../lib/uf2.js';
+
+function buildUf2Block({
+  targetAddr,
+  blockNo,
+  numBlocks,
+  familyId = UF2_FAMILY_IDS.RP2040,
+  payloadSize = 256,
+  flags = UF2_FLAGS.FAMILY_ID_PRESENT,
+  fill = blockNo
+}) {
+  const block = Buffer.alloc(512);
+  block.writeUInt32LE(0x0A324655, 0);
+  block.writeUInt32LE(0x9E5D5157, 4);
+  block.writeUInt32LE(flags, 8);
+  block.writeUInt32LE(targetAddr, 12);
+  block.writeUInt32LE(payloadSize, 16);
+  block.writeUInt32LE(blockNo, 20);
+  block.writeUInt32LE(numBlocks, 24);
+  block.writeUInt32LE(familyId, 28);
+  block.fill(fill & 0xFF, 32, 32 + Math.min(payloadSize, 476));
+  block.writeUInt32LE(0x0AB16F30, 508);
+  return block;
+}
+
+function buildUf2Image(count, options = {}) {
+  const { baseAddress = 0x10000000, ...rest } = options;
+  const blocks = [];
+  for (let blockNo = 0; blockNo < count; blockNo += 1) {
+    blocks.push(buildUf2Block({ targetAddr: baseAddress + blockNo * 256, blockNo, numBlocks: count, ...rest }));
+  }
+  return Buffer.concat(blocks);
+}
+
+describe('UF2 parser', () => {
+  it('parses a well-formed image and reports family and ranges', () => {
+    const image = parseUf2(buildUf2Image(4));
+
+    expect(image.valid).toBe(true);
+    expect(image.errors).toEqual([]);
+    expect(image.blockCount).toBe(4);
+    expect(image.families).toEqual([{ id: UF2_FAMILY_IDS.RP2040, hex: '0xE48BFF56', name: 'RP2040' }]);
+    expect(image.ranges).toEqual([{ start: 0x10000000, end: 0x10000400, size: 0x400 }]);
+    expect(image.blocks[2].data.length).toBe(256);
+    expect(image.blocks[2].data[0]).toBe(2);
+  });
+
+  it('splits address ranges at gaps', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Block({ targetAddr: 0x10000000, blockNo: 0, numBlocks: 2 }),
+      buildUf2Block({ targetAddr: 0x10001000, blockNo: 1, numBlocks: 2 })
+    ]));
+
+    expect(image.ranges).toEqual([
+      { start: 0x10000000, end: 0x10000100, size: 0x100 },
+      { start: 0x10001000, end: 0x10001100, size: 0x100 }
+    ]);
+  });
+
+  it('accepts concatenated images for several families', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Image(2),
+      buildUf2Image(3, { familyId: UF2_FAMILY_IDS.RP2350_ARM_S })
+    ]));
+
+    expect(image.valid).toBe(true);
+    expect(image.families.map((family) => family.name)).toEqual(['RP2040', 'RP2350_ARM_S']);
+  });
+
+  it('flags images whose length is not a multiple of the block size', () => {
+    const image = parseUf2(buildUf2Image(2).subarray(0, 900));
+
+    expect(image.valid).toBe(false);
+    expect(image.errors[0]).toContain('not a multiple of 512 bytes');
+  });
+
+  it('flags images missing trailing blocks', () => {
+    const image = parseUf2(buildUf2Image(4).subarray(0, 1024));
+
+    expect(image.valid).toBe(false);
+    expect(image.errors).toContain('Block 1: image ends after 2 of 4 blocks (truncated).');
+  });
+
+  it('flags bad magic numbers', () => {
+    const buffer = buildUf2Image(2);
+    buffer.writeUInt32LE(0, 512 + 508);
+
+    const image = parseUf2(buffer);
+
+    expect(image.errors).toContain('Block 1: invalid end magic number.');
+  });
+
+  it('flags out-of-order block numbers and inconsistent totals', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Block({ targetAddr: 0x10000000, blockNo: 0, numBlocks: 3 }),
+      buildUf2Block({ targetAddr: 0x10000200, blockNo: 2, numBlocks: 3 }),
+      buildUf2Block({ targetAddr: 0x10000100, blockNo: 1, numBlocks: 4 })
+    ]));
+
+    expect(image.errors).toContain('Block 1: expected block number 1 but found 2.');
+    expect(image.errors).toContain('Block 2: total block count 4 does not match 3 from earlier blocks.');
+  });
+
+  it('flags oversized payloads', () => {
+    const image = parseUf2(buildUf2Image(1, { payloadSize: 500 }));
+
+    expect(image.errors).toContain('Block 0: payload size 500 is outside 1-476 bytes.');
+  });
+
+  it('excludes non-flash blocks from the address ranges', () => {
+    const image = parseUf2(buildUf2Image(1, { flags: UF2_FLAGS.FAMILY_ID_PRESENT | UF2_FLAGS.NOT_MAIN_FLASH }));
+
+    expect(image.valid).toBe(true);
+    expect(image.ranges).toEqual([]);
+  });
+
+  it('throws when input is not a buffer', () => {
+    expect(() => parseUf2('nope')).toThrow('UF2 data must be provided as a Buffer');
+  });
+
+  it('assertValidUf2 throws a summary for invalid images', () => {
+    const image = parseUf2(Buffer.alloc(0));
+
+    expect(() => assertValidUf2(image, 'Firmware test.uf2')).toThrow(
+      'Firmware test.uf2 is not a valid UF2 file: UF2 image is empty.'
+    );
+  });
+
+  it('looks up family names', () => {
+    expect(getUf2FamilyName(0xE48BFF59)).toBe('RP2350_ARM_S');
+    expect(getUf2FamilyName(0x12345678)).toBeUndefined();
+  });
+});
+
+describe('UF2 family compatibility', () => {
+  it('accepts images whose family matches the chip', () => {
+    const image = parseUf2(buildUf2Image(1, { familyId: UF2_FAMILY_IDS.RP2350_RISCV }));
+
+    expect(checkUf2Compatibility(image, 'RP2350')).toMatchObject({ compatible: true, checked: true });
+  });
+
+  it('rejects images built for a different chip', () => {
+    const image = parseUf2(buildUf2Image(1, { familyId: UF2_FAMILY_IDS.RP2350_ARM_S }));
+
+    expect(checkUf2Compatibility(image, 'RP2040')).toMatchObject({ compatible: false, checked: true });
+  });
+
+  it('ignores shared families when deciding compatibility', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Image(1, { familyId: UF2_FAMILY_IDS.ABSOLUTE }),
+      buildUf2Image(1, { familyId: UF2_FAMILY_IDS.RP2040 })
+    ]));
+
+    expect(checkUf2Compatibility(image, 'RP2350').compatible).toBe(false);
+    expect(checkUf2Compatibility(image, 'RP2040').compatible).toBe(true);
+  });
+
+  it('skips the check when the chip is unknown', () => {
+    const image = parseUf2(buildUf2Image(1));
+
+    expect(checkUf2Compatibility(image, undefined)).toMatchObject({ compatible: true, checked: false });
+  });
+});
+
+describe('UF2 builder', () => {
+  it('packs segments into page-aligned, numbered blocks', () => {
+    const uf2 = buildUf2(
+      [{ address: 0x10000080, data: Buffer.alloc(256, 0x11) }],
+      { familyId: UF2_FAMILY_IDS.RP2040 }
+    );
+
+    const image = parseUf2(uf2);
+    expect(image.valid).toBe(true);
+    expect(image.blockCount).toBe(2);
+    expect(image.blocks.map((block) => block.targetAddr)).toEqual([0x10000000, 0x10000100]);
+    expect(image.blocks[0].data[0x7F]).toBe(0);
+    expect(image.blocks[0].data[0x80]).toBe(0x11);
+  });
+
+  it('throws when there is nothing to write', () => {
+    expect(() => buildUf2([], { familyId: UF2_FAMILY_IDS.RP2040 })).toThrow('without any data');
+  });
+
+  it('resolves family IDs from names and numbers', () => {
+    expect(resolveUf2FamilyId('rp2350-riscv')).toBe(UF2_FAMILY_IDS.RP2350_RISCV);
+    expect(resolveUf2FamilyId('0xe48bff56')).toBe(UF2_FAMILY_IDS.RP2040);
+    expect(resolveUf2FamilyId(0xE48BFF57)).toBe(UF2_FAMILY_IDS.ABSOLUTE);
+    expect(() => resolveUf2FamilyId('bogus')).toThrow('Unknown UF2 family ID: bogus');
+  });
+});
+
+describe('UF2 extraction', () => {
+  it('flattens blocks into a binary with gaps filled', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Block({ targetAddr: 0x10000000, blockNo: 0, numBlocks: 2, fill: 0x11 }),
+      buildUf2Block({ targetAddr: 0x10000200, blockNo: 1, numBlocks: 2, fill: 0x22 })
+    ]));
+
+    const result = extractUf2(image);
+
+    expect(result.baseAddress).toBe(0x10000000);
+    expect(result.size).toBe(0x300);
+    expect(result.data[0]).toBe(0x11);
+    expect(result.data[0x100]).toBe(0xFF);
+    expect(result.data[0x200]).toBe(0x22);
+    expect(result.ranges).toHaveLength(2);
+  });
+
+  it('uses a custom fill byte', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Block({ targetAddr: 0x10000000, blockNo: 0, numBlocks: 2 }),
+      buildUf2Block({ targetAddr: 0x10000200, blockNo: 1, numBlocks: 2 })
+    ]));
+
+    expect(extractUf2(image, { fill: 0 }).data[0x100]).toBe(0);
+    expect(() => extractUf2(image, { fill: 300 })).toThrow('Invalid fill byte: 300');
+  });
+
+  it('requires a family choice for multi-family images', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Image(1),
+      buildUf2Image(1, { familyId: UF2_FAMILY_IDS.RP2350_ARM_S, baseAddress: 0x10010000 })
+    ]));
+
+    expect(() => extractUf2(image)).toThrow('contains several families (RP2040, RP2350_ARM_S)');
+    const result = extractUf2(image, { familyId: 'RP2350_ARM_S' });
+    expect(result.baseAddress).toBe(0x10010000);
+    expect(result.size).toBe(256);
+  });
+
+  it('refuses to build absurdly large flat images', () => {
+    const image = parseUf2(Buffer.concat([
+      buildUf2Block({ targetAddr: 0x10000000, blockNo: 0, numBlocks: 2 }),
+      buildUf2Block({ targetAddr: 0x20000000, blockNo: 1, numBlocks: 2 })
+    ]));
+
+    expect(() => extractUf2(image)).toThrow('too large to extract');
+  });
+});